@@ -0,0 +1,48 @@
+/**
+ * export.js - Download a Notion page as Markdown
+ */
+
+import { writeFile } from 'fs/promises';
+import { storage } from '../../src/server/services/storage.js';
+import { notionService } from '../../src/server/services/notion.js';
+import { extractPageId } from '../../src/server/utils/validator.js';
+
+/**
+ * Resolve a history record ID or Notion page URL/ID to a page ID and the connection to read it with
+ * @returns {Promise<{pageId: string, connectionId: string|null}>}
+ */
+async function resolveExportPage(target) {
+  const record = await storage.getHistoryRecord(target);
+  if (record) {
+    if (!record.notionPageId) {
+      throw new Error(`History record ${target} has no Notion page`);
+    }
+    return { pageId: record.notionPageId, connectionId: record.connectionId || null };
+  }
+
+  const pageId = extractPageId(target);
+  if (!pageId) {
+    throw new Error(`"${target}" is neither a history record ID nor a valid Notion page URL or ID`);
+  }
+  return { pageId, connectionId: null };
+}
+
+export async function exportCommand([target], options) {
+  if (!target) {
+    throw new Error('Missing page. Usage: m2n export <page url|history id> [--output file]');
+  }
+
+  const { pageId, connectionId } = await resolveExportPage(target);
+  const result = await notionService.exportPage(pageId, { connectionId });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  if (!options.output || options.output === '-') {
+    process.stdout.write(result.markdown);
+    return;
+  }
+
+  await writeFile(options.output, result.markdown, 'utf-8');
+  console.log(`Exported "${result.title}" to ${options.output}`);
+}
@@ -0,0 +1,29 @@
+/**
+ * history.js - List upload history
+ */
+
+import dayjs from 'dayjs';
+import { storage } from '../../src/server/services/storage.js';
+
+export async function historyCommand(args, options) {
+  const limit = parseInt(options.limit || '20', 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('--limit must be a positive integer');
+  }
+
+  const history = await storage.getHistory(limit, options.search || '');
+  const pages = await storage.getPages();
+
+  if (history.length === 0) {
+    console.log('No history records found.');
+    return;
+  }
+
+  for (const record of history) {
+    const pageConfig = pages.find(p => p.id === record.pageConfigId);
+    const status = record.status === 'success' ? 'ok    ' : 'failed';
+    const date = dayjs(record.createdAt).format('YYYY-MM-DD HH:mm');
+    const detail = record.notionUrl || record.error || '';
+    console.log(`${record.id}  ${status} ${date}  ${record.title}  [${pageConfig?.name || 'Unknown Page'}]  ${detail}`);
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * migrate.js - Import a lowdb data/db.json into the SQLite storage backend
+ */
+
+import { join, resolve } from 'path';
+import { existsSync } from 'fs';
+import { DATA_DIR } from '../../src/server/services/storage.js';
+import { createBackend, importJsonFile } from '../../src/server/services/storage/index.js';
+
+export async function migrateCommand([source], options) {
+  const sourcePath = source ? resolve(source) : join(DATA_DIR, 'db.json');
+  if (!existsSync(sourcePath)) {
+    throw new Error(`${sourcePath} not found. Usage: m2n migrate [db.json] [--force]`);
+  }
+
+  const backend = await createBackend(DATA_DIR, { name: 'sqlite' });
+  await backend.init();
+
+  try {
+    const counts = await importJsonFile(sourcePath, backend, { force: options.force });
+    for (const [collection, count] of Object.entries(counts)) {
+      console.log(`${collection}\t${count}`);
+    }
+    console.log(`\nImported ${sourcePath} into ${backend.path}.`);
+    console.log('Set STORAGE_BACKEND=sqlite to use it; the JSON file is left unchanged.');
+  } finally {
+    await backend.close();
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * pages.js - List configured target pages
+ */
+
+import { storage } from '../../src/server/services/storage.js';
+import { notionService } from '../../src/server/services/notion.js';
+import { extractPageId } from '../../src/server/utils/validator.js';
+
+/**
+ * Resolve a --page option to a target page
+ * Accepts a configuration name or id, or a Notion page or database URL/ID
+ * @param {string} [page] - Page option value (default page if omitted)
+ * @returns {Promise<{pageId: string, pageConfigId: string|null, name: string, type: 'page'|'database'}>}
+ */
+export async function resolveTargetPage(page) {
+  if (!page) {
+    const defaultPage = await storage.getDefaultPage();
+    if (!defaultPage) {
+      throw new Error('No target page configured. Add one in the web interface or pass --page <url>.');
+    }
+    return { pageId: defaultPage.pageId, pageConfigId: defaultPage.id, name: defaultPage.name, type: defaultPage.type || 'page' };
+  }
+
+  const pages = await storage.getPages();
+  const lower = page.toLowerCase();
+  const byName = pages.find(p => p.id === page || p.name === page)
+    || pages.find(p => p.name.toLowerCase() === lower);
+  if (byName) {
+    return { pageId: byName.pageId, pageConfigId: byName.id, name: byName.name, type: byName.type || 'page' };
+  }
+
+  const pageId = extractPageId(page);
+  if (!pageId) {
+    throw new Error(`"${page}" is neither a page configuration name nor a valid Notion page URL or ID`);
+  }
+
+  const byPageId = pages.find(p => p.pageId === pageId);
+  if (byPageId) {
+    return { pageId, pageConfigId: byPageId.id, name: byPageId.name, type: byPageId.type || 'page' };
+  }
+
+  // Unconfigured target: ask Notion whether it is a page or a database
+  const result = await notionService.validatePageAccess(pageId);
+  if (!result.valid) {
+    throw new Error(result.error);
+  }
+  return { pageId, pageConfigId: null, name: result.page.title, type: result.page.type };
+}
+
+export async function pagesCommand() {
+  const pages = await storage.getPages();
+
+  if (pages.length === 0) {
+    console.log('No page configurations found.');
+    return;
+  }
+
+  for (const page of pages) {
+    const marker = page.isDefault ? '*' : ' ';
+    const type = page.type === 'database' ? '\t[database]' : '';
+    console.log(`${marker} ${page.name}\t${page.pageId}${type}${page.url ? `\t${page.url}` : ''}`);
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * push.js - Upload markdown from files, directories, zip archives, stdin or the clipboard
+ */
+
+import { readFile, readdir, stat } from 'fs/promises';
+import { basename, join, relative } from 'path';
+import clipboard from 'clipboardy';
+import { storage } from '../../src/server/services/storage.js';
+import { uploadService } from '../../src/server/services/upload.js';
+import { directoryService } from '../../src/server/services/directory.js';
+import { isMarkdownFile, isZipFile } from '../../src/server/utils/archive.js';
+import { resolveTargetPage } from './pages.js';
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+function printWarnings(warnings = []) {
+  for (const warning of warnings) {
+    console.warn(`  warning: ${warning}`);
+  }
+}
+
+/**
+ * Page configuration passed to the upload services for a resolved target
+ */
+function toTargetPage(target) {
+  return { id: target.pageConfigId, pageId: target.pageId, type: target.type };
+}
+
+/**
+ * Parse repeated --property Name=value options into a property map
+ */
+function parseProperties(values = []) {
+  const properties = {};
+  for (const value of values) {
+    const index = value.indexOf('=');
+    if (index <= 0) {
+      throw new Error(`Invalid --property "${value}", expected Name=value`);
+    }
+    properties[value.substring(0, index).trim()] = value.substring(index + 1);
+  }
+  return properties;
+}
+
+/**
+ * Read markdown from the requested source
+ */
+async function readMarkdown(source, options) {
+  if (options.clipboard) {
+    return clipboard.read();
+  }
+  if (source === '-') {
+    return readStdin();
+  }
+  if (!source) {
+    throw new Error('Missing input. Usage: m2n push <file|-> or m2n push --clipboard');
+  }
+  return readFile(source, 'utf-8');
+}
+
+/**
+ * Upload several files or zip archives, one Notion page per markdown file
+ */
+async function pushBatch(sources, options) {
+  const target = await resolveTargetPage(options.page);
+  const uploads = [];
+  for (const source of sources) {
+    uploads.push({ filename: relative(process.cwd(), source), data: await readFile(source) });
+  }
+
+  const { results, summary } = await uploadService.uploadBatch(uploads, {
+    targetPage: toTargetPage(target)
+  });
+
+  for (const result of results) {
+    console.log(result.success
+      ? `ok      ${result.path}  ${result.page.url}`
+      : `failed  ${result.path}  ${result.error}`);
+    printWarnings(result.warnings);
+  }
+  console.log(`Uploaded ${summary.succeeded}/${summary.total} files to ${target.name}`);
+
+  if (summary.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Recursively list markdown files below a directory (hidden folders and node_modules are skipped)
+ */
+async function listMarkdownFiles(dir) {
+  const files = [];
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const fullPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listMarkdownFiles(fullPath));
+    } else if (isMarkdownFile(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Mirror a local directory as nested Notion pages, updating pages imported before
+ */
+async function pushDirectory(dir, options) {
+  const target = await resolveTargetPage(options.page);
+  const rootName = basename(join(process.cwd(), dir));
+
+  const documents = [];
+  for (const file of await listMarkdownFiles(dir)) {
+    const path = [rootName, ...relative(dir, file).split(/[\\/]/)].join('/');
+    documents.push({ path, markdown: await readFile(file, 'utf-8') });
+  }
+  if (documents.length === 0) {
+    throw new Error(`No markdown files found in ${dir}`);
+  }
+
+  const { results, summary } = await directoryService.importTree(documents, {
+    targetPage: toTargetPage(target),
+    updateStrategy: options.sync ? 'sync' : options.append ? 'append' : 'replace'
+  });
+
+  for (const result of results) {
+    console.log(result.success
+      ? `${result.action.padEnd(8)}${result.path}`
+      : `failed  ${result.path}  ${result.error}`);
+    printWarnings(result.warnings);
+  }
+  console.log(`Imported ${summary.succeeded}/${summary.total} entries to ${target.name} (${summary.created} created, ${summary.updated} updated)`);
+
+  if (summary.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+export async function pushCommand(sources, options) {
+  const [source] = sources;
+  if (sources.length === 1 && source !== '-' && !options.clipboard && (await stat(source)).isDirectory()) {
+    if (options.update) {
+      throw new Error('--update cannot be combined with a directory; previously imported pages are updated automatically');
+    }
+    return pushDirectory(source, options);
+  }
+
+  if (sources.length > 1 || isZipFile(source)) {
+    if (options.update || options.clipboard) {
+      throw new Error('--update and --clipboard cannot be combined with multiple files or zip archives');
+    }
+    return pushBatch(sources, options);
+  }
+
+  const markdown = await readMarkdown(source, options);
+  // Updates resolve their page from --update, so a target page is only required when creating
+  const target = options.update && !options.page ? null : await resolveTargetPage(options.page);
+
+  const updateOptions = options.update
+    ? {
+      mode: 'update',
+      updateStrategy: options.sync ? 'sync' : options.append ? 'append' : 'replace',
+      ...(await storage.getHistoryRecord(options.update)
+        ? { historyId: options.update }
+        : { targetPageId: options.update })
+    }
+    : {};
+
+  const result = await uploadService.upload({
+    markdown,
+    sourcePath: source && source !== '-' && !options.clipboard ? relative(process.cwd(), source) : undefined,
+    title: options.title,
+    targetPage: target ? toTargetPage(target) : null,
+    properties: options.property ? parseProperties(options.property) : undefined,
+    ...updateOptions
+  });
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  console.log(options.update
+    ? `Updated "${result.page.title}"`
+    : `Uploaded "${result.page.title}" to ${target.name}`);
+  console.log(result.page.url);
+  printWarnings(result.warnings);
+}
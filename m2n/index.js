@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * index.js - m2n command-line entry point
+ * Notion-with-Markdown CLI, shares services and storage (data/db.json or SQLite) with the web server
+ */
+
+import { config } from 'dotenv';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { existsSync } from 'fs';
+import { parseArgs } from 'util';
+
+// Load .env from project root (SECRET_KEY is needed to decrypt the stored API key)
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const envPath = join(__dirname, '../.env');
+if (existsSync(envPath)) {
+  config({ path: envPath, quiet: true });
+}
+
+const { pushCommand } = await import('./commands/push.js');
+const { pagesCommand } = await import('./commands/pages.js');
+const { historyCommand } = await import('./commands/history.js');
+const { exportCommand } = await import('./commands/export.js');
+const { migrateCommand } = await import('./commands/migrate.js');
+
+const USAGE = `Usage: m2n <command> [options]
+
+Commands:
+  push <file|->          Upload a markdown file (or stdin with "-") to Notion
+  push <files...|zip>    Upload several files or a zip archive, one page per file
+  push <dir>             Mirror a directory as nested pages (re-runs update existing pages)
+  push --clipboard       Upload the clipboard content to Notion
+  push <file> --update <page|history id>
+                         Update an existing Notion page instead of creating one
+  export <page|history id>
+                         Download a Notion page as Markdown (stdout or --output)
+  pages                  List configured target pages
+  history                List upload history
+  migrate [db.json]      Import data/db.json (or the given file) into the SQLite
+                         database used with STORAGE_BACKEND=sqlite
+
+Options:
+  -p, --page <name|url>  Target page configuration name, or a Notion page or database URL/ID
+  -t, --title <title>    Page title (extracted from markdown if omitted)
+  -P, --property <Name=value>
+                         Database property value for the new row (repeatable)
+  -c, --clipboard        Read markdown from the clipboard
+  -u, --update <target>  Notion page URL/ID or history record ID to update in place
+  -a, --append           With --update, append blocks instead of replacing page content
+  --sync                 With --update, only touch blocks that changed
+  -o, --output <file>    With export, write the Markdown to a file
+  -n, --limit <n>        Number of history records to show (default: 20)
+  -s, --search <text>    Filter history by title
+  --force                With migrate, replace data already in the SQLite database
+  -h, --help             Show this help
+`;
+
+const commands = {
+  push: pushCommand,
+  pages: pagesCommand,
+  history: historyCommand,
+  export: exportCommand,
+  migrate: migrateCommand
+};
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      page: { type: 'string', short: 'p' },
+      title: { type: 'string', short: 't' },
+      property: { type: 'string', short: 'P', multiple: true },
+      clipboard: { type: 'boolean', short: 'c' },
+      update: { type: 'string', short: 'u' },
+      append: { type: 'boolean', short: 'a' },
+      sync: { type: 'boolean' },
+      output: { type: 'string', short: 'o' },
+      limit: { type: 'string', short: 'n' },
+      search: { type: 'string', short: 's' },
+      force: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const [name, ...args] = positionals;
+
+  if (values.help || !name) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const command = commands[name];
+  if (!command) {
+    throw new Error(`Unknown command "${name}". Run "m2n --help" for usage.`);
+  }
+
+  await command(args, values);
+}
+
+try {
+  await main();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+}
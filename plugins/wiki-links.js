@@ -0,0 +1,58 @@
+/**
+ * wiki-links.js - Example conversion plugin: turn [[Page]] and [[Page|alias]] into relative links
+ * The links point to "./Page.md" next to the linking document, so they are rewritten to
+ * the Notion page of that document like any other relative link (or removed if it was never uploaded).
+ */
+
+const WIKI_LINK = /\[\[([^\[\]|#]+)(#[^\[\]|]*)?(?:\|([^\[\]]+))?\]\]/g;
+
+/**
+ * Relative URL of the document a wiki link points to
+ */
+function targetUrl(page, heading = '') {
+  const path = page.trim().split('/').map(encodeURIComponent).join('/');
+  return `./${/\.md$/i.test(path) ? path : `${path}.md`}${heading}`;
+}
+
+/**
+ * Split a text node into text and link nodes
+ */
+function splitText(node) {
+  const nodes = [];
+  let last = 0;
+  for (const match of node.value.matchAll(WIKI_LINK)) {
+    const [source, page, heading, alias] = match;
+    if (match.index > last) {
+      nodes.push({ type: 'text', value: node.value.slice(last, match.index) });
+    }
+    nodes.push({
+      type: 'link',
+      url: targetUrl(page, heading),
+      title: null,
+      children: [{ type: 'text', value: (alias || page).trim() }]
+    });
+    last = match.index + source.length;
+  }
+  if (last === 0) return [node];
+  if (last < node.value.length) {
+    nodes.push({ type: 'text', value: node.value.slice(last) });
+  }
+  return nodes;
+}
+
+function transform(node) {
+  // Text inside links stays as it is; code is not a text node
+  if (!node.children || node.type === 'link' || node.type === 'linkReference') return;
+  node.children = node.children.flatMap(child => child.type === 'text' ? splitText(child) : [child]);
+  node.children.forEach(transform);
+}
+
+function remarkWikiLinks() {
+  return tree => transform(tree);
+}
+
+export default {
+  name: 'Wiki links',
+  description: 'Converts [[Page]] and [[Page|alias]] into links to Page.md, resolved like other relative links',
+  remarkPlugins: [remarkWikiLinks]
+};
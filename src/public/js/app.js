@@ -17,6 +17,11 @@ async function apiCall(endpoint, options = {}) {
   const response = await fetch(url, { ...defaultOptions, ...options });
   const data = await response.json();
   
+  // Session expired or logged out elsewhere: the app shows the login form
+  if (response.status === 401 && !endpoint.startsWith('/auth/')) {
+    window.dispatchEvent(new CustomEvent('unauthorized'));
+  }
+  
   if (!response.ok) {
     throw new Error(data.error || 'API request failed');
   }
@@ -39,9 +44,101 @@ function app() {
       message: '',
       type: 'info'
     },
+    // Connection authorized through Notion OAuth, picked up by the setup wizard
+    oauthConnectionId: null,
+    user: null,
+    // No account exists yet: the login form creates the first (admin) account
+    setupRequired: false,
+    loginForm: { username: '', password: '' },
+    loginError: '',
+    loggingIn: false,
+    showPasswordModal: false,
+    passwordForm: { currentPassword: '', newPassword: '' },
     
     async init() {
+      await this.loadSession();
+      if (!this.user) return;
       await this.loadStatus();
+      this.handleOAuthResult();
+    },
+    
+    async loadSession() {
+      try {
+        const data = await apiCall('/auth/session');
+        this.user = data.user;
+        this.setupRequired = data.setupRequired;
+      } catch (error) {
+        console.error('Failed to load session:', error);
+      }
+      if (!this.user) this.currentView = 'login';
+    },
+    
+    async login() {
+      this.loggingIn = true;
+      this.loginError = '';
+      
+      try {
+        const data = await apiCall(this.setupRequired ? '/auth/setup' : '/auth/login', {
+          method: 'POST',
+          body: JSON.stringify(this.loginForm)
+        });
+        this.user = data.user;
+        this.setupRequired = false;
+        this.loginForm = { username: '', password: '' };
+        this.currentView = 'dashboard';
+        await this.loadStatus();
+        this.handleOAuthResult();
+      } catch (error) {
+        this.loginError = error.message;
+      } finally {
+        this.loggingIn = false;
+      }
+    },
+    
+    async logout() {
+      try {
+        await apiCall('/auth/logout', { method: 'POST' });
+      } catch (error) {
+        console.error('Failed to log out:', error);
+      }
+      this.onUnauthorized();
+    },
+    
+    onUnauthorized() {
+      this.user = null;
+      this.currentView = 'login';
+    },
+    
+    async changePassword() {
+      try {
+        await apiCall('/auth/password', {
+          method: 'PUT',
+          body: JSON.stringify(this.passwordForm)
+        });
+        this.showPasswordModal = false;
+        this.passwordForm = { currentPassword: '', newPassword: '' };
+        this.showToast('Password changed successfully', 'success');
+      } catch (error) {
+        this.showToast(error.message, 'error');
+      }
+    },
+    
+    // The OAuth callback returns here with ?oauth=success|error
+    handleOAuthResult() {
+      const params = new URLSearchParams(window.location.search);
+      const result = params.get('oauth');
+      if (!result) return;
+      
+      history.replaceState(null, '', window.location.pathname);
+      if (result === 'success') {
+        this.oauthConnectionId = params.get('connectionId');
+        const verb = params.get('created') === 'true' ? 'Connected to' : 'Reauthorized';
+        this.showToast(`${verb} ${params.get('workspace') || 'Notion'}`, 'success');
+        this.currentView = this.status.configured ? 'config' : 'setup';
+      } else {
+        this.showToast(params.get('message') || 'Notion authorization failed', 'error');
+        if (!this.status.configured) this.currentView = 'setup';
+      }
     },
     
     async loadStatus() {
@@ -114,6 +211,9 @@ function setupWizard() {
   return {
     step: 1,
     apiKey: '',
+    // Set when the workspace was connected through Notion OAuth instead of a pasted key
+    connectionId: null,
+    oauthEnabled: false,
     pageUrl: '',
     pageName: '',
     validating: false,
@@ -121,6 +221,24 @@ function setupWizard() {
     validationResult: { user: null, page: null },
     error: '',
     
+    async init() {
+      if (this.oauthConnectionId) {
+        this.connectionId = this.oauthConnectionId;
+        this.validated.apiKey = true;
+        this.step = 3;
+      }
+      try {
+        const data = await apiCall('/oauth/status');
+        this.oauthEnabled = data.enabled;
+      } catch (error) {
+        console.error('Failed to load OAuth status:', error);
+      }
+    },
+    
+    loginWithNotion() {
+      window.location.href = `${API_BASE}/oauth/authorize`;
+    },
+    
     async validateApiKey() {
       this.validating = true;
       this.error = '';
@@ -148,7 +266,9 @@ function setupWizard() {
       try {
         const data = await apiCall('/validate/page', {
           method: 'POST',
-          body: JSON.stringify({ pageUrl: this.pageUrl, apiKey: this.apiKey })
+          body: JSON.stringify(this.connectionId
+            ? { pageUrl: this.pageUrl, connectionId: this.connectionId }
+            : { pageUrl: this.pageUrl, apiKey: this.apiKey })
         });
         
         this.validated.page = true;
@@ -169,11 +289,13 @@ function setupWizard() {
       this.error = '';
       
       try {
-        // Save API key
-        await apiCall('/config/api-key', {
-          method: 'POST',
-          body: JSON.stringify({ apiKey: this.apiKey })
-        });
+        // Save API key (an OAuth connection is already saved)
+        if (!this.connectionId) {
+          await apiCall('/config/api-key', {
+            method: 'POST',
+            body: JSON.stringify({ apiKey: this.apiKey })
+          });
+        }
         
         // Add page configuration
         await apiCall('/config/pages', {
@@ -181,6 +303,7 @@ function setupWizard() {
           body: JSON.stringify({
             name: this.pageName,
             pageUrl: this.pageUrl,
+            connectionId: this.connectionId || undefined,
             isDefault: true
           })
         });
@@ -229,6 +352,18 @@ function historyComponent() {
       }
     },
     
+    async resume(item) {
+      item.resuming = true;
+      try {
+        await apiCall(`/history/${item.id}/resume`, { method: 'POST' });
+        this.$dispatch('toast', { message: 'Upload resumed and completed!', type: 'success' });
+      } catch (error) {
+        this.$dispatch('toast', { message: error.message, type: 'error' });
+      } finally {
+        await this.loadHistory();
+      }
+    },
+    
     formatDate(dateStr) {
       return new Date(dateStr).toLocaleString('zh-CN');
     },
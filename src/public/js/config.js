@@ -5,20 +5,30 @@
 function configComponent() {
   return {
     pages: [],
+    connections: [],
+    plugins: [],
     settings: {},
+    callouts: [],
+    calloutColors: ['default', 'gray_background', 'brown_background', 'orange_background', 'yellow_background',
+      'green_background', 'blue_background', 'purple_background', 'pink_background', 'red_background'],
     loading: true,
     showAddModal: false,
     showEditModal: false,
-    showApiKeyModal: false,
+    showConnectionModal: false,
     editingPage: null,
-    newPage: { name: '', pageUrl: '' },
-    newApiKey: '',
+    newPage: { name: '', pageUrl: '', connectionId: '', shared: false, plugins: [], toggleHeadings: '', diagrams: false },
+    connectionForm: { id: null, name: '', apiKey: '' },
+    testingConnection: null,
+    oauthEnabled: false,
     validating: false,
     error: '',
     
     async init() {
       await Promise.all([
         this.loadPages(),
+        this.loadConnections(),
+        this.loadOAuthStatus(),
+        this.loadPlugins(),
         this.loadSettings()
       ]);
       this.loading = false;
@@ -33,10 +43,54 @@ function configComponent() {
       }
     },
     
+    async loadConnections() {
+      try {
+        const data = await apiCall('/config/connections');
+        this.connections = data.connections;
+      } catch (error) {
+        console.error('Failed to load connections:', error);
+      }
+    },
+    
+    async loadOAuthStatus() {
+      try {
+        const data = await apiCall('/oauth/status');
+        this.oauthEnabled = data.enabled;
+      } catch (error) {
+        console.error('Failed to load OAuth status:', error);
+      }
+    },
+    
+    // Page configurations without a connection use the default one
+    connectionName(id) {
+      const connection = this.connections.find(c => id ? c.id === id : c.isDefault);
+      return connection?.name || '未知连接';
+    },
+    
+    async loadPlugins() {
+      try {
+        const data = await apiCall('/config/plugins');
+        this.plugins = data.plugins;
+      } catch (error) {
+        console.error('Failed to load plugins:', error);
+      }
+    },
+    
+    // Plugins run in the order they are listed, so keep the checked ones in plugin order
+    orderPlugins(ids) {
+      return this.plugins.map(plugin => plugin.id).filter(id => ids.includes(id));
+    },
+    
+    pluginName(id) {
+      return this.plugins.find(plugin => plugin.id === id)?.name || id;
+    },
+    
     async loadSettings() {
       try {
         const data = await apiCall('/settings');
         this.settings = data.settings;
+        this.callouts = Object.entries(data.settings.callouts || {})
+          .map(([type, style]) => ({ type, emoji: style.emoji, color: style.color || 'default' }));
       } catch (error) {
         console.error('Failed to load settings:', error);
       }
@@ -49,12 +103,18 @@ function configComponent() {
       try {
         await apiCall('/config/pages', {
           method: 'POST',
-          body: JSON.stringify(this.newPage)
+          body: JSON.stringify({
+            ...this.newPage,
+            connectionId: this.newPage.connectionId || undefined,
+            plugins: this.orderPlugins(this.newPage.plugins),
+            toggleHeadings: Number(this.newPage.toggleHeadings) || null,
+            diagrams: !!this.newPage.diagrams
+          })
         });
         
-        await this.loadPages();
+        await Promise.all([this.loadPages(), this.loadConnections()]);
         this.showAddModal = false;
-        this.newPage = { name: '', pageUrl: '' };
+        this.newPage = { name: '', pageUrl: '', connectionId: '', shared: false, plugins: [], toggleHeadings: '', diagrams: false };
         this.$dispatch('toast', { message: 'Page added successfully', type: 'success' });
       } catch (error) {
         this.error = error.message;
@@ -63,8 +123,18 @@ function configComponent() {
       }
     },
     
+    // Shared page configurations are managed by admins
+    canManage(page) {
+      return !page.shared || this.user?.role === 'admin';
+    },
+    
     openEditModal(page) {
-      this.editingPage = { ...page };
+      this.editingPage = {
+        ...page,
+        connectionId: page.connectionId || '',
+        plugins: [...(page.plugins || [])],
+        toggleHeadings: page.toggleHeadings ? String(page.toggleHeadings) : ''
+      };
       this.showEditModal = true;
       this.error = '';
     },
@@ -78,11 +148,17 @@ function configComponent() {
           method: 'PUT',
           body: JSON.stringify({
             name: this.editingPage.name,
-            isDefault: this.editingPage.isDefault
+            // The default flag shown is the user's default page; an unset flag leaves the stored one alone
+            isDefault: this.editingPage.isDefault || undefined,
+            connectionId: this.editingPage.connectionId || undefined,
+            shared: !!this.editingPage.shared,
+            plugins: this.orderPlugins(this.editingPage.plugins),
+            toggleHeadings: Number(this.editingPage.toggleHeadings) || null,
+            diagrams: !!this.editingPage.diagrams
           })
         });
         
-        await this.loadPages();
+        await Promise.all([this.loadPages(), this.loadConnections()]);
         this.showEditModal = false;
         this.$dispatch('toast', { message: 'Page updated successfully', type: 'success' });
       } catch (error) {
@@ -97,7 +173,7 @@ function configComponent() {
       
       try {
         await apiCall(`/config/pages/${id}`, { method: 'DELETE' });
-        await this.loadPages();
+        await Promise.all([this.loadPages(), this.loadConnections()]);
         this.$dispatch('toast', { message: 'Page deleted successfully', type: 'success' });
       } catch (error) {
         this.$dispatch('toast', { message: error.message, type: 'error' });
@@ -116,19 +192,36 @@ function configComponent() {
       }
     },
     
-    async updateApiKey() {
+    openConnectionModal(connection = null) {
+      this.connectionForm = connection
+        ? { id: connection.id, name: connection.name, apiKey: '' }
+        : { id: null, name: '', apiKey: '' };
+      this.showConnectionModal = true;
+      this.error = '';
+    },
+    
+    async saveConnection() {
       this.validating = true;
       this.error = '';
       
       try {
-        await apiCall('/config/api-key', {
-          method: 'POST',
-          body: JSON.stringify({ apiKey: this.newApiKey })
-        });
+        const { id, name, apiKey } = this.connectionForm;
+        if (id) {
+          // The token is only replaced when a new one is entered
+          await apiCall(`/config/connections/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ name, ...(apiKey && { apiKey }) })
+          });
+        } else {
+          await apiCall('/config/connections', {
+            method: 'POST',
+            body: JSON.stringify({ name, apiKey })
+          });
+        }
         
-        this.showApiKeyModal = false;
-        this.newApiKey = '';
-        this.$dispatch('toast', { message: 'API key updated successfully', type: 'success' });
+        await this.loadConnections();
+        this.showConnectionModal = false;
+        this.$dispatch('toast', { message: id ? 'Connection updated successfully' : 'Connection added successfully', type: 'success' });
       } catch (error) {
         this.error = error.message;
       } finally {
@@ -136,6 +229,60 @@ function configComponent() {
       }
     },
     
+    async testConnection(connection) {
+      this.testingConnection = connection.id;
+      try {
+        const data = await apiCall(`/config/connections/${connection.id}/test`, { method: 'POST' });
+        await this.loadConnections();
+        const workspace = data.user.workspaceName ? ` (${data.user.workspaceName})` : '';
+        this.$dispatch('toast', { message: `Connected as ${data.user.name}${workspace}`, type: 'success' });
+      } catch (error) {
+        this.$dispatch('toast', { message: error.message, type: 'error' });
+      } finally {
+        this.testingConnection = null;
+      }
+    },
+    
+    async setDefaultConnection(id) {
+      try {
+        await apiCall(`/config/connections/${id}`, {
+          method: 'PUT',
+          body: JSON.stringify({ isDefault: true })
+        });
+        await this.loadConnections();
+      } catch (error) {
+        this.$dispatch('toast', { message: error.message, type: 'error' });
+      }
+    },
+    
+    async deleteConnection(connection) {
+      if (!confirm(`Are you sure you want to delete the connection "${connection.name}"?`)) return;
+      
+      try {
+        await apiCall(`/config/connections/${connection.id}`, { method: 'DELETE' });
+        await this.loadConnections();
+        this.$dispatch('toast', { message: 'Connection deleted successfully', type: 'success' });
+      } catch (error) {
+        this.$dispatch('toast', { message: error.message, type: 'error' });
+      }
+    },
+    
+    async removeCallout(index) {
+      this.callouts.splice(index, 1);
+      await this.saveCallouts();
+    },
+    
+    async saveCallouts() {
+      const callouts = {};
+      for (const { type, emoji, color } of this.callouts) {
+        const key = type.trim().toLowerCase();
+        // Rows still being filled in are kept in the table but not saved
+        if (key && emoji.trim()) callouts[key] = { emoji: emoji.trim(), color };
+      }
+      this.settings.callouts = callouts;
+      await this.updateSettings();
+    },
+    
     async updateSettings() {
       try {
         await apiCall('/settings', {
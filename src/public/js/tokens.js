@@ -0,0 +1,80 @@
+/**
+ * tokens.js - Personal API token component (config view)
+ */
+
+function tokensComponent() {
+  return {
+    tokens: [],
+    scopes: {},
+    showTokenModal: false,
+    tokenForm: { name: '', scopes: ['upload'], expiresInDays: '' },
+    // Value of the token just created, only shown once
+    createdToken: null,
+    saving: false,
+    error: '',
+
+    async init() {
+      await this.loadTokens();
+    },
+
+    async loadTokens() {
+      try {
+        const data = await apiCall('/tokens');
+        this.tokens = data.tokens;
+        this.scopes = data.scopes;
+      } catch (error) {
+        console.error('Failed to load API tokens:', error);
+      }
+    },
+
+    openTokenModal() {
+      this.tokenForm = { name: '', scopes: ['upload'], expiresInDays: '' };
+      this.createdToken = null;
+      this.error = '';
+      this.showTokenModal = true;
+    },
+
+    async createToken() {
+      this.saving = true;
+      this.error = '';
+
+      try {
+        const data = await apiCall('/tokens', {
+          method: 'POST',
+          body: JSON.stringify({
+            name: this.tokenForm.name,
+            scopes: this.tokenForm.scopes,
+            expiresInDays: Number(this.tokenForm.expiresInDays) || undefined
+          })
+        });
+        this.createdToken = data.token;
+        await this.loadTokens();
+      } catch (error) {
+        this.error = error.message;
+      } finally {
+        this.saving = false;
+      }
+    },
+
+    copyToken() {
+      navigator.clipboard.writeText(this.createdToken);
+      this.$dispatch('toast', { message: 'Token copied!', type: 'success' });
+    },
+
+    async revokeToken(token) {
+      if (!confirm(`Are you sure you want to revoke "${token.name}"? Scripts using it will stop working.`)) return;
+
+      try {
+        await apiCall(`/tokens/${token.id}`, { method: 'DELETE' });
+        await this.loadTokens();
+        this.$dispatch('toast', { message: 'API token revoked', type: 'success' });
+      } catch (error) {
+        this.$dispatch('toast', { message: error.message, type: 'error' });
+      }
+    },
+
+    formatDate(dateStr) {
+      return new Date(dateStr).toLocaleString('zh-CN');
+    }
+  };
+}
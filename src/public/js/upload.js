@@ -7,10 +7,23 @@ function uploadComponent() {
     markdown: '',
     title: '',
     selectedPageId: '',
+    mode: 'create',
+    targetPageUrl: '',
+    updateStrategy: 'replace',
+    diagrams: false,
+    syncPlan: null,
+    planning: false,
+    analysis: null,
     pages: [],
+    schema: null,
+    propertyValues: {},
     stats: { chars: 0, lines: 0, words: 0 },
     uploading: false,
+    job: null,
+    cancelling: false,
     uploadResult: null,
+    batchResult: null,
+    preserveTree: false,
     error: '',
     dragover: false,
     settings: {},
@@ -30,11 +43,42 @@ function uploadComponent() {
         if (defaultPage) {
           this.selectedPageId = defaultPage.id;
         }
+        await this.selectPage();
       } catch (error) {
         console.error('Failed to load pages:', error);
       }
     },
     
+    async selectPage() {
+      // Diagram rendering defaults to the page configuration's setting
+      this.diagrams = !!this.pages.find(p => p.id === this.selectedPageId)?.diagrams;
+      await this.loadSchema();
+    },
+    
+    async loadSchema() {
+      this.schema = null;
+      this.propertyValues = {};
+      const page = this.pages.find(p => p.id === this.selectedPageId);
+      if (page?.type !== 'database') return;
+      
+      try {
+        const data = await apiCall(`/config/pages/${page.id}/schema`);
+        this.schema = data.schema;
+      } catch (error) {
+        this.$dispatch('toast', { message: error.message, type: 'error' });
+      }
+    },
+    
+    editableProperties() {
+      const supported = ['rich_text', 'number', 'select', 'multi_select', 'status', 'date', 'checkbox', 'url', 'email', 'phone_number'];
+      return Object.entries(this.schema || {}).filter(([, property]) => supported.includes(property.type));
+    },
+    
+    filledProperties() {
+      const entries = Object.entries(this.propertyValues).filter(([, value]) => value !== '' && value !== undefined);
+      return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+    },
+    
     async loadSettings() {
       try {
         const data = await apiCall('/settings');
@@ -64,22 +108,46 @@ function uploadComponent() {
         return;
       }
       
+      if (this.mode === 'update' && !this.targetPageUrl.trim()) {
+        this.error = 'Please enter the Notion page to update';
+        return;
+      }
+      
       this.uploading = true;
+      this.cancelling = false;
       this.error = '';
       this.uploadResult = null;
       
       try {
-        const data = await apiCall('/upload', {
+        const { job } = await apiCall('/upload/jobs', {
           method: 'POST',
           body: JSON.stringify({
             markdown: this.markdown,
             pageConfigId: this.selectedPageId,
-            title: this.title || null
+            title: this.title || null,
+            properties: this.mode === 'create' ? this.filledProperties() : undefined,
+            diagrams: this.diagrams,
+            mode: this.mode,
+            ...(this.mode === 'update' && {
+              targetPageId: this.targetPageUrl.trim(),
+              updateStrategy: this.updateStrategy
+            })
           })
         });
+        this.job = job;
+        
+        const finished = await this.followJob(job.id);
+        if (finished.status === 'cancelled') {
+          this.error = 'Upload cancelled. Uploaded blocks were kept, resume it from the history page.';
+          return;
+        }
+        if (!finished.result?.success) {
+          throw new Error(finished.error || 'Upload failed');
+        }
         
+        const data = finished.result;
         this.uploadResult = data;
-        this.$dispatch('toast', { message: 'Upload successful!', type: 'success' });
+        this.$dispatch('toast', { message: data.mode === 'update' ? 'Page updated!' : 'Upload successful!', type: 'success' });
         
         // Auto open Notion if enabled
         if (this.settings.autoOpenNotion && data.page?.url) {
@@ -95,6 +163,108 @@ function uploadComponent() {
         this.$dispatch('toast', { message: error.message, type: 'error' });
       } finally {
         this.uploading = false;
+        this.job = null;
+      }
+    },
+    
+    // Follow a background job's progress stream until it finishes
+    followJob(jobId) {
+      return new Promise((resolve, reject) => {
+        const source = new EventSource(`${API_BASE}/jobs/${jobId}/events`);
+        source.addEventListener('progress', event => {
+          this.job = JSON.parse(event.data);
+        });
+        source.addEventListener('done', event => {
+          source.close();
+          this.job = JSON.parse(event.data);
+          resolve(this.job);
+        });
+        source.onerror = () => {
+          // The browser reconnects on its own unless the stream was refused
+          if (source.readyState === EventSource.CLOSED) {
+            reject(new Error('Lost connection to the upload job'));
+          }
+        };
+      });
+    },
+    
+    async cancelUpload() {
+      if (!this.job) return;
+      this.cancelling = true;
+      try {
+        await apiCall(`/jobs/${this.job.id}/cancel`, { method: 'POST' });
+      } catch (error) {
+        this.cancelling = false;
+        this.$dispatch('toast', { message: error.message, type: 'error' });
+      }
+    },
+    
+    jobPercent() {
+      if (!this.job?.totalBlocks) return 0;
+      return Math.round(this.job.blocksAppended / this.job.totalBlocks * 100);
+    },
+    
+    jobPhase() {
+      const phases = {
+        queued: '排队中',
+        preparing: '转换 Markdown 并上传图片',
+        uploading: '上传块',
+        syncing: '同步变更的块',
+        cancelling: '正在取消'
+      };
+      return phases[this.job?.phase] || '';
+    },
+    
+    async analyze() {
+      try {
+        const data = await apiCall('/upload/preview', {
+          method: 'POST',
+          body: JSON.stringify({
+            markdown: this.markdown,
+            pageConfigId: this.selectedPageId || undefined,
+            properties: this.filledProperties(),
+            diagrams: this.diagrams
+          })
+        });
+        this.analysis = data;
+      } catch (error) {
+        this.$dispatch('toast', { message: error.message, type: 'error' });
+      }
+    },
+    
+    diagramLabel(diagram) {
+      const kinds = { mermaid: 'Mermaid', plantuml: 'PlantUML', graphviz: 'Graphviz' };
+      const actions = { native: 'Notion 原生渲染（mermaid 代码块）', image: 'SVG 图片', code: '代码块' };
+      return `第 ${diagram.line} 行 ${kinds[diagram.kind]} → ${actions[diagram.action]}`;
+    },
+    
+    issueCount(kind) {
+      return this.analysis.issues.filter(issue => issue.kind === kind).length;
+    },
+    
+    mappingTarget(entry) {
+      const targets = { title: '页面标题', icon: '页面图标', cover: '页面封面' };
+      return entry.target === 'property' ? `数据库属性 ${entry.property}` : targets[entry.target];
+    },
+    
+    async previewSync() {
+      this.planning = true;
+      this.error = '';
+      this.syncPlan = null;
+      
+      try {
+        this.syncPlan = await apiCall('/upload/sync-plan', {
+          method: 'POST',
+          body: JSON.stringify({
+            markdown: this.markdown,
+            targetPageId: this.targetPageUrl.trim(),
+            pageConfigId: this.selectedPageId || undefined
+          })
+        });
+      } catch (error) {
+        this.error = error.message;
+      } finally {
+        this.planning = false;
       }
     },
     
@@ -102,6 +272,8 @@ function uploadComponent() {
       this.markdown = '';
       this.title = '';
       this.uploadResult = null;
+      this.batchResult = null;
+      this.analysis = null;
       this.error = '';
       this.updateStats();
     },
@@ -130,16 +302,71 @@ function uploadComponent() {
       e.preventDefault();
       this.dragover = false;
       
-      const files = e.dataTransfer?.files;
-      if (files && files.length > 0) {
+      await this.handleFiles(e.dataTransfer?.files);
+    },
+    
+    async handleFileSelect(e) {
+      await this.handleFiles(e.target?.files);
+      e.target.value = '';
+    },
+    
+    async handleFiles(files) {
+      if (!files || files.length === 0) return;
+      
+      // Several files or a zip archive are uploaded directly as a batch
+      const isZip = files[0].name.toLowerCase().endsWith('.zip');
+      if (this.preserveTree && (files.length > 1 || isZip)) {
+        await this.uploadBatch(files, '/upload/directory');
+      } else if (files.length > 1 || isZip) {
+        await this.uploadBatch(files);
+      } else {
         await this.handleFile(files[0]);
       }
     },
     
-    async handleFileSelect(e) {
+    async handleFolderSelect(e) {
       const files = e.target?.files;
       if (files && files.length > 0) {
-        await this.handleFile(files[0]);
+        await this.uploadBatch(files, '/upload/directory');
+      }
+      e.target.value = '';
+    },
+    
+    async uploadBatch(files, endpoint = '/upload/batch') {
+      if (!this.selectedPageId) {
+        this.error = 'Please select a target page';
+        return;
+      }
+      
+      const formData = new FormData();
+      formData.append('pageConfigId', this.selectedPageId);
+      for (const file of files) {
+        // Folder selections keep their relative paths so the tree can be mirrored
+        formData.append('files', file, file.webkitRelativePath || file.name);
+      }
+      
+      this.uploading = true;
+      this.error = '';
+      this.uploadResult = null;
+      this.batchResult = null;
+      
+      try {
+        const response = await fetch(`${API_BASE}${endpoint}`, { method: 'POST', body: formData });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Batch upload failed');
+        }
+        
+        this.batchResult = data;
+        this.$dispatch('toast', {
+          message: `Uploaded ${data.summary.succeeded}/${data.summary.total} files`,
+          type: data.summary.failed === 0 ? 'success' : 'error'
+        });
+      } catch (error) {
+        this.error = error.message;
+        this.$dispatch('toast', { message: error.message, type: 'error' });
+      } finally {
+        this.uploading = false;
       }
     },
     
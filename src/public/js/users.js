@@ -0,0 +1,93 @@
+/**
+ * users.js - User account management component (admins only)
+ */
+
+function usersComponent() {
+  return {
+    users: [],
+    loading: true,
+    showUserModal: false,
+    userForm: { username: '', password: '', role: 'user' },
+    saving: false,
+    error: '',
+
+    async init() {
+      await this.loadUsers();
+      this.loading = false;
+    },
+
+    async loadUsers() {
+      try {
+        const data = await apiCall('/users');
+        this.users = data.users;
+      } catch (error) {
+        console.error('Failed to load users:', error);
+      }
+    },
+
+    openUserModal() {
+      this.userForm = { username: '', password: '', role: 'user' };
+      this.error = '';
+      this.showUserModal = true;
+    },
+
+    async addUser() {
+      this.saving = true;
+      this.error = '';
+
+      try {
+        await apiCall('/users', {
+          method: 'POST',
+          body: JSON.stringify(this.userForm)
+        });
+        await this.loadUsers();
+        this.showUserModal = false;
+        this.$dispatch('toast', { message: 'User added successfully', type: 'success' });
+      } catch (error) {
+        this.error = error.message;
+      } finally {
+        this.saving = false;
+      }
+    },
+
+    async setRole(user, role) {
+      try {
+        await apiCall(`/users/${user.id}`, {
+          method: 'PUT',
+          body: JSON.stringify({ role })
+        });
+        await this.loadUsers();
+        this.$dispatch('toast', { message: 'Role updated', type: 'success' });
+      } catch (error) {
+        this.$dispatch('toast', { message: error.message, type: 'error' });
+      }
+    },
+
+    async resetPassword(user) {
+      const password = prompt(`New password for "${user.username}" (at least 8 characters):`);
+      if (!password) return;
+
+      try {
+        await apiCall(`/users/${user.id}`, {
+          method: 'PUT',
+          body: JSON.stringify({ password })
+        });
+        this.$dispatch('toast', { message: 'Password reset', type: 'success' });
+      } catch (error) {
+        this.$dispatch('toast', { message: error.message, type: 'error' });
+      }
+    },
+
+    async deleteUser(user) {
+      if (!confirm(`Are you sure you want to delete "${user.username}" with their connections, page configurations and history?`)) return;
+
+      try {
+        await apiCall(`/users/${user.id}`, { method: 'DELETE' });
+        await this.loadUsers();
+        this.$dispatch('toast', { message: 'User deleted successfully', type: 'success' });
+      } catch (error) {
+        this.$dispatch('toast', { message: error.message, type: 'error' });
+      }
+    }
+  };
+}
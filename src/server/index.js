@@ -7,7 +7,7 @@
 import { config } from 'dotenv';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { existsSync } from 'fs';
+import { existsSync, mkdirSync } from 'fs';
 
 // Load .env from project root
 const __dirname_temp = dirname(fileURLToPath(import.meta.url));
@@ -26,6 +26,16 @@ import { configRoutes } from './routes/config.js';
 import { validateRoutes } from './routes/validate.js';
 import { uploadRoutes } from './routes/upload.js';
 import { historyRoutes } from './routes/history.js';
+import { exportRoutes } from './routes/export.js';
+import { jobRoutes } from './routes/jobs.js';
+import { oauthRoutes } from './routes/oauth.js';
+import { authRoutes, authenticate } from './routes/auth.js';
+import { userRoutes } from './routes/users.js';
+import { tokenRoutes } from './routes/tokens.js';
+import { docsRoutes } from './routes/docs.js';
+import { IMAGES_DIR } from './services/images.js';
+import { notionScheduler } from './services/scheduler.js';
+import { MAX_ARCHIVE_ENTRIES } from './utils/archive.js';
 
 const __dirname = __dirname_temp;
 
@@ -43,22 +53,30 @@ const fastify = Fastify({
   }
 });
 
+// Retries of Notion API calls are logged with the requests
+notionScheduler.setLogger(fastify.log);
+
 // Configuration
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || 'localhost';
 
 // Register plugins
 async function registerPlugins() {
-  // CORS support
-  await fastify.register(fastifyCors, {
-    origin: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE']
-  });
+  // CORS support, only for the origins in CORS_ORIGIN (comma separated); the web interface is same-origin
+  if (process.env.CORS_ORIGIN) {
+    await fastify.register(fastifyCors, {
+      origin: process.env.CORS_ORIGIN.split(',').map(origin => origin.trim()),
+      methods: ['GET', 'POST', 'PUT', 'DELETE'],
+      credentials: true
+    });
+  }
 
-  // Multipart file upload support
+  // Multipart file upload support. Files are buffered in memory, so a request holds at most
+  // as many of them as a zip archive may contain.
   await fastify.register(fastifyMultipart, {
     limits: {
-      fileSize: 10 * 1024 * 1024 // 10MB
+      fileSize: 10 * 1024 * 1024, // 10MB
+      files: MAX_ARCHIVE_ENTRIES
     }
   });
 
@@ -67,14 +85,43 @@ async function registerPlugins() {
     root: join(__dirname, '../public'),
     prefix: '/'
   });
+
+  // Uploaded images (static image hosting). They come from uploaded documents, so scripts in them
+  // (SVG) must not run on this origin: sandbox them and keep browsers from sniffing other types.
+  if (!existsSync(IMAGES_DIR)) {
+    mkdirSync(IMAGES_DIR, { recursive: true });
+  }
+  await fastify.register(fastifyStatic, {
+    root: IMAGES_DIR,
+    prefix: '/images/',
+    decorateReply: false,
+    setHeaders: res => {
+      res.setHeader('Content-Security-Policy', "sandbox; default-src 'none'; img-src data:; style-src 'unsafe-inline'");
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+    }
+  });
 }
 
-// Register API routes
+// Register API routes (all of them require a session or an API token, see authenticate)
 async function registerRoutes() {
+  fastify.decorateRequest('user', null);
+  fastify.addHook('onRequest', authenticate);
+  
+  // Routes are collected for the OpenAPI document at /api/docs
+  const routes = [];
+  fastify.addHook('onRoute', route => routes.push(route));
+  
+  await fastify.register(authRoutes);
+  await fastify.register(userRoutes);
+  await fastify.register(tokenRoutes);
   await fastify.register(configRoutes);
   await fastify.register(validateRoutes);
   await fastify.register(uploadRoutes);
   await fastify.register(historyRoutes);
+  await fastify.register(exportRoutes);
+  await fastify.register(jobRoutes);
+  await fastify.register(oauthRoutes);
+  await fastify.register(docsRoutes, { routes });
 }
 
 // Global error handler
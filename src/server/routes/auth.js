@@ -0,0 +1,217 @@
+/**
+ * auth.js - Login, logout and session routes, and the hooks protecting the API
+ */
+
+import { storage } from '../services/storage.js';
+import { authService, SESSION_COOKIE, SESSION_TTL_DAYS } from '../services/auth.js';
+import { parseCookies, serializeCookie } from '../utils/cookies.js';
+
+// API routes reachable without a session
+export const PUBLIC_ROUTES = ['/api/health', '/api/docs', '/api/auth/session', '/api/auth/login', '/api/auth/setup'];
+
+export const usernameSchema = { type: 'string', pattern: '^[A-Za-z0-9_.-]{3,32}$' };
+export const passwordSchema = { type: 'string', minLength: 8, maxLength: 256 };
+
+const credentialsSchema = {
+  type: 'object',
+  required: ['username', 'password'],
+  properties: {
+    username: usernameSchema,
+    password: passwordSchema
+  }
+};
+
+function sessionToken(request) {
+  return parseCookies(request.headers.cookie)[SESSION_COOKIE];
+}
+
+function bearerToken(request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.authorization || '');
+  return match?.[1];
+}
+
+/**
+ * Set the session cookie of a new session
+ */
+async function startSession(request, reply, user) {
+  const token = await authService.createSession(user.id);
+  reply.header('Set-Cookie', serializeCookie(SESSION_COOKIE, token, {
+    maxAge: SESSION_TTL_DAYS * 24 * 60 * 60,
+    secure: request.protocol === 'https'
+  }));
+}
+
+/**
+ * onRequest hook: every /api/* route except PUBLIC_ROUTES requires a session or an API token; sets request.user.
+ * API tokens only reach routes whose config names a scope (`config: { scope: 'upload' }`) the token was granted.
+ * The matched route decides, not the raw URL, which may be percent-encoded ("/%61pi/settings").
+ */
+export async function authenticate(request, reply) {
+  const route = request.routeOptions.url;
+  if (!route?.startsWith('/api/') || PUBLIC_ROUTES.includes(route)) return;
+
+  const token = bearerToken(request);
+  if (token) {
+    const result = await authService.getApiTokenUser(token);
+    if (!result) {
+      return reply.code(401).send({
+        success: false,
+        error: 'Invalid or expired API token'
+      });
+    }
+
+    const { scope } = request.routeOptions.config;
+    if (!scope || !result.apiToken.scopes.includes(scope)) {
+      return reply.code(403).send({
+        success: false,
+        error: scope
+          ? `API token lacks the "${scope}" scope`
+          : 'This endpoint is not available to API tokens'
+      });
+    }
+    request.user = result.user;
+    return;
+  }
+
+  const user = await authService.getSessionUser(sessionToken(request));
+  if (!user) {
+    return reply.code(401).send({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+  request.user = user;
+}
+
+/**
+ * preHandler hook for routes only admins may use
+ */
+export async function requireAdmin(request, reply) {
+  if (request.user?.role !== 'admin') {
+    return reply.code(403).send({
+      success: false,
+      error: 'Admin role required'
+    });
+  }
+}
+
+export async function authRoutes(fastify) {
+  /**
+   * GET /api/auth/session
+   * Current user, and whether the first (admin) account still has to be created
+   */
+  fastify.get('/api/auth/session', async (request, reply) => {
+    const user = await authService.getSessionUser(sessionToken(request));
+    return {
+      user,
+      setupRequired: !await storage.hasUsers()
+    };
+  });
+
+  /**
+   * POST /api/auth/setup
+   * Create the first account, an admin that takes over existing connections, pages and history
+   */
+  fastify.post('/api/auth/setup', {
+    schema: {
+      body: credentialsSchema
+    }
+  }, async (request, reply) => {
+    // Checked again when the account is stored, in case another setup request got there first
+    const user = !await storage.hasUsers() && await authService.createUser(request.body, { setup: true });
+    if (!user) {
+      return reply.code(409).send({
+        success: false,
+        error: 'An admin account already exists'
+      });
+    }
+
+    await startSession(request, reply, user);
+
+    return {
+      success: true,
+      user
+    };
+  });
+
+  /**
+   * POST /api/auth/login
+   * Log in with user name and password
+   */
+  fastify.post('/api/auth/login', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+          username: { type: 'string', minLength: 1 },
+          password: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { username, password } = request.body;
+
+    const user = await authService.authenticate(username, password);
+    if (!user) {
+      return reply.code(401).send({
+        success: false,
+        error: 'Invalid user name or password'
+      });
+    }
+
+    await startSession(request, reply, user);
+
+    return {
+      success: true,
+      user
+    };
+  });
+
+  /**
+   * POST /api/auth/logout
+   * End the current session
+   */
+  fastify.post('/api/auth/logout', async (request, reply) => {
+    await authService.endSession(sessionToken(request));
+    reply.header('Set-Cookie', serializeCookie(SESSION_COOKIE, '', { maxAge: 0 }));
+
+    return {
+      success: true
+    };
+  });
+
+  /**
+   * PUT /api/auth/password
+   * Change the password of the current user; their other sessions end
+   */
+  fastify.put('/api/auth/password', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['currentPassword', 'newPassword'],
+        properties: {
+          currentPassword: { type: 'string', minLength: 1 },
+          newPassword: passwordSchema
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { currentPassword, newPassword } = request.body;
+
+    if (!await authService.authenticate(request.user.username, currentPassword)) {
+      return reply.code(400).send({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    await authService.setPassword(request.user.id, newPassword);
+    await authService.endOtherSessions(request.user.id, sessionToken(request));
+
+    return {
+      success: true,
+      message: 'Password changed'
+    };
+  });
+}
@@ -4,21 +4,91 @@
 
 import { storage } from '../services/storage.js';
 import { notionService } from '../services/notion.js';
+import { pluginService } from '../services/plugins.js';
 import { extractPageId, isValidApiKeyFormat } from '../utils/validator.js';
 
+const pluginsSchema = {
+  type: 'array',
+  items: { type: 'string' },
+  uniqueItems: true
+};
+
+// Heading level turned into toggle headings, or null
+const toggleHeadingsSchema = {
+  type: ['integer', 'null'],
+  enum: [1, 2, 3, null]
+};
+
+/**
+ * Resolve the connection a page configuration is bound to
+ * @param {string} [connectionId] - Connection ID (default connection if omitted)
+ * @param {string} userId - Owner of the connection
+ * @returns {Promise<{connection?: object, error?: string}>}
+ */
+async function resolveConnection(connectionId, userId) {
+  const connection = connectionId
+    ? await storage.getConnection(connectionId, { userId })
+    : await storage.getDefaultConnection({ userId });
+  if (!connection) {
+    return { error: connectionId ? 'Notion connection not found' : 'No Notion connection is configured' };
+  }
+  return { connection };
+}
+
+/**
+ * Names of the page configurations using a connection, including shared pages
+ * (pages without one use the default connection of their user)
+ */
+async function pagesUsingConnection(connection) {
+  const pages = await storage.getPages();
+  return pages
+    .filter(p => p.connectionId ? p.connectionId === connection.id : connection.isDefault && p.userId === connection.userId)
+    .map(p => p.name);
+}
+
+/**
+ * Error response if the user may not change a page configuration: shared pages are managed by admins
+ */
+function pageChangeError(page, user, reply) {
+  if (page.shared && user.role !== 'admin') {
+    return reply.code(403).send({
+      success: false,
+      error: 'Only admins can change shared page configurations'
+    });
+  }
+  return null;
+}
+
+/**
+ * Error message for plugin IDs that are not installed, or null if all are
+ */
+async function unknownPluginsError(ids) {
+  const unknown = ids ? await pluginService.findUnknown(ids) : [];
+  return unknown.length > 0 ? `Unknown plugin: ${unknown.join(', ')}` : null;
+}
+
 export async function configRoutes(fastify) {
   /**
    * GET /api/config/status
    * Get current configuration status
    */
-  fastify.get('/api/config/status', async (request, reply) => {
-    const hasApiKey = await storage.hasApiKey();
-    const pages = await storage.getPages();
-    const defaultPage = await storage.getDefaultPage();
+  fastify.get('/api/config/status', {
+    config: { scope: 'config:read' },
+    schema: {
+      summary: 'Get the configuration status'
+    }
+  }, async (request, reply) => {
+    const scope = { userId: request.user.id };
+    const connections = await storage.getConnections(scope);
+    const hasApiKey = connections.length > 0;
+    const pages = await storage.getPages(scope);
+    const defaultPage = await storage.getDefaultPage(scope);
     
+    // Shared pages upload through the connection an admin chose for them
     return {
-      configured: hasApiKey && pages.length > 0,
+      configured: pages.length > 0 && (hasApiKey || pages.some(p => p.shared)),
       hasApiKey,
+      connectionCount: connections.length,
       pageCount: pages.length,
       defaultPage: defaultPage ? {
         id: defaultPage.id,
@@ -30,7 +100,7 @@ export async function configRoutes(fastify) {
 
   /**
    * POST /api/config/api-key
-   * Save Notion API key
+   * Save the Notion API key of the default connection (created if there is none)
    */
   fastify.post('/api/config/api-key', {
     schema: {
@@ -61,7 +131,17 @@ export async function configRoutes(fastify) {
       });
     }
     
-    await storage.setApiKey(apiKey);
+    const defaultConnection = await storage.getDefaultConnection({ userId: request.user.id });
+    if (defaultConnection) {
+      await storage.updateConnection(defaultConnection.id, { token: apiKey, type: 'token', refreshToken: null, workspaceName: result.user.workspaceName });
+    } else {
+      await storage.addConnection({
+        userId: request.user.id,
+        name: result.user.workspaceName || 'Default',
+        token: apiKey,
+        workspaceName: result.user.workspaceName
+      });
+    }
     
     return {
       success: true,
@@ -69,12 +149,198 @@ export async function configRoutes(fastify) {
     };
   });
 
+  /**
+   * GET /api/config/connections
+   * List the Notion connections of the current user (tokens are never returned)
+   */
+  fastify.get('/api/config/connections', {
+    config: { scope: 'config:read' },
+    schema: {
+      summary: 'List Notion connections'
+    }
+  }, async (request, reply) => {
+    const connections = await storage.getConnections({ userId: request.user.id });
+    const withPages = [];
+    for (const connection of connections) {
+      withPages.push({ ...connection, pages: await pagesUsingConnection(connection) });
+    }
+    return { connections: withPages };
+  });
+
+  /**
+   * POST /api/config/connections
+   * Add a named Notion connection after checking its token
+   */
+  fastify.post('/api/config/connections', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name', 'apiKey'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          apiKey: { type: 'string', minLength: 1 },
+          isDefault: { type: 'boolean' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { name, apiKey, isDefault } = request.body;
+    
+    if (!isValidApiKeyFormat(apiKey)) {
+      return reply.code(400).send({
+        success: false,
+        error: 'Invalid API key format'
+      });
+    }
+    
+    const result = await notionService.validateApiKey(apiKey);
+    if (!result.valid) {
+      return reply.code(400).send({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    const connection = await storage.addConnection({
+      userId: request.user.id,
+      name,
+      token: apiKey,
+      workspaceName: result.user.workspaceName,
+      isDefault
+    });
+    
+    return {
+      success: true,
+      connection,
+      user: result.user
+    };
+  });
+
+  /**
+   * POST /api/config/connections/:id/test
+   * Check that the stored token of a connection still works
+   */
+  fastify.post('/api/config/connections/:id/test', async (request, reply) => {
+    const { id } = request.params;
+    
+    const apiKey = await storage.getConnection(id, { userId: request.user.id }) && await storage.getConnectionToken(id);
+    if (!apiKey) {
+      return reply.code(404).send({
+        success: false,
+        error: 'Notion connection not found'
+      });
+    }
+    
+    const result = await notionService.validateApiKey(apiKey);
+    if (!result.valid) {
+      return reply.code(400).send({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    await storage.updateConnection(id, { workspaceName: result.user.workspaceName });
+    return {
+      success: true,
+      user: result.user
+    };
+  });
+
+  /**
+   * PUT /api/config/connections/:id
+   * Rename a connection, replace its token or make it the default
+   */
+  fastify.put('/api/config/connections/:id', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          apiKey: { type: 'string', minLength: 1 },
+          isDefault: { type: 'boolean' }
+        },
+        additionalProperties: false
+      }
+    }
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const { apiKey, ...updates } = request.body;
+    
+    if (!await storage.getConnection(id, { userId: request.user.id })) {
+      return reply.code(404).send({
+        success: false,
+        error: 'Notion connection not found'
+      });
+    }
+    
+    if (apiKey) {
+      if (!isValidApiKeyFormat(apiKey)) {
+        return reply.code(400).send({
+          success: false,
+          error: 'Invalid API key format'
+        });
+      }
+      const result = await notionService.validateApiKey(apiKey);
+      if (!result.valid) {
+        return reply.code(400).send({
+          success: false,
+          error: result.error
+        });
+      }
+      // A pasted token replaces an OAuth authorization of the connection
+      Object.assign(updates, { token: apiKey, type: 'token', refreshToken: null, workspaceName: result.user.workspaceName });
+    }
+    
+    const connection = await storage.updateConnection(id, updates);
+    
+    return {
+      success: true,
+      connection
+    };
+  });
+
+  /**
+   * DELETE /api/config/connections/:id
+   * Remove a connection that no page configuration uses
+   */
+  fastify.delete('/api/config/connections/:id', async (request, reply) => {
+    const { id } = request.params;
+    
+    const connection = await storage.getConnection(id, { userId: request.user.id });
+    if (!connection) {
+      return reply.code(404).send({
+        success: false,
+        error: 'Notion connection not found'
+      });
+    }
+    
+    const pages = await pagesUsingConnection(connection);
+    if (pages.length > 0) {
+      return reply.code(409).send({
+        success: false,
+        error: `Connection is used by page configurations: ${pages.join(', ')}`
+      });
+    }
+    
+    await storage.deleteConnection(id);
+    
+    return {
+      success: true,
+      message: 'Connection deleted'
+    };
+  });
+
   /**
    * GET /api/config/pages
-   * Get all page configurations
+   * Get the page configurations of the current user and the shared ones
    */
-  fastify.get('/api/config/pages', async (request, reply) => {
-    const pages = await storage.getPages();
+  fastify.get('/api/config/pages', {
+    config: { scope: 'config:read' },
+    schema: {
+      summary: 'List page configurations'
+    }
+  }, async (request, reply) => {
+    const pages = await storage.getPages({ userId: request.user.id });
     return { pages };
   });
 
@@ -90,12 +356,21 @@ export async function configRoutes(fastify) {
         properties: {
           name: { type: 'string', minLength: 1 },
           pageUrl: { type: 'string', minLength: 1 },
-          isDefault: { type: 'boolean' }
+          type: { type: 'string', enum: ['page', 'database'] },
+          isDefault: { type: 'boolean' },
+          connectionId: { type: 'string' },
+          shared: { type: 'boolean' },
+          plugins: pluginsSchema,
+          toggleHeadings: toggleHeadingsSchema,
+          diagrams: { type: 'boolean' }
         }
       }
     }
   }, async (request, reply) => {
-    const { name, pageUrl, isDefault } = request.body;
+    const { name, pageUrl, type, isDefault, connectionId, shared, plugins, toggleHeadings, diagrams } = request.body;
+    
+    const forbidden = pageChangeError({ shared }, request.user, reply);
+    if (forbidden) return forbidden;
     
     const pageId = extractPageId(pageUrl);
     if (!pageId) {
@@ -105,8 +380,24 @@ export async function configRoutes(fastify) {
       });
     }
     
-    // Validate page access
-    const result = await notionService.validatePageAccess(pageId);
+    const pluginsError = await unknownPluginsError(plugins);
+    if (pluginsError) {
+      return reply.code(400).send({
+        success: false,
+        error: pluginsError
+      });
+    }
+    
+    const { connection, error: connectionError } = await resolveConnection(connectionId, request.user.id);
+    if (connectionError) {
+      return reply.code(400).send({
+        success: false,
+        error: connectionError
+      });
+    }
+    
+    // Validate page access through the connection (also detects whether the target is a database)
+    const result = await notionService.validatePageAccess(pageId, { connectionId: connection.id });
     if (!result.valid) {
       return reply.code(400).send({
         success: false,
@@ -114,19 +405,74 @@ export async function configRoutes(fastify) {
       });
     }
     
+    if (type && type !== result.page.type) {
+      return reply.code(400).send({
+        success: false,
+        error: `The Notion URL points to a ${result.page.type}, not a ${type}`
+      });
+    }
+    
     const page = await storage.addPage({
       name,
       pageId,
+      type: result.page.type,
       url: result.page.url,
+      connectionId: connection.id,
+      userId: request.user.id,
+      shared,
+      plugins,
+      toggleHeadings,
+      diagrams,
       isDefault
     });
     
     return {
       success: true,
-      page
+      page,
+      schema: result.page.schema
     };
   });
 
+  /**
+   * GET /api/config/pages/:id/schema
+   * Get the property schema of a database target
+   */
+  fastify.get('/api/config/pages/:id/schema', {
+    config: { scope: 'config:read' },
+    schema: {
+      summary: 'Get the property schema of a database target'
+    }
+  }, async (request, reply) => {
+    const page = await storage.getPage(request.params.id, { userId: request.user.id });
+    
+    if (!page) {
+      return reply.code(404).send({
+        success: false,
+        error: 'Page configuration not found'
+      });
+    }
+    if (page.type !== 'database') {
+      return reply.code(400).send({
+        success: false,
+        error: 'Page configuration is not a database'
+      });
+    }
+    
+    try {
+      const database = await notionService.retrieveDatabase(page.pageId, { connectionId: page.connectionId });
+      return {
+        success: true,
+        titleProperty: database.titleProperty,
+        schema: database.schema
+      };
+    } catch (error) {
+      return reply.code(400).send({
+        success: false,
+        error: notionService.formatError(error)
+      });
+    }
+  });
+
   /**
    * PUT /api/config/pages/:id
    * Update a page configuration
@@ -144,14 +490,53 @@ export async function configRoutes(fastify) {
         type: 'object',
         properties: {
           name: { type: 'string' },
-          isDefault: { type: 'boolean' }
-        }
+          isDefault: { type: 'boolean' },
+          connectionId: { type: 'string' },
+          shared: { type: 'boolean' },
+          plugins: pluginsSchema,
+          toggleHeadings: toggleHeadingsSchema,
+          diagrams: { type: 'boolean' }
+        },
+        // Other fields (userId, pageId, type, ...) are set by the server and removed from the body
+        additionalProperties: false
       }
     }
   }, async (request, reply) => {
     const { id } = request.params;
     const updates = request.body;
     
+    const existing = await storage.getPage(id, { userId: request.user.id });
+    if (!existing) {
+      return reply.code(404).send({
+        success: false,
+        error: 'Page configuration not found'
+      });
+    }
+    const forbidden = pageChangeError(existing, request.user, reply) || pageChangeError(updates, request.user, reply);
+    if (forbidden) return forbidden;
+    
+    // Moving a page configuration to another connection requires access to the page through it
+    if (updates.connectionId && updates.connectionId !== existing.connectionId) {
+      const { error: connectionError } = await resolveConnection(updates.connectionId, request.user.id);
+      const access = connectionError
+        ? { valid: false, error: connectionError }
+        : await notionService.validatePageAccess(existing.pageId, { connectionId: updates.connectionId });
+      if (!access.valid) {
+        return reply.code(400).send({
+          success: false,
+          error: access.error
+        });
+      }
+    }
+    
+    const pluginsError = await unknownPluginsError(updates.plugins);
+    if (pluginsError) {
+      return reply.code(400).send({
+        success: false,
+        error: pluginsError
+      });
+    }
+    
     const page = await storage.updatePage(id, updates);
     
     if (!page) {
@@ -167,6 +552,20 @@ export async function configRoutes(fastify) {
     };
   });
 
+  /**
+   * GET /api/config/plugins
+   * List the conversion plugins installed in the plugins/ directory
+   */
+  fastify.get('/api/config/plugins', {
+    config: { scope: 'config:read' },
+    schema: {
+      summary: 'List conversion plugins'
+    }
+  }, async (request, reply) => {
+    const plugins = await pluginService.list();
+    return { plugins };
+  });
+
   /**
    * DELETE /api/config/pages/:id
    * Delete a page configuration
@@ -174,14 +573,17 @@ export async function configRoutes(fastify) {
   fastify.delete('/api/config/pages/:id', async (request, reply) => {
     const { id } = request.params;
     
-    const deleted = await storage.deletePage(id);
-    
-    if (!deleted) {
+    const page = await storage.getPage(id, { userId: request.user.id });
+    if (!page) {
       return reply.code(404).send({
         success: false,
         error: 'Page configuration not found'
       });
     }
+    const forbidden = pageChangeError(page, request.user, reply);
+    if (forbidden) return forbidden;
+    
+    await storage.deletePage(id);
     
     return {
       success: true,
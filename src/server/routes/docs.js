@@ -0,0 +1,37 @@
+/**
+ * docs.js - OpenAPI document of the REST API, generated from the route schemas
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { API_TOKEN_SCOPES, SESSION_COOKIE } from '../services/auth.js';
+import { buildOpenApiDocument } from '../utils/openapi.js';
+import { PUBLIC_ROUTES } from './auth.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const pkg = JSON.parse(readFileSync(join(__dirname, '../../../package.json'), 'utf-8'));
+
+/**
+ * @param {object} fastify
+ * @param {Object} options
+ * @param {Array<object>} options.routes - Route options collected by an onRoute hook
+ */
+export async function docsRoutes(fastify, { routes }) {
+  let document = null;
+
+  /**
+   * GET /api/docs
+   * OpenAPI 3.1 document (JSON) of the /api routes
+   */
+  fastify.get('/api/docs', async (request, reply) => {
+    document ||= buildOpenApiDocument(routes, {
+      title: 'Markdown to Notion API',
+      version: pkg.version,
+      publicRoutes: PUBLIC_ROUTES,
+      scopes: API_TOKEN_SCOPES,
+      sessionCookie: SESSION_COOKIE
+    });
+    return document;
+  });
+}
@@ -0,0 +1,98 @@
+/**
+ * export.js - Export Notion pages back to Markdown
+ */
+
+import { notionService } from '../services/notion.js';
+import { storage } from '../services/storage.js';
+import { extractPageId } from '../utils/validator.js';
+import { markdownFilename } from '../utils/notion-markdown.js';
+
+export async function exportRoutes(fastify) {
+  /**
+   * GET /api/export/:pageId
+   * Download a Notion page (and its nested blocks) as a Markdown file, read through the given connection
+   * of the current user (their default connection if omitted). With historyId, the page of one of their
+   * uploads is read through the connection it was uploaded with, which may be that of a shared page.
+   */
+  fastify.get('/api/export/:pageId', {
+    schema: {
+      params: {
+        type: 'object',
+        required: ['pageId'],
+        properties: {
+          pageId: { type: 'string' }
+        }
+      },
+      querystring: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', enum: ['file', 'json'], default: 'file' },
+          connectionId: { type: 'string' },
+          historyId: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const pageId = extractPageId(request.params.pageId);
+    if (!pageId) {
+      return reply.code(400).send({
+        success: false,
+        error: 'Invalid Notion page URL or ID'
+      });
+    }
+    
+    const { connectionId, historyId } = request.query;
+    const scope = { userId: request.user.id };
+    
+    let record = null;
+    if (historyId) {
+      record = await storage.getHistoryRecord(historyId, scope);
+      if (!record) {
+        return reply.code(404).send({
+          success: false,
+          error: 'History record not found'
+        });
+      }
+      if (record.notionPageId?.replace(/-/g, '').toLowerCase() !== pageId.toLowerCase()) {
+        return reply.code(400).send({
+          success: false,
+          error: 'The history record belongs to another Notion page'
+        });
+      }
+    }
+    
+    const connection = record?.connectionId
+      ? { id: record.connectionId }
+      : connectionId
+        ? await storage.getConnection(connectionId, scope)
+        : await storage.getDefaultConnection(scope);
+    if (!connection) {
+      return reply.code(400).send({
+        success: false,
+        error: connectionId ? 'Notion connection not found' : 'No Notion connection is configured'
+      });
+    }
+    
+    const result = await notionService.exportPage(pageId, { connectionId: connection.id });
+    if (!result.success) {
+      return reply.code(500).send({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    if (request.query.format === 'json') {
+      return {
+        success: true,
+        title: result.title,
+        markdown: result.markdown
+      };
+    }
+    
+    const filename = markdownFilename(result.title);
+    return reply
+      .header('Content-Type', 'text/markdown; charset=utf-8')
+      .header('Content-Disposition', `attachment; filename="export.md"; filename*=UTF-8''${encodeURIComponent(filename)}`)
+      .send(result.markdown);
+  });
+}
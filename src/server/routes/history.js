@@ -3,14 +3,35 @@
  */
 
 import { storage } from '../services/storage.js';
+import { uploadService } from '../services/upload.js';
+import { CALLOUT_COLORS } from '../utils/callouts.js';
+import { requireAdmin } from './auth.js';
+
+/**
+ * Add page names and whether a failed upload can be resumed to history records
+ */
+async function enrichHistory(history) {
+  const pages = await storage.getPages();
+  return Promise.all(history.map(async record => {
+    const pageConfig = pages.find(p => p.id === record.pageConfigId);
+    const job = record.jobId && await storage.getJob(record.jobId);
+    return {
+      ...record,
+      pageConfigName: pageConfig?.name || 'Unknown Page',
+      resumable: uploadService.isResumable(job)
+    };
+  }));
+}
 
 export async function historyRoutes(fastify) {
   /**
    * GET /api/history
-   * Get upload history
+   * Get the upload history of the current user
    */
   fastify.get('/api/history', {
+    config: { scope: 'history:read' },
     schema: {
+      summary: 'Get the upload history',
       querystring: {
         type: 'object',
         properties: {
@@ -22,17 +43,8 @@ export async function historyRoutes(fastify) {
   }, async (request, reply) => {
     const { limit = 50, search = '' } = request.query;
     
-    const history = await storage.getHistory(limit, search);
-    const pages = await storage.getPages();
-    
-    // Enrich history with page names
-    const enrichedHistory = history.map(record => {
-      const pageConfig = pages.find(p => p.id === record.pageConfigId);
-      return {
-        ...record,
-        pageConfigName: pageConfig?.name || 'Unknown Page'
-      };
-    });
+    const history = await storage.getHistory(limit, search, { userId: request.user.id });
+    const enrichedHistory = await enrichHistory(history);
     
     return {
       history: enrichedHistory,
@@ -45,7 +57,9 @@ export async function historyRoutes(fastify) {
    * Get recent upload history (for dashboard)
    */
   fastify.get('/api/history/recent', {
+    config: { scope: 'history:read' },
     schema: {
+      summary: 'Get the most recent uploads',
       querystring: {
         type: 'object',
         properties: {
@@ -56,58 +70,92 @@ export async function historyRoutes(fastify) {
   }, async (request, reply) => {
     const { limit = 5 } = request.query;
     
-    const history = await storage.getHistory(limit);
-    const pages = await storage.getPages();
-    
-    const enrichedHistory = history.map(record => {
-      const pageConfig = pages.find(p => p.id === record.pageConfigId);
-      return {
-        ...record,
-        pageConfigName: pageConfig?.name || 'Unknown Page'
-      };
-    });
+    const history = await storage.getHistory(limit, '', { userId: request.user.id });
+    const enrichedHistory = await enrichHistory(history);
     
     return {
       history: enrichedHistory
     };
   });
 
+  /**
+   * POST /api/history/:id/resume
+   * Continue a failed upload on the page it already created, from the last uploaded batch
+   */
+  fastify.post('/api/history/:id/resume', {
+    config: { scope: 'upload' },
+    schema: {
+      summary: 'Resume a failed upload'
+    }
+  }, async (request, reply) => {
+    const result = await uploadService.resumeUpload(request.params.id, { userId: request.user.id });
+    
+    if (!result.success) {
+      return reply.code(500).send({
+        success: false,
+        error: result.error,
+        record: result.record
+      });
+    }
+    
+    return {
+      success: true,
+      page: result.page,
+      record: result.record
+    };
+  });
+
   /**
    * GET /api/settings
    * Get user settings
    */
   fastify.get('/api/settings', async (request, reply) => {
-    await storage.init();
     return {
-      settings: storage.db.data.settings
+      settings: await storage.getSettings()
     };
   });
 
   /**
    * PUT /api/settings
-   * Update user settings
+   * Update user settings (admins only, settings apply to all users)
    */
   fastify.put('/api/settings', {
+    preHandler: requireAdmin,
     schema: {
       body: {
         type: 'object',
         properties: {
           autoOpenNotion: { type: 'boolean' },
           autoClearInput: { type: 'boolean' },
-          maxFileSize: { type: 'integer', minimum: 1048576 }
+          maxFileSize: { type: 'integer', minimum: 1048576 },
+          imageHosting: { type: 'string', enum: ['notion', 'static'] },
+          imageBaseUrl: { type: ['string', 'null'] },
+          plantumlJar: { type: ['string', 'null'] },
+          notionRequestsPerSecond: { type: 'number', exclusiveMinimum: 0, maximum: 10 },
+          notionMaxRetries: { type: 'integer', minimum: 0, maximum: 10 },
+          notionRetryBaseDelay: { type: 'integer', minimum: 100 },
+          notionRetryMaxDelay: { type: 'integer', minimum: 1000 },
+          callouts: {
+            type: 'object',
+            propertyNames: { pattern: '^[a-z][a-z0-9_-]*$' },
+            additionalProperties: {
+              type: 'object',
+              required: ['emoji'],
+              properties: {
+                emoji: { type: 'string', minLength: 1 },
+                color: { type: 'string', enum: CALLOUT_COLORS }
+              }
+            }
+          }
         }
       }
     }
   }, async (request, reply) => {
-    const updates = request.body;
-    
-    await storage.init();
-    Object.assign(storage.db.data.settings, updates);
-    await storage.db.write();
+    const settings = await storage.updateSettings(request.body);
     
     return {
       success: true,
-      settings: storage.db.data.settings
+      settings
     };
   });
 }
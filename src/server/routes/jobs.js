@@ -0,0 +1,115 @@
+/**
+ * jobs.js - Background job routes (state, Server-Sent Events progress stream, cancellation)
+ */
+
+import { jobService } from '../services/jobs.js';
+
+// Comment line sent periodically so proxies keep idle event streams open
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+const jobParamsSchema = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: 'string' }
+  }
+};
+
+/**
+ * State of a job started by the user, or null
+ */
+function findJob(request) {
+  const job = jobService.get(request.params.id);
+  return job?.userId === request.user.id ? job : null;
+}
+
+function jobNotFound(reply) {
+  return reply.code(404).send({
+    success: false,
+    error: 'Job not found'
+  });
+}
+
+export async function jobRoutes(fastify) {
+  /**
+   * GET /api/jobs/:id
+   * Get the current state of a background job
+   */
+  fastify.get('/api/jobs/:id', {
+    config: { scope: 'upload' },
+    schema: {
+      summary: 'Get the state of a background job',
+      params: jobParamsSchema
+    }
+  }, async (request, reply) => {
+    const job = findJob(request);
+    if (!job) {
+      return jobNotFound(reply);
+    }
+
+    return { job };
+  });
+
+  /**
+   * GET /api/jobs/:id/events
+   * Stream job state as Server-Sent Events: "progress" events while running, one "done" event at the end
+   */
+  fastify.get('/api/jobs/:id/events', {
+    config: { scope: 'upload' },
+    schema: {
+      summary: 'Stream job progress as Server-Sent Events',
+      produces: ['text/event-stream'],
+      params: jobParamsSchema
+    }
+  }, async (request, reply) => {
+    const job = findJob(request);
+    if (!job) {
+      return jobNotFound(reply);
+    }
+
+    reply.hijack();
+    const stream = reply.raw;
+    stream.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => stream.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      stream.end();
+    };
+    const send = state => {
+      const finished = jobService.isFinished(state);
+      stream.write(`event: ${finished ? 'done' : 'progress'}\ndata: ${JSON.stringify(state)}\n\n`);
+      if (finished) close();
+    };
+
+    request.raw.on('close', close);
+    // Subscribe before sending the current state so no update is missed
+    unsubscribe = jobService.subscribe(job.id, send);
+    send(jobService.get(job.id));
+  });
+
+  /**
+   * POST /api/jobs/:id/cancel
+   * Cancel a running job; blocks already uploaded stay and the upload can be resumed from history
+   */
+  fastify.post('/api/jobs/:id/cancel', {
+    config: { scope: 'upload' },
+    schema: {
+      summary: 'Cancel a running job',
+      params: jobParamsSchema
+    }
+  }, async (request, reply) => {
+    const job = findJob(request) && jobService.cancel(request.params.id);
+    if (!job) {
+      return jobNotFound(reply);
+    }
+
+    return { success: true, job };
+  });
+}
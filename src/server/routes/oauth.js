@@ -0,0 +1,69 @@
+/**
+ * oauth.js - Notion OAuth login routes
+ */
+
+import { oauthService } from '../services/oauth.js';
+
+/**
+ * Callback URL on this server, as reached by the browser
+ */
+function callbackUrl(request) {
+  return `${request.protocol}://${request.headers.host}/api/oauth/callback`;
+}
+
+export async function oauthRoutes(fastify) {
+  /**
+   * GET /api/oauth/status
+   * Whether Notion OAuth is configured (client ID and secret are set)
+   */
+  fastify.get('/api/oauth/status', async (request, reply) => {
+    return { enabled: oauthService.isConfigured() };
+  });
+
+  /**
+   * GET /api/oauth/authorize
+   * Redirect the browser to Notion to authorize the integration for a workspace
+   */
+  fastify.get('/api/oauth/authorize', async (request, reply) => {
+    if (!oauthService.isConfigured()) {
+      return reply.code(404).send({
+        success: false,
+        error: 'Notion OAuth is not configured'
+      });
+    }
+
+    return reply.redirect(oauthService.createAuthorizationUrl(callbackUrl(request), request.user.id));
+  });
+
+  /**
+   * GET /api/oauth/callback
+   * Exchange the authorization code for an access token, save the connection
+   * and return to the web interface with the result in the query string
+   */
+  fastify.get('/api/oauth/callback', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          code: { type: 'string' },
+          state: { type: 'string' },
+          error: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { connection, created } = await oauthService.completeAuthorization(request.query, request.user.id);
+      const params = new URLSearchParams({
+        oauth: 'success',
+        connectionId: connection.id,
+        workspace: connection.workspaceName || connection.name,
+        created: String(created)
+      });
+      return reply.redirect(`/?${params}`);
+    } catch (error) {
+      request.log.warn(`Notion OAuth failed: ${error.message}`);
+      return reply.redirect(`/?${new URLSearchParams({ oauth: 'error', message: error.message })}`);
+    }
+  });
+}
@@ -0,0 +1,72 @@
+/**
+ * tokens.js - Personal API token routes (only with a login session, tokens cannot manage tokens)
+ */
+
+import { storage } from '../services/storage.js';
+import { authService, API_TOKEN_SCOPES } from '../services/auth.js';
+
+export async function tokenRoutes(fastify) {
+  /**
+   * GET /api/tokens
+   * List the API tokens of the current user, and the scopes a token can be granted
+   */
+  fastify.get('/api/tokens', async (request, reply) => {
+    const tokens = await storage.getApiTokens({ userId: request.user.id });
+    return {
+      tokens,
+      scopes: API_TOKEN_SCOPES
+    };
+  });
+
+  /**
+   * POST /api/tokens
+   * Create an API token; its value is only returned in this response
+   */
+  fastify.post('/api/tokens', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          scopes: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', enum: Object.keys(API_TOKEN_SCOPES) }
+          },
+          expiresInDays: { type: 'integer', minimum: 1, maximum: 3650 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { apiToken, token } = await authService.createApiToken({
+      ...request.body,
+      userId: request.user.id
+    });
+
+    return {
+      success: true,
+      apiToken,
+      token
+    };
+  });
+
+  /**
+   * DELETE /api/tokens/:id
+   * Revoke an API token
+   */
+  fastify.delete('/api/tokens/:id', async (request, reply) => {
+    const deleted = await storage.deleteApiToken(request.params.id, { userId: request.user.id });
+    if (!deleted) {
+      return reply.code(404).send({
+        success: false,
+        error: 'API token not found'
+      });
+    }
+
+    return {
+      success: true,
+      message: 'API token revoked'
+    };
+  });
+}
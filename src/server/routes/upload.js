@@ -2,212 +2,384 @@
  * upload.js - Markdown upload routes
  */
 
-import { storage } from '../services/storage.js';
-import { notionService } from '../services/notion.js';
 import { markdownService } from '../services/markdown.js';
-import { validateMarkdown, getMarkdownStats } from '../utils/validator.js';
+import { uploadService } from '../services/upload.js';
+import { directoryService } from '../services/directory.js';
+import { jobService } from '../services/jobs.js';
+import { imageService } from '../services/images.js';
+import { diagramService } from '../services/diagrams.js';
+import { getMarkdownStats } from '../utils/validator.js';
+import { isZipFile } from '../utils/archive.js';
+
+// Body properties shared by the upload endpoints for updating an existing page
+const updateModeProperties = {
+  mode: { type: 'string', enum: ['create', 'update'] },
+  targetPageId: { type: 'string' },
+  historyId: { type: 'string' },
+  updateStrategy: { type: 'string', enum: ['replace', 'append', 'sync'] }
+};
+
+// JSON body of a markdown upload
+const uploadBodySchema = {
+  type: 'object',
+  required: ['markdown'],
+  properties: {
+    markdown: { type: 'string', minLength: 1 },
+    pageConfigId: { type: 'string' },
+    title: { type: 'string' },
+    properties: { type: 'object' },
+    diagrams: { type: 'boolean' },
+    ...updateModeProperties
+  },
+  // The body is passed on to uploadService.upload, whose other options (targetPage, ...) are internal
+  additionalProperties: false
+};
+
+/**
+ * Response body of a successful upload
+ */
+function uploadResponse(result, markdown) {
+  return {
+    success: true,
+    page: result.page,
+    mode: result.record.mode,
+    historyId: result.record.id,
+    warnings: result.warnings,
+    stats: getMarkdownStats(markdown)
+  };
+}
+
+/**
+ * Read all files and fields of a multipart request into memory
+ * @param {object} request - Fastify request
+ * @param {object} [options] - Busboy options (e.g. preservePath to keep relative folder paths)
+ * @returns {Promise<{uploads: Array<{filename: string, data: Buffer}>, fields: object}>}
+ */
+async function readMultipart(request, options = {}) {
+  const uploads = [];
+  const fields = {};
+  
+  for await (const part of request.parts(options)) {
+    if (part.type === 'file') {
+      uploads.push({ filename: part.filename, data: await part.toBuffer() });
+    } else {
+      fields[part.fieldname] = part.value;
+    }
+  }
+  
+  return { uploads, fields };
+}
 
 export async function uploadRoutes(fastify) {
   /**
    * POST /api/upload
-   * Upload markdown content to Notion
+   * Upload markdown content to Notion (create a new page or update an existing one)
    */
   fastify.post('/api/upload', {
+    config: { scope: 'upload' },
     schema: {
-      body: {
-        type: 'object',
-        required: ['markdown'],
-        properties: {
-          markdown: { type: 'string', minLength: 1 },
-          pageConfigId: { type: 'string' },
-          title: { type: 'string' }
-        }
-      }
+      summary: 'Upload markdown to Notion',
+      body: uploadBodySchema
     }
   }, async (request, reply) => {
-    const { markdown, pageConfigId, title } = request.body;
+    const { markdown, ...options } = request.body;
     
-    // Validate markdown
-    const settings = await storage.db.data.settings;
-    const validation = validateMarkdown(markdown, settings?.maxFileSize);
-    if (!validation.valid) {
-      return reply.code(400).send({
-        success: false,
-        error: validation.error
-      });
-    }
+    const result = await uploadService.upload({ markdown, ...options, userId: request.user.id });
     
-    // Get target page configuration
-    let targetPage;
-    if (pageConfigId) {
-      const pages = await storage.getPages();
-      targetPage = pages.find(p => p.id === pageConfigId);
+    if (result.success) {
+      return uploadResponse(result, markdown);
     } else {
-      targetPage = await storage.getDefaultPage();
-    }
-    
-    if (!targetPage) {
-      return reply.code(400).send({
+      return reply.code(500).send({
         success: false,
-        error: 'No target page configured. Please add a page configuration first.'
+        error: result.error,
+        historyId: result.record.id
       });
     }
-    
-    // Extract or use provided title
-    const pageTitle = title || markdownService.extractTitle(markdown);
-    
-    // Convert markdown to Notion blocks
-    let blocks;
-    try {
-      blocks = markdownService.convertToBlocks(markdown);
-    } catch (error) {
-      return reply.code(400).send({
-        success: false,
-        error: `Failed to convert markdown: ${error.message}`
-      });
+  });
+
+  /**
+   * POST /api/upload/jobs
+   * Start an upload as a background job; follow it via /api/jobs/:id/events
+   */
+  fastify.post('/api/upload/jobs', {
+    config: { scope: 'upload' },
+    schema: {
+      summary: 'Start an upload as a background job',
+      body: uploadBodySchema
     }
+  }, async (request, reply) => {
+    const { markdown, ...options } = request.body;
+    const userId = request.user.id;
     
-    // Create Notion page
-    const result = await notionService.createPage(
-      targetPage.pageId,
-      pageTitle,
-      blocks
-    );
-    
-    // Record history
-    await storage.addHistory({
-      title: pageTitle,
-      pageConfigId: targetPage.id,
-      notionPageId: result.success ? result.page.id : null,
-      notionUrl: result.success ? result.page.url : null,
-      status: result.success ? 'success' : 'failed',
-      error: result.error || null
-    });
+    const job = jobService.start(async ({ id, signal, onProgress }) => {
+      const result = await uploadService.upload({ markdown, ...options, userId, jobId: id, signal, onProgress });
+      return result.success
+        ? uploadResponse(result, markdown)
+        : { success: false, error: result.error, historyId: result.record.id };
+    }, { userId });
     
-    if (result.success) {
-      return {
-        success: true,
-        page: result.page,
-        stats: getMarkdownStats(markdown)
-      };
-    } else {
-      return reply.code(500).send({
-        success: false,
-        error: result.error
-      });
-    }
+    return reply.code(202).send({ success: true, job });
   });
 
   /**
    * POST /api/upload/file
-   * Upload markdown file to Notion
+   * Upload markdown file to Notion, with optional attached images
    */
-  fastify.post('/api/upload/file', async (request, reply) => {
+  fastify.post('/api/upload/file', {
+    config: { scope: 'upload' },
+    schema: {
+      summary: 'Upload a markdown file with attached images',
+      consumes: ['multipart/form-data']
+    }
+  }, async (request, reply) => {
     try {
-      const data = await request.file();
+      const { uploads, fields } = await readMultipart(request, { preservePath: true });
       
-      if (!data) {
+      if (uploads.length === 0) {
         return reply.code(400).send({
           success: false,
           error: 'No file uploaded'
         });
       }
       
-      // Check file type
-      const filename = data.filename.toLowerCase();
-      if (!filename.endsWith('.md') && !filename.endsWith('.txt')) {
+      // The markdown file is the document, attached images are resolved from its image references
+      const { documents, assets } = await uploadService.expandUploads(uploads.filter(u => !isZipFile(u.filename)));
+      if (documents.length !== 1) {
         return reply.code(400).send({
           success: false,
-          error: 'Invalid file type. Only .md and .txt files are allowed.'
+          error: documents.length === 0
+            ? 'Invalid file type. Only .md and .txt files are allowed.'
+            : 'Only one markdown file can be uploaded at a time. Use /api/upload/batch for several files.'
         });
       }
+      const [{ path, markdown }] = documents;
       
-      // Read file content
-      const chunks = [];
-      for await (const chunk of data.file) {
-        chunks.push(chunk);
-      }
-      const markdown = Buffer.concat(chunks).toString('utf-8');
-      
-      // Get page config from fields
-      const fields = data.fields;
-      const pageConfigId = fields?.pageConfigId?.value;
-      const title = fields?.title?.value;
-      
-      // Validate and process (reuse logic from /api/upload)
-      const settings = await storage.db.data.settings;
-      const validation = validateMarkdown(markdown, settings?.maxFileSize);
-      if (!validation.valid) {
-        return reply.code(400).send({
-          success: false,
-          error: validation.error
-        });
+      // Get upload options from fields
+      const options = {};
+      for (const key of ['pageConfigId', 'title', ...Object.keys(updateModeProperties)]) {
+        if (fields[key]) {
+          options[key] = fields[key];
+        }
       }
-      
-      let targetPage;
-      if (pageConfigId) {
-        const pages = await storage.getPages();
-        targetPage = pages.find(p => p.id === pageConfigId);
-      } else {
-        targetPage = await storage.getDefaultPage();
+      if (fields.properties) {
+        try {
+          options.properties = JSON.parse(fields.properties);
+        } catch {
+          return reply.code(400).send({ success: false, error: 'properties must be a JSON object' });
+        }
       }
-      
-      if (!targetPage) {
-        return reply.code(400).send({
-          success: false,
-          error: 'No target page configured.'
-        });
+      if (fields.diagrams) {
+        options.diagrams = fields.diagrams === 'true';
       }
       
-      const pageTitle = title || markdownService.extractTitle(markdown);
-      const blocks = markdownService.convertToBlocks(markdown);
-      const result = await notionService.createPage(targetPage.pageId, pageTitle, blocks);
-      
-      await storage.addHistory({
-        title: pageTitle,
-        pageConfigId: targetPage.id,
-        notionPageId: result.success ? result.page.id : null,
-        notionUrl: result.success ? result.page.url : null,
-        status: result.success ? 'success' : 'failed',
-        error: result.error || null
-      });
+      const result = await uploadService.upload({ markdown, sourcePath: path, assets, ...options, userId: request.user.id });
       
       if (result.success) {
-        return { success: true, page: result.page, stats: getMarkdownStats(markdown) };
+        return uploadResponse(result, markdown);
       } else {
-        return reply.code(500).send({ success: false, error: result.error });
+        return reply.code(500).send({ success: false, error: result.error, historyId: result.record.id });
       }
     } catch (error) {
-      return reply.code(500).send({
+      return reply.code(error.statusCode || 500).send({
         success: false,
         error: `File upload failed: ${error.message}`
       });
     }
   });
 
+  /**
+   * POST /api/upload/batch
+   * Upload many markdown files or zip archives, one Notion page per file
+   */
+  fastify.post('/api/upload/batch', {
+    config: { scope: 'upload' },
+    schema: {
+      summary: 'Upload markdown files or zip archives, one page per file',
+      consumes: ['multipart/form-data']
+    }
+  }, async (request, reply) => {
+    let uploads, fields;
+    try {
+      ({ uploads, fields } = await readMultipart(request));
+    } catch (error) {
+      return reply.code(error.statusCode || 400).send({
+        success: false,
+        error: `Batch upload failed: ${error.message}`
+      });
+    }
+    
+    if (uploads.length === 0) {
+      return reply.code(400).send({
+        success: false,
+        error: 'No files uploaded'
+      });
+    }
+    
+    const report = await uploadService.uploadBatch(uploads, {
+      pageConfigId: fields.pageConfigId,
+      userId: request.user.id
+    });
+    
+    return {
+      success: report.summary.failed === 0,
+      ...report
+    };
+  });
+
+  /**
+   * POST /api/upload/directory
+   * Mirror a folder (zip archive or files with relative paths) as nested Notion pages
+   */
+  fastify.post('/api/upload/directory', {
+    config: { scope: 'upload' },
+    schema: {
+      summary: 'Import a folder as nested pages',
+      consumes: ['multipart/form-data']
+    }
+  }, async (request, reply) => {
+    let uploads, fields;
+    try {
+      ({ uploads, fields } = await readMultipart(request, { preservePath: true }));
+    } catch (error) {
+      return reply.code(error.statusCode || 400).send({
+        success: false,
+        error: `Directory import failed: ${error.message}`
+      });
+    }
+    
+    if (uploads.length === 0) {
+      return reply.code(400).send({
+        success: false,
+        error: 'No files uploaded'
+      });
+    }
+    
+    const updateStrategy = fields.updateStrategy || 'replace';
+    if (!['replace', 'append', 'sync'].includes(updateStrategy)) {
+      return reply.code(400).send({
+        success: false,
+        error: `Invalid update strategy "${updateStrategy}"`
+      });
+    }
+    
+    const targetPage = await uploadService.resolvePageConfig(fields.pageConfigId, { userId: request.user.id });
+    if (!targetPage) {
+      return reply.code(400).send({
+        success: false,
+        error: 'No target page configured. Please add a page configuration first.'
+      });
+    }
+    
+    const { documents, assets, rejected } = await uploadService.expandUploads(uploads);
+    const report = await directoryService.importTree(documents, { targetPage, updateStrategy, assets, userId: request.user.id });
+    
+    const results = [...rejected.map(item => ({ ...item, type: 'file', success: false })), ...report.results];
+    const failed = report.summary.failed + rejected.length;
+    
+    return {
+      success: failed === 0,
+      results,
+      summary: {
+        ...report.summary,
+        total: report.summary.total + rejected.length,
+        failed
+      }
+    };
+  });
+
+  /**
+   * POST /api/upload/sync-plan
+   * Dry run of a sync update: list the block operations needed to update a page
+   */
+  fastify.post('/api/upload/sync-plan', {
+    config: { scope: 'upload' },
+    schema: {
+      summary: 'List the block operations of a sync update',
+      body: {
+        type: 'object',
+        required: ['markdown'],
+        properties: {
+          markdown: { type: 'string', minLength: 1 },
+          targetPageId: { type: 'string' },
+          historyId: { type: 'string' },
+          pageConfigId: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const result = await uploadService.planSync({ ...request.body, userId: request.user.id });
+    
+    if (result.success) {
+      return {
+        success: true,
+        pageId: result.notionPageId,
+        ...result.plan
+      };
+    } else {
+      return reply.code(500).send({
+        success: false,
+        error: result.error
+      });
+    }
+  });
+
   /**
    * POST /api/upload/preview
-   * Preview markdown statistics without uploading
+   * Preview the converted blocks (as a tree and Notion-like HTML), statistics, math, diagrams
+   * and front matter mapping without uploading, using the plugins of the page configuration
    */
   fastify.post('/api/upload/preview', {
+    config: { scope: 'upload' },
     schema: {
+      summary: 'Preview the conversion of markdown',
       body: {
         type: 'object',
         required: ['markdown'],
         properties: {
-          markdown: { type: 'string' }
+          markdown: { type: 'string' },
+          pageConfigId: { type: 'string' },
+          properties: { type: 'object' },
+          diagrams: { type: 'boolean' }
         }
       }
     }
   }, async (request, reply) => {
-    const { markdown } = request.body;
+    const { markdown, pageConfigId, properties, diagrams } = request.body;
+    
+    // Database targets also show how front matter maps to their properties
+    const pageConfig = await uploadService.resolvePageConfig(pageConfigId, { userId: request.user.id });
+    const schema = await uploadService.resolveDatabaseSchema(pageConfig);
+    const { warnings: pluginWarnings, ...conversion } = await uploadService.resolveConversion(pageConfig);
+    if (diagrams !== undefined) {
+      conversion.diagrams = diagrams;
+    }
+    
+    const math = markdownService.analyzeMath(markdown);
+    const { data, error, title: frontMatterTitle, mapping } = markdownService.parseFrontMatter(markdown, { schema, properties });
+    const title = frontMatterTitle || markdownService.extractTitle(markdown);
+    
+    // Rendered diagrams are shown from their embedded image data, as they are only uploaded with the page
+    const rendered = await diagramService.renderDiagrams(markdown, { enabled: conversion.diagrams });
+    const extracted = imageService.extractImages(rendered.markdown);
+    const imageSources = new Map(extracted.images.map(image => [image.placeholder, image.source]));
     
-    const title = markdownService.extractTitle(markdown);
-    const stats = markdownService.getStats(markdown);
+    let stats;
+    let preview;
+    try {
+      stats = markdownService.getStats(extracted.markdown, conversion);
+      preview = markdownService.previewBlocks(extracted.markdown, { ...conversion, imageSources });
+    } catch (conversionError) {
+      return reply.code(400).send({ success: false, error: conversionError.message });
+    }
     
     return {
       title,
-      stats
+      stats,
+      math,
+      frontMatter: { data, error, mapping },
+      plugins: { enabled: conversion.plugins.map(plugin => plugin.id), warnings: pluginWarnings },
+      diagrams: { items: rendered.diagrams, warnings: rendered.warnings },
+      ...preview
     };
   });
 }
@@ -0,0 +1,149 @@
+/**
+ * users.js - User account management routes (admins only)
+ */
+
+import { storage } from '../services/storage.js';
+import { authService } from '../services/auth.js';
+import { requireAdmin, usernameSchema, passwordSchema } from './auth.js';
+
+const roleSchema = { type: 'string', enum: ['admin', 'user'] };
+
+/**
+ * Whether a user is the only admin (who cannot be removed or demoted)
+ */
+async function isLastAdmin(user) {
+  const users = await storage.getUsers();
+  return user.role === 'admin' && users.filter(u => u.role === 'admin').length === 1;
+}
+
+export async function userRoutes(fastify) {
+  fastify.addHook('preHandler', requireAdmin);
+
+  /**
+   * GET /api/users
+   * List user accounts
+   */
+  fastify.get('/api/users', async (request, reply) => {
+    const users = await storage.getUsers();
+    return { users };
+  });
+
+  /**
+   * POST /api/users
+   * Create a user account
+   */
+  fastify.post('/api/users', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+          username: usernameSchema,
+          password: passwordSchema,
+          role: roleSchema
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { username, password, role } = request.body;
+
+    if (await storage.getUserByUsername(username)) {
+      return reply.code(409).send({
+        success: false,
+        error: `User name "${username}" is already taken`
+      });
+    }
+
+    const user = await authService.createUser({ username, password, role });
+
+    return {
+      success: true,
+      user
+    };
+  });
+
+  /**
+   * PUT /api/users/:id
+   * Change the role of a user or set a new password (which ends their sessions)
+   */
+  fastify.put('/api/users/:id', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          role: roleSchema,
+          password: passwordSchema
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const { role, password } = request.body;
+
+    const user = await storage.getUser(id);
+    if (!user) {
+      return reply.code(404).send({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (role && role !== 'admin' && await isLastAdmin(user)) {
+      return reply.code(409).send({
+        success: false,
+        error: 'The last admin cannot lose the admin role'
+      });
+    }
+
+    if (password) {
+      await authService.setPassword(id, password);
+      await authService.endOtherSessions(id);
+    }
+    const updated = role ? await storage.updateUser(id, { role }) : await storage.getUser(id);
+
+    return {
+      success: true,
+      user: updated
+    };
+  });
+
+  /**
+   * DELETE /api/users/:id
+   * Delete a user with their connections, own page configurations and history
+   */
+  fastify.delete('/api/users/:id', async (request, reply) => {
+    const { id } = request.params;
+
+    const user = await storage.getUser(id);
+    if (!user) {
+      return reply.code(404).send({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (id === request.user.id) {
+      return reply.code(409).send({
+        success: false,
+        error: 'You cannot delete your own account'
+      });
+    }
+
+    // Shared page configurations stay, so they must not depend on the user's connections
+    const connectionIds = (await storage.getConnections({ userId: id })).map(c => c.id);
+    const sharedPages = (await storage.getPages()).filter(p => p.shared && connectionIds.includes(p.connectionId));
+    if (sharedPages.length > 0) {
+      return reply.code(409).send({
+        success: false,
+        error: `Shared page configurations use connections of this user: ${sharedPages.map(p => p.name).join(', ')}`
+      });
+    }
+
+    await storage.deleteUser(id);
+
+    return {
+      success: true,
+      message: 'User deleted'
+    };
+  });
+}
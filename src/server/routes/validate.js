@@ -3,6 +3,7 @@
  */
 
 import { notionService } from '../services/notion.js';
+import { storage } from '../services/storage.js';
 import { extractPageId, isValidApiKeyFormat } from '../utils/validator.js';
 
 export async function validateRoutes(fastify) {
@@ -58,12 +59,13 @@ export async function validateRoutes(fastify) {
         required: ['pageUrl'],
         properties: {
           pageUrl: { type: 'string', minLength: 1 },
-          apiKey: { type: 'string' }
+          apiKey: { type: 'string' },
+          connectionId: { type: 'string' }
         }
       }
     }
   }, async (request, reply) => {
-    const { pageUrl, apiKey } = request.body;
+    const { pageUrl, apiKey, connectionId } = request.body;
     
     // Extract page ID from URL
     const pageId = extractPageId(pageUrl);
@@ -74,8 +76,19 @@ export async function validateRoutes(fastify) {
       });
     }
     
-    // Validate page access
-    const result = await notionService.validatePageAccess(pageId, apiKey);
+    // Validate page access (with the given key, else the given or default connection of the user)
+    const scope = { userId: request.user.id };
+    const connection = !apiKey && (connectionId
+      ? await storage.getConnection(connectionId, scope)
+      : await storage.getDefaultConnection(scope));
+    if (!apiKey && !connection) {
+      return reply.code(400).send({
+        success: false,
+        error: connectionId ? 'Notion connection not found' : 'No Notion connection is configured'
+      });
+    }
+    
+    const result = await notionService.validatePageAccess(pageId, { apiKey, connectionId: connection?.id });
     
     if (result.valid) {
       return {
@@ -139,7 +152,7 @@ export async function validateRoutes(fastify) {
     }
     
     // Step 4: Validate page access
-    const pageResult = await notionService.validatePageAccess(pageId, apiKey);
+    const pageResult = await notionService.validatePageAccess(pageId, { apiKey });
     if (!pageResult.valid) {
       return reply.code(400).send({
         success: false,
@@ -0,0 +1,168 @@
+/**
+ * auth.js - User accounts: password hashing, login, sessions and personal API tokens
+ * Session tokens are random values held in an HttpOnly cookie; storage only keeps their SHA-256 hash.
+ * API tokens are hashed the same way and sent by scripts as "Authorization: Bearer <token>".
+ */
+
+import { randomBytes, scrypt, timingSafeEqual, createHash } from 'crypto';
+import { promisify } from 'util';
+import dayjs from 'dayjs';
+import { storage } from './storage.js';
+
+const scryptAsync = promisify(scrypt);
+
+export const SESSION_COOKIE = 'm2n_session';
+
+// Sessions end this long after login
+export const SESSION_TTL_DAYS = 7;
+
+const KEY_LENGTH = 64;
+
+// Prefix of API tokens, so they are recognizable in configuration files and secret scanners
+const API_TOKEN_PREFIX = 'm2n_';
+
+// API requests update lastUsedAt at most this often
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Scopes an API token can be granted; routes name the scope they require in their config (see authenticate)
+ */
+export const API_TOKEN_SCOPES = {
+  upload: 'Upload and preview markdown, follow upload jobs and resume failed uploads',
+  'history:read': 'Read the upload history',
+  'config:read': 'Read connections and page configurations'
+};
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+class AuthService {
+  /**
+   * Hash a password with a random salt
+   * @param {string} password
+   * @returns {Promise<string>} "salt:hash" (hex)
+   */
+  async hashPassword(password) {
+    const salt = randomBytes(16).toString('hex');
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    return `${salt}:${hash.toString('hex')}`;
+  }
+
+  /**
+   * Check a password against a hash from hashPassword
+   * @returns {Promise<boolean>}
+   */
+  async verifyPassword(password, stored) {
+    const [salt, hash] = (stored || '').split(':');
+    if (!salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scryptAsync(password, salt, expected.length);
+    return timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Create an account (the first one becomes an admin, see storage.addUser)
+   * @param {{username: string, password: string, role?: 'admin'|'user'}} account
+   * @param {Object} [options]
+   * @param {boolean} [options.setup] - Only create the account if none exists yet
+   * @returns {Promise<object|null>} User without password hash, or null if a setup account was not created
+   */
+  async createUser({ username, password, role }, { setup = false } = {}) {
+    const passwordHash = await this.hashPassword(password);
+    return storage.addUser({ username, passwordHash, role }, { setup });
+  }
+
+  async setPassword(userId, password) {
+    const passwordHash = await this.hashPassword(password);
+    return storage.updateUser(userId, { passwordHash });
+  }
+
+  /**
+   * Check credentials
+   * @returns {Promise<object|null>} User without password hash, or null if the credentials are wrong
+   */
+  async authenticate(username, password) {
+    const user = await storage.getUserByUsername(username);
+    // Hash anyway so unknown user names take as long as wrong passwords
+    const valid = await this.verifyPassword(password, user?.passwordHash || `${'0'.repeat(32)}:${'0'.repeat(KEY_LENGTH * 2)}`);
+    return user && valid ? storage.getUser(user.id) : null;
+  }
+
+  /**
+   * Start a session for a user
+   * @returns {Promise<string>} Session token for the cookie
+   */
+  async createSession(userId) {
+    const token = randomBytes(32).toString('hex');
+    await storage.addSession({
+      tokenHash: hashToken(token),
+      userId,
+      expiresAt: dayjs().add(SESSION_TTL_DAYS, 'day').toISOString()
+    });
+    return token;
+  }
+
+  /**
+   * User of a session token
+   * @param {string} [token]
+   * @returns {Promise<object|null>} User without password hash, or null if the session is unknown or expired
+   */
+  async getSessionUser(token) {
+    if (!token) return null;
+    const session = await storage.getSession(hashToken(token));
+    return session ? storage.getUser(session.userId) : null;
+  }
+
+  async endSession(token) {
+    if (token) await storage.deleteSession(hashToken(token));
+  }
+
+  /**
+   * End all other sessions of a user (after a password change)
+   */
+  async endOtherSessions(userId, token) {
+    await storage.deleteUserSessions(userId, token ? hashToken(token) : null);
+  }
+
+  /**
+   * Create a personal API token
+   * @param {Object} options
+   * @param {string} options.userId
+   * @param {string} options.name - What the token is used for
+   * @param {string[]} options.scopes - Keys of API_TOKEN_SCOPES
+   * @param {number} [options.expiresInDays] - Never expires if omitted
+   * @returns {Promise<{apiToken: object, token: string}>} Stored token and its value, which is only shown once
+   */
+  async createApiToken({ userId, name, scopes, expiresInDays }) {
+    const token = API_TOKEN_PREFIX + randomBytes(32).toString('hex');
+    const apiToken = await storage.addApiToken({
+      userId,
+      name,
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? dayjs().add(expiresInDays, 'day').toISOString() : null
+    });
+    return { apiToken, token };
+  }
+
+  /**
+   * User and scopes of an API token
+   * @param {string} [token]
+   * @returns {Promise<{user: object, apiToken: object}|null>} Null if the token is unknown, expired or its user is gone
+   */
+  async getApiTokenUser(token) {
+    if (!token?.startsWith(API_TOKEN_PREFIX)) return null;
+    const apiToken = await storage.getApiTokenByHash(hashToken(token));
+    const user = apiToken && await storage.getUser(apiToken.userId);
+    if (!user) return null;
+
+    if (!apiToken.lastUsedAt || Date.now() - new Date(apiToken.lastUsedAt).getTime() > LAST_USED_INTERVAL_MS) {
+      await storage.updateApiToken(apiToken.id, { lastUsedAt: dayjs().toISOString() });
+    }
+    return { user, apiToken };
+  }
+}
+
+export const authService = new AuthService();
@@ -0,0 +1,220 @@
+/**
+ * diagrams.js - Diagram code blocks (Mermaid, PlantUML, Graphviz) in uploaded Markdown
+ * Mermaid stays a code block with language "mermaid", which Notion renders itself.
+ * PlantUML and Graphviz are rendered to SVG locally and replaced by embedded images,
+ * which are then uploaded like any other data URI image (see imageService.extractImages).
+ */
+
+import { join } from 'path';
+import { existsSync } from 'fs';
+import { spawn } from 'child_process';
+import { instance } from '@viz-js/viz';
+import { storage, DATA_DIR } from './storage.js';
+
+// Code block language (lower case) to diagram kind
+export const DIAGRAM_LANGUAGES = {
+  mermaid: 'mermaid',
+  mmd: 'mermaid',
+  plantuml: 'plantuml',
+  puml: 'plantuml',
+  uml: 'plantuml',
+  dot: 'graphviz',
+  graphviz: 'graphviz',
+  gv: 'graphviz'
+};
+
+const FENCE_OPEN = /^(\s*)(`{3,}|~{3,})[ \t]*([^\s`]*)/;
+
+// PlantUML runs in a JVM, which can be slow to start
+const PLANTUML_TIMEOUT = 30000;
+
+/**
+ * Find fenced code blocks whose language is a diagram kind
+ * @param {string} markdown - Markdown content
+ * @returns {Array<{kind: string, language: string, indent: string, start: number, end: number, source: string}>}
+ *   start/end are the 0-based indexes of the fence lines (end is the last line for unclosed fences)
+ */
+export function findDiagrams(markdown) {
+  const lines = markdown.split('\n');
+  const diagrams = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const open = lines[i].match(FENCE_OPEN);
+    if (!open) continue;
+
+    const [, indent, marker, info] = open;
+    let end = i + 1;
+    while (end < lines.length) {
+      const line = lines[end].trim();
+      if (line.startsWith(marker) && /^(`+|~+)$/.test(line) && line[0] === marker[0]) break;
+      end++;
+    }
+
+    const kind = DIAGRAM_LANGUAGES[info.toLowerCase()];
+    if (kind) {
+      diagrams.push({
+        kind,
+        language: info,
+        indent,
+        start: i,
+        end: Math.min(end, lines.length - 1),
+        source: lines.slice(i + 1, end).map(line => line.startsWith(indent) ? line.slice(indent.length) : line).join('\n')
+      });
+    }
+    i = end;
+  }
+
+  return diagrams;
+}
+
+/**
+ * Wrap PlantUML source in @startuml/@enduml unless it already has a start tag
+ */
+function plantumlSource(source) {
+  return /^\s*@start\w+/m.test(source) ? source : `@startuml\n${source}\n@enduml`;
+}
+
+/**
+ * Java arguments rendering PlantUML from stdin to SVG. Diagrams come from uploaded documents, so the
+ * SANDBOX security profile keeps them from including local files or fetching URLs (!include, !includeurl).
+ * @param {string} jar - Path of plantuml.jar
+ * @returns {string[]}
+ */
+export function plantumlArgs(jar) {
+  return ['-Djava.awt.headless=true', '-DPLANTUML_SECURITY_PROFILE=SANDBOX', '-jar', jar, '-tsvg', '-pipe', '-charset', 'UTF-8'];
+}
+
+function svgDataUri(svg) {
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+class DiagramService {
+  constructor() {
+    this.viz = null;
+  }
+
+  /**
+   * Render Graphviz (DOT) source to SVG
+   * @param {string} source - DOT source
+   * @returns {Promise<string>}
+   */
+  async renderGraphviz(source) {
+    // The WebAssembly build of Graphviz is loaded once, on first use
+    this.viz ||= instance();
+    const viz = await this.viz;
+    const result = viz.render(source, { format: 'svg' });
+    if (result.status !== 'success') {
+      throw new Error(result.errors.map(error => error.message).join('; ') || 'Graphviz could not render the diagram');
+    }
+    return result.output;
+  }
+
+  /**
+   * Path of the PlantUML jar: the plantumlJar setting, PLANTUML_JAR or data/plantuml.jar
+   * @returns {Promise<string>}
+   */
+  async getPlantumlJar() {
+    const settings = await storage.getSettings();
+    return settings.plantumlJar || process.env.PLANTUML_JAR || join(DATA_DIR, 'plantuml.jar');
+  }
+
+  /**
+   * Render PlantUML source to SVG with the local PlantUML jar (requires Java)
+   * @param {string} source - PlantUML source
+   * @returns {Promise<string>}
+   */
+  async renderPlantuml(source) {
+    const jar = await this.getPlantumlJar();
+    if (!existsSync(jar)) {
+      throw new Error(`PlantUML jar not found at ${jar}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn('java', plantumlArgs(jar));
+      const stdout = [];
+      const stderr = [];
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(new Error('PlantUML timed out'));
+      }, PLANTUML_TIMEOUT);
+
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => stderr.push(chunk));
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(error.code === 'ENOENT' ? new Error('Java is not installed') : error);
+      });
+      child.on('close', code => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve(Buffer.concat(stdout).toString('utf8'));
+        } else {
+          const message = Buffer.concat(stderr).toString('utf8').trim();
+          reject(new Error(message || `PlantUML exited with code ${code}`));
+        }
+      });
+      child.stdin.end(plantumlSource(source));
+    });
+  }
+
+  /**
+   * Render one diagram to SVG
+   * @param {'plantuml'|'graphviz'} kind
+   * @param {string} source
+   * @returns {Promise<string>}
+   */
+  async render(kind, source) {
+    return kind === 'plantuml' ? this.renderPlantuml(source) : this.renderGraphviz(source);
+  }
+
+  /**
+   * Prepare the diagrams of a document for upload. Rendered diagrams become embedded SVG images;
+   * diagrams that fail to render stay code blocks. Line numbers are kept.
+   * @param {string} markdown - Markdown content
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled] - Render diagrams (otherwise they are only listed as code blocks)
+   * @returns {Promise<{markdown: string, diagrams: Array<{kind: string, line: number, action: 'native'|'image'|'code', error: string|null}>, warnings: Array<string>}>}
+   */
+  async renderDiagrams(markdown, { enabled = false } = {}) {
+    const found = findDiagrams(markdown);
+    if (found.length === 0) {
+      return { markdown, diagrams: [], warnings: [] };
+    }
+
+    const lines = markdown.split('\n');
+    const diagrams = [];
+    const warnings = [];
+
+    for (const diagram of found) {
+      const line = diagram.start + 1;
+      if (!enabled) {
+        const native = diagram.language.toLowerCase() === 'mermaid';
+        diagrams.push({ kind: diagram.kind, line, action: native ? 'native' : 'code', error: null });
+        continue;
+      }
+
+      if (diagram.kind === 'mermaid') {
+        // Aliases such as "mmd" would otherwise become plain text code blocks
+        lines[diagram.start] = lines[diagram.start].replace(diagram.language, 'mermaid');
+        diagrams.push({ kind: diagram.kind, line, action: 'native', error: null });
+        continue;
+      }
+
+      try {
+        const svg = await this.render(diagram.kind, diagram.source);
+        lines[diagram.start] = `${diagram.indent}![](${svgDataUri(svg)})`;
+        for (let i = diagram.start + 1; i <= diagram.end; i++) {
+          lines[i] = '';
+        }
+        diagrams.push({ kind: diagram.kind, line, action: 'image', error: null });
+      } catch (error) {
+        diagrams.push({ kind: diagram.kind, line, action: 'code', error: error.message });
+        warnings.push(`Diagram on line ${line} was kept as code: ${error.message}`);
+      }
+    }
+
+    return { markdown: lines.join('\n'), diagrams, warnings };
+  }
+}
+
+export const diagramService = new DiagramService();
@@ -0,0 +1,162 @@
+/**
+ * directory.js - Mirror a directory tree of markdown files as nested Notion pages
+ */
+
+import { storage } from './storage.js';
+import { notionService } from './notion.js';
+import { uploadService } from './upload.js';
+
+/**
+ * List every ancestor folder of the given file paths, parents before children
+ */
+function collectFolders(paths) {
+  const folders = new Set();
+  for (const path of paths) {
+    const parts = path.split('/').slice(0, -1);
+    for (let i = 1; i <= parts.length; i++) {
+      folders.add(parts.slice(0, i).join('/'));
+    }
+  }
+  return [...folders].sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+}
+
+function parentFolder(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.substring(0, index);
+}
+
+class DirectoryService {
+  /**
+   * Import markdown documents as a page hierarchy under the target page.
+   * Folders become container pages, files become child pages. Previously imported
+   * paths are looked up in storage and updated instead of created again.
+   * @param {Array<{path: string, markdown: string}>} documents - Documents with relative paths
+   * @param {Object} options
+   * @param {object} options.targetPage - Page configuration ({ id, pageId, type, connectionId }) of the root parent;
+   *   for a database, top-level folders and files become rows and deeper levels child pages
+   * @param {'replace'|'append'|'sync'} [options.updateStrategy] - How existing pages are updated
+   * @param {Map<string, Buffer>} [options.assets] - Images referenced by the documents, by path
+   * @param {string} [options.userId] - User importing (see uploadService.upload)
+   * @returns {Promise<{results: Array, summary: object}>}
+   */
+  async importTree(documents, { targetPage, updateStrategy = 'replace', assets, userId }) {
+    const rootPageId = targetPage.pageId;
+    const folderPageIds = new Map([['', rootPageId]]);
+    const results = [];
+    const knownPages = await uploadService.getKnownPages({ userId });
+    const pendingLinks = [];
+    const connectionId = await uploadService.resolveConnectionId(targetPage, { userId });
+    // Mappings belong to the importing user (the CLI imports for the owner of the page configuration)
+    const ownerId = userId ?? (targetPage.id && (await uploadService.resolvePageConfig(targetPage.id))?.userId) ?? null;
+    const scope = { userId: ownerId };
+
+    // Create (or reuse) a container page for every folder
+    for (const folder of collectFolders(documents.map(d => d.path))) {
+      const parentPageId = folderPageIds.get(parentFolder(folder));
+      if (!parentPageId) {
+        results.push({ path: `${folder}/`, type: 'folder', success: false, error: 'Parent folder could not be created' });
+        continue;
+      }
+
+      const mapping = await storage.getPathMapping(rootPageId, `${folder}/`, scope);
+      if (mapping) {
+        folderPageIds.set(folder, mapping.notionPageId);
+        results.push({ path: `${folder}/`, type: 'folder', action: 'reuse', success: true, page: { id: mapping.notionPageId, url: mapping.notionUrl } });
+        continue;
+      }
+
+      const name = folder.split('/').pop();
+      const result = await notionService.createPage(parentPageId, name, [], {
+        parentType: parentPageId === rootPageId ? targetPage.type : 'page',
+        connectionId
+      });
+      if (result.success) {
+        folderPageIds.set(folder, result.page.id);
+        await storage.setPathMapping({
+          rootPageId,
+          path: `${folder}/`,
+          type: 'folder',
+          notionPageId: result.page.id,
+          notionUrl: result.page.url,
+          userId: ownerId
+        });
+      }
+      results.push({ path: `${folder}/`, type: 'folder', action: 'create', success: result.success, page: result.page, error: result.error });
+    }
+
+    // Upload each file under its folder page, updating pages imported before
+    for (const { path, markdown } of documents) {
+      const parentPageId = folderPageIds.get(parentFolder(path));
+      if (!parentPageId) {
+        results.push({ path, type: 'file', success: false, error: 'Parent folder could not be created' });
+        continue;
+      }
+
+      const mapping = await storage.getPathMapping(rootPageId, path, scope);
+      try {
+        const result = await uploadService.upload({
+          markdown,
+          targetPage: {
+            id: targetPage.id,
+            pageId: parentPageId,
+            type: parentPageId === rootPageId ? targetPage.type : 'page',
+            connectionId
+          },
+          sourcePath: path,
+          knownPages,
+          assets,
+          userId,
+          ...(mapping && {
+            mode: 'update',
+            targetPageId: mapping.notionPageId,
+            updateStrategy
+          })
+        });
+
+        if (result.success) {
+          knownPages.set(path, result.page.url);
+          if (result.unresolvedLinks.length > 0) {
+            pendingLinks.push({ path, blocks: result.sourceBlocks, page: result.page, connectionId: result.record.connectionId });
+          }
+          await storage.setPathMapping({
+            rootPageId,
+            path,
+            type: 'file',
+            notionPageId: result.page.id,
+            notionUrl: result.page.url,
+            userId: ownerId
+          });
+        }
+        results.push({
+          path,
+          type: 'file',
+          action: mapping ? 'update' : 'create',
+          success: result.success,
+          page: result.page,
+          error: result.error,
+          warnings: result.warnings,
+          historyId: result.record.id
+        });
+      } catch (error) {
+        results.push({ path, type: 'file', success: false, error: error.message });
+      }
+    }
+
+    // Second pass: resolve links to pages created later in this import
+    await uploadService.applyRelinks(results, pendingLinks, knownPages);
+
+    const succeeded = results.filter(r => r.success).length;
+    return {
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        created: results.filter(r => r.success && r.action === 'create').length,
+        updated: results.filter(r => r.success && r.action === 'update').length
+      }
+    };
+  }
+}
+
+export const directoryService = new DirectoryService();
@@ -0,0 +1,207 @@
+/**
+ * images.js - Local and embedded image handling for markdown uploads
+ */
+
+import crypto from 'crypto';
+import { join, posix } from 'path';
+import { existsSync, mkdirSync } from 'fs';
+import { writeFile } from 'fs/promises';
+import { storage, DATA_DIR } from './storage.js';
+import { notionService } from './notion.js';
+import { isRelativeLink, resolveRelativePath } from '../utils/links.js';
+
+export const IMAGES_DIR = join(DATA_DIR, 'images');
+
+// Placeholder URLs let martian emit image blocks for sources it cannot handle itself
+const PLACEHOLDER_PREFIX = 'https://m2n.invalid/image/';
+
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.heic': 'image/heic'
+};
+
+// ![alt](src "title") with an optional <bracketed> source
+const IMAGE_PATTERN = /!\[([^\]]*)\]\(\s*(<[^>]+>|[^)\s]+)(\s+"[^"]*")?\s*\)/g;
+
+/**
+ * Check whether a filename has an image extension
+ * @param {string} filename - File name or path
+ * @returns {boolean}
+ */
+export function isImageFile(filename) {
+  return !!IMAGE_TYPES[posix.extname((filename || '').toLowerCase())];
+}
+
+/**
+ * Decode a base64 data URI
+ * @returns {{data: Buffer, contentType: string, extension: string}|null}
+ */
+function decodeDataUri(uri) {
+  const match = uri.match(/^data:(image\/[a-z0-9.+-]+);base64,(.+)$/i);
+  if (!match) return null;
+
+  const contentType = match[1].toLowerCase();
+  const extension = Object.keys(IMAGE_TYPES).find(ext => IMAGE_TYPES[ext] === contentType) || '.png';
+  return { data: Buffer.from(match[2], 'base64'), contentType, extension };
+}
+
+/**
+ * Find an attached asset for a path; falls back to a unique file name match
+ * so images attached without their folder still resolve
+ */
+function findAsset(assets, path) {
+  if (assets.has(path)) return assets.get(path);
+
+  const name = posix.basename(path);
+  const matches = [...assets.keys()].filter(key => posix.basename(key) === name);
+  return matches.length === 1 ? assets.get(matches[0]) : null;
+}
+
+class ImageService {
+  /**
+   * Replace local and embedded image sources with placeholders before conversion
+   * @param {string} markdown - Markdown content
+   * @param {Object} options
+   * @param {string} [options.sourcePath] - Path of the document, used to resolve relative image paths
+   * @param {Map<string, Buffer>} [options.assets] - Attached files by path
+   * @returns {{markdown: string, images: Array, missing: Array<string>}}
+   */
+  extractImages(markdown, { sourcePath, assets = new Map() } = {}) {
+    const images = [];
+    const missing = [];
+    let inFence = false;
+
+    const lines = markdown.split('\n').map(line => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        return line;
+      }
+      if (inFence) return line;
+
+      return line.replace(IMAGE_PATTERN, (match, alt, rawSource, title = '') => {
+        const source = rawSource.replace(/^<|>$/g, '');
+
+        let image = null;
+        if (source.startsWith('data:')) {
+          const decoded = decodeDataUri(source);
+          if (decoded) {
+            image = {
+              filename: `embedded-${images.length + 1}${decoded.extension}`,
+              data: decoded.data,
+              contentType: decoded.contentType
+            };
+          }
+        } else if (isRelativeLink(source)) {
+          const path = resolveRelativePath(sourcePath, source);
+          const data = path && findAsset(assets, path);
+          if (data) {
+            const extension = posix.extname(path).toLowerCase();
+            image = {
+              filename: posix.basename(path),
+              data,
+              contentType: IMAGE_TYPES[extension] || 'application/octet-stream'
+            };
+          }
+        } else {
+          return match;
+        }
+
+        if (!image) {
+          missing.push(source.startsWith('data:') ? `${source.substring(0, 30)}...` : source);
+          return match;
+        }
+
+        const placeholder = `${PLACEHOLDER_PREFIX}${images.length}.png`;
+        images.push({ ...image, source, placeholder });
+        return `![${alt}](${placeholder}${title})`;
+      });
+    });
+
+    return { markdown: lines.join('\n'), images, missing };
+  }
+
+  /**
+   * Upload one image with the configured hosting and return its image block payload
+   * @param {object} image - Image from extractImages
+   * @param {object} settings - Settings (image hosting)
+   * @param {Object} [options]
+   * @param {string} [options.connectionId] - Notion connection that receives file uploads
+   */
+  async hostImage(image, settings, { connectionId } = {}) {
+    if (settings?.imageHosting === 'static') {
+      if (!settings.imageBaseUrl) {
+        throw new Error('Static image hosting requires a public base URL in settings');
+      }
+      if (!existsSync(IMAGES_DIR)) {
+        mkdirSync(IMAGES_DIR, { recursive: true });
+      }
+
+      const hash = crypto.createHash('sha1').update(image.data).digest('hex');
+      const filename = `${hash}${posix.extname(image.filename).toLowerCase()}`;
+      await writeFile(join(IMAGES_DIR, filename), image.data);
+
+      const baseUrl = settings.imageBaseUrl.replace(/\/+$/, '');
+      return { type: 'external', external: { url: `${baseUrl}/images/${filename}` } };
+    }
+
+    const id = await notionService.uploadFile(image.filename, image.data, image.contentType, { connectionId });
+    return { type: 'file_upload', file_upload: { id } };
+  }
+
+  /**
+   * Upload extracted images and swap the placeholder image blocks for real ones
+   * @param {Array} blocks - Converted blocks containing placeholder image blocks
+   * @param {Array} images - Images returned by extractImages
+   * @param {Object} [options]
+   * @param {string} [options.connectionId] - Notion connection of the target page (file uploads belong to its workspace)
+   * @returns {Promise<{blocks: Array, warnings: Array<string>}>}
+   */
+  async resolveImages(blocks, images, { connectionId } = {}) {
+    if (images.length === 0) {
+      return { blocks, warnings: [] };
+    }
+
+    const settings = await storage.getSettings();
+    const hosted = new Map();
+    const warnings = [];
+
+    for (const image of images) {
+      try {
+        hosted.set(image.placeholder, await this.hostImage(image, settings, { connectionId }));
+      } catch (error) {
+        warnings.push(`Image "${image.filename}" could not be uploaded: ${notionService.formatError(error)}`);
+      }
+    }
+
+    const replace = list => list.map(block => {
+      const content = block[block.type];
+      if (block.type === 'image' && content?.external?.url?.startsWith(PLACEHOLDER_PREFIX)) {
+        const image = images.find(i => i.placeholder === content.external.url);
+        const payload = hosted.get(content.external.url);
+        return payload
+          ? { ...block, image: payload }
+          : {
+            object: 'block',
+            type: 'paragraph',
+            paragraph: { rich_text: [{ type: 'text', text: { content: image.source.startsWith('data:') ? image.filename : image.source } }] }
+          };
+      }
+      if (content?.children) {
+        return { ...block, [block.type]: { ...content, children: replace(content.children) } };
+      }
+      return block;
+    });
+
+    return { blocks: replace(blocks), warnings };
+  }
+}
+
+export const imageService = new ImageService();
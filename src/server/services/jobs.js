@@ -0,0 +1,131 @@
+/**
+ * jobs.js - Background jobs with live progress (used for uploads that outlive their HTTP request)
+ * Jobs are kept in memory; an upload's persisted state for resuming lives in storage (same job ID).
+ */
+
+import { EventEmitter } from 'events';
+import { nanoid } from 'nanoid';
+import dayjs from 'dayjs';
+
+// Finished jobs stay available to late subscribers for a while
+const FINISHED_JOB_TTL_MS = 10 * 60 * 1000;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Error used as the abort reason of a cancelled job
+ */
+function createCancelError() {
+  const error = new Error('Upload cancelled');
+  error.code = 'job_cancelled';
+  return error;
+}
+
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Start a task in the background
+   * @param {function({id: string, signal: AbortSignal, onProgress: function(object): void}): Promise<object>} task -
+   *   Resolves to a result with `success` and `error`; progress fields are merged into the job state
+   * @param {Object} [options]
+   * @param {string} [options.userId] - User who started the job (only they can follow or cancel it)
+   * @returns {object} Initial job state
+   */
+  start(task, { userId = null } = {}) {
+    const id = nanoid();
+    const entry = {
+      state: {
+        id,
+        userId,
+        status: 'running',
+        phase: 'queued',
+        totalBlocks: null,
+        blocksAppended: 0,
+        batchesRemaining: null,
+        result: null,
+        error: null,
+        createdAt: dayjs().toISOString()
+      },
+      controller: new AbortController(),
+      events: new EventEmitter()
+    };
+    this.jobs.set(id, entry);
+
+    const onProgress = progress => this.update(id, progress);
+    task({ id, signal: entry.controller.signal, onProgress })
+      .then(result => this.finish(id, result))
+      .catch(error => this.finish(id, { success: false, error: error.message }));
+
+    return { ...entry.state };
+  }
+
+  /**
+   * Current state of a job
+   * @param {string} id - Job ID
+   * @returns {object|null}
+   */
+  get(id) {
+    const entry = this.jobs.get(id);
+    return entry ? { ...entry.state } : null;
+  }
+
+  /**
+   * Whether a job state is final
+   */
+  isFinished(state) {
+    return FINISHED_STATUSES.includes(state.status);
+  }
+
+  /**
+   * Listen to state changes of a job
+   * @param {string} id - Job ID
+   * @param {function(object): void} listener - Called with the full job state after every change
+   * @returns {function(): void} Unsubscribe function
+   */
+  subscribe(id, listener) {
+    const entry = this.jobs.get(id);
+    if (!entry) return () => {};
+    entry.events.on('update', listener);
+    return () => entry.events.off('update', listener);
+  }
+
+  /**
+   * Request cancellation; the task stops at its next checkpoint
+   * @param {string} id - Job ID
+   * @returns {object|null} Job state, null if the job does not exist
+   */
+  cancel(id) {
+    const entry = this.jobs.get(id);
+    if (!entry) return null;
+    if (!this.isFinished(entry.state)) {
+      entry.controller.abort(createCancelError());
+      this.update(id, { phase: 'cancelling' });
+    }
+    return { ...entry.state };
+  }
+
+  update(id, changes) {
+    const entry = this.jobs.get(id);
+    if (!entry) return;
+    Object.assign(entry.state, changes, { updatedAt: dayjs().toISOString() });
+    entry.events.emit('update', { ...entry.state });
+  }
+
+  finish(id, result) {
+    const entry = this.jobs.get(id);
+    const status = result.success ? 'completed'
+      : entry.controller.signal.aborted ? 'cancelled'
+        : 'failed';
+
+    this.update(id, { status, phase: status, result, error: result.error || null });
+    entry.events.removeAllListeners();
+
+    const timer = setTimeout(() => this.jobs.delete(id), FINISHED_JOB_TTL_MS);
+    timer.unref();
+  }
+}
+
+export const jobService = new JobService();
@@ -2,30 +2,220 @@
  * markdown.js - Markdown processing service
  */
 
-import { markdownToBlocks } from '@tryfabric/martian';
+import unified from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import martianParser from '@tryfabric/martian/build/src/parser/internal.js';
+import { isRelativeLink } from '../utils/links.js';
+import { preprocessMath, validateMathExpression } from '../utils/math.js';
+import { parseFrontMatter, mapFrontMatter, stripFrontMatter } from '../utils/frontmatter.js';
+import { normalizeBlocks } from '../utils/block-limits.js';
+import { DEFAULT_CALLOUTS, rewriteAdmonitions, convertCallouts } from '../utils/callouts.js';
+import { groupDetailsBlocks, convertToggles, wrapToggleHeadings } from '../utils/toggles.js';
+import { blocksToHtml } from '../utils/notion-html.js';
+import { findConversionIssues } from '../utils/conversion-issues.js';
+
+/**
+ * Apply a function to every rich text array of a block tree (text, captions, table cells, children)
+ */
+function walkRichText(blocks, fn) {
+  for (const block of blocks) {
+    const content = block[block.type];
+    if (!content) continue;
+    
+    if (content.rich_text) fn(content.rich_text);
+    if (content.caption) fn(content.caption);
+    if (content.cells) content.cells.forEach(fn);
+    if (content.children) walkRichText(content.children, fn);
+  }
+}
+
+/**
+ * Parse markdown into an AST (mdast) with the same syntax extensions as martian
+ */
+function parseMarkdown(markdown) {
+  return unified().use(remarkParse).use(remarkGfm).use(remarkMath).parse(markdown);
+}
+
+/**
+ * Run one stage of a plugin, naming the plugin in errors
+ */
+function runPlugin(plugin, stage) {
+  try {
+    return stage();
+  } catch (error) {
+    throw new Error(`Plugin "${plugin.id}" failed: ${error.message}`);
+  }
+}
 
 class MarkdownService {
   /**
    * Convert markdown text to Notion blocks
+   * Front matter is dropped, and math in any supported delimiter is normalized first
+   * so it becomes equation rich text / blocks. Callouts ("> [!NOTE]", ":::tip") become
+   * callout blocks and <details> sections toggle blocks. Long documents are not truncated, and rich text is split to fit
+   * Notion's limits (see utils/block-limits.js).
    * @param {string} markdown - Markdown content
+   * @param {Object} [options]
+   * @param {Array<object>} [options.plugins] - Conversion plugins, in order (see services/plugins.js)
+   * @param {Object<string, {emoji: string, color?: string}>} [options.callouts] - Callout types (the "callouts" setting)
+   * @param {1|2|3|null} [options.toggleHeadings] - Turn headings of this level into toggle headings holding their section
+   * @param {string} [options.sourcePath] - Path of the document, passed to plugins
    * @returns {Array} Array of Notion blocks
    */
-  convertToBlocks(markdown) {
+  convertToBlocks(markdown, options = {}) {
     if (!markdown || typeof markdown !== 'string') {
       return [];
     }
     
+    return this.convert(markdown, options).blocks;
+  }
+
+  /**
+   * Run the conversion pipeline: plugin pre-processors on the markdown string, math and admonition
+   * normalization, parsing, plugin remark transforms on the AST, block conversion (callouts and
+   * toggles included) and plugin post-processors
+   * @param {string} markdown - Markdown content
+   * @param {Object} [options] - Conversion options, as for convertToBlocks
+   * @returns {{markdown: string, tree: object, blocks: Array}} Markdown as parsed, its AST and the blocks
+   */
+  convert(markdown, { plugins = [], callouts = DEFAULT_CALLOUTS, toggleHeadings = null, sourcePath } = {}) {
     try {
-      return markdownToBlocks(markdown);
+      const context = { sourcePath, frontMatter: parseFrontMatter(markdown).data || {} };
+      
+      let content = stripFrontMatter(markdown);
+      for (const plugin of plugins.filter(p => p.preprocess)) {
+        content = runPlugin(plugin, () => plugin.preprocess(content, context));
+        if (typeof content !== 'string') {
+          throw new Error(`Plugin "${plugin.id}" failed: preprocess must return a string`);
+        }
+      }
+      content = rewriteAdmonitions(preprocessMath(content).markdown, Object.keys(callouts));
+      
+      let tree = parseMarkdown(content);
+      for (const plugin of plugins.filter(p => p.remarkPlugins)) {
+        tree = runPlugin(plugin, () => unified().use(plugin.remarkPlugins).runSync(tree));
+      }
+      groupDetailsBlocks(tree, parseMarkdown);
+      
+      // martian takes list item paragraphs out of the tree, so it gets a copy
+      let blocks = martianParser.parseBlocks(structuredClone(tree), { notionLimits: { truncate: false } });
+      blocks = convertCallouts(convertToggles(blocks), callouts);
+      if (toggleHeadings) {
+        blocks = wrapToggleHeadings(blocks, toggleHeadings);
+      }
+      for (const plugin of plugins.filter(p => p.postprocess)) {
+        // Post-processors may also change the blocks in place and return nothing
+        blocks = runPlugin(plugin, () => plugin.postprocess(blocks, context)) || blocks;
+      }
+      
+      return { markdown: content, tree, blocks: normalizeBlocks(blocks) };
     } catch (error) {
       console.error('Error converting markdown to blocks:', error);
       throw new Error(`Failed to convert markdown: ${error.message}`);
     }
   }
 
+  /**
+   * Parse front matter and describe what each key maps to
+   * @param {string} markdown - Markdown content
+   * @param {Object} [options]
+   * @param {object} [options.schema] - Database properties schema when the target is a database
+   * @param {object} [options.properties] - Extra values by key, overriding the front matter
+   * @returns {{data: object|null, error: string|null, title: string|null, icon: object|null, cover: object|null, properties: object, mapping: Array}}
+   */
+  parseFrontMatter(markdown, { schema, properties } = {}) {
+    const { data, error } = parseFrontMatter(markdown);
+    const values = properties ? { ...data, ...properties } : data;
+    return { data, error, ...mapFrontMatter(values, { schema }) };
+  }
+
+  /**
+   * Report the math expressions in markdown and those that cannot be converted
+   * @param {string} markdown - Markdown content
+   * @returns {{inline: number, block: number, issues: Array<{expression: string|null, displayMode?: boolean, error: string}>}}
+   */
+  analyzeMath(markdown) {
+    if (!markdown || typeof markdown !== 'string') {
+      return { inline: 0, block: 0, issues: [] };
+    }
+
+    const { expressions, issues } = preprocessMath(markdown);
+    const invalid = expressions
+      .map(({ expression, original, displayMode }) => ({
+        expression: original.trim(),
+        displayMode,
+        error: validateMathExpression(expression, displayMode)
+      }))
+      .filter(item => item.error);
+
+    return {
+      inline: expressions.filter(e => !e.displayMode).length,
+      block: expressions.filter(e => e.displayMode).length,
+      issues: [
+        ...issues.map(error => ({ expression: null, error })),
+        ...invalid
+      ]
+    };
+  }
+
+  /**
+   * Convert markdown for a preview: the block tree, a Notion-like HTML rendering of it,
+   * and the markdown that the conversion drops or degrades
+   * @param {string} markdown - Markdown content
+   * @param {Object} [options] - Conversion options, as for convertToBlocks
+   * @param {Map<string, string>} [options.imageSources] - Image URLs to show in the HTML instead of placeholder URLs
+   * @returns {{blocks: Array, html: string, issues: Array<{kind: string, element: string, line: number|null, text: string, message: string}>}}
+   */
+  previewBlocks(markdown, options = {}) {
+    const { markdown: content, tree, blocks } = this.convert(markdown, options);
+    // Report lines of the original markdown, front matter included
+    // (line numbers are approximate when plugin pre-processors add or remove lines)
+    const lineOffset = markdown.split('\n').length - stripFrontMatter(markdown).split('\n').length;
+    
+    return {
+      blocks,
+      html: blocksToHtml(blocks, { imageSources: options.imageSources }),
+      issues: findConversionIssues(content, { lineOffset, tree })
+    };
+  }
+
+  /**
+   * Rewrite relative links (e.g. "./other.md") in converted blocks
+   * Absolute URLs are left untouched; relative links that cannot be resolved are
+   * removed (the link text is kept) because Notion rejects them.
+   * @param {Array} blocks - Notion blocks from convertToBlocks
+   * @param {function(string): string|null} resolveLink - Returns the new URL, or null if unresolved
+   * @returns {{blocks: Array, resolved: Array<string>, unresolved: Array<string>}} Rewritten copy of the blocks
+   */
+  rewriteLinks(blocks, resolveLink) {
+    const rewritten = structuredClone(blocks);
+    const resolved = [];
+    const unresolved = [];
+    
+    walkRichText(rewritten, richText => {
+      for (const item of richText) {
+        const url = item.text?.link?.url;
+        if (!isRelativeLink(url)) continue;
+        
+        const target = resolveLink(url);
+        if (target) {
+          item.text.link = { type: 'url', url: target };
+          resolved.push(url);
+        } else {
+          delete item.text.link;
+          unresolved.push(url);
+        }
+      }
+    });
+    
+    return { blocks: rewritten, resolved, unresolved };
+  }
+
   /**
    * Extract title from markdown content
-   * Looks for the first # or ## heading
+   * Uses the front matter title if present, otherwise the first # or ## heading
    * @param {string} markdown - Markdown content
    * @returns {string} Extracted title or default title
    */
@@ -34,7 +224,12 @@ class MarkdownService {
       return 'New Markdown Page';
     }
 
-    const lines = markdown.split('\n');
+    const { title } = this.parseFrontMatter(markdown);
+    if (title) {
+      return title;
+    }
+
+    const lines = stripFrontMatter(markdown).split('\n');
     for (const line of lines) {
       const trimmed = line.trim();
       if (trimmed.startsWith('# ')) {
@@ -60,14 +255,15 @@ class MarkdownService {
   /**
    * Get markdown statistics
    * @param {string} markdown - Markdown content
+   * @param {Object} [options] - Conversion options, as for convertToBlocks
    * @returns {Object} Statistics object
    */
-  getStats(markdown) {
+  getStats(markdown, options = {}) {
     if (!markdown) {
       return { chars: 0, lines: 0, words: 0, blocks: 0 };
     }
 
-    const blocks = this.convertToBlocks(markdown);
+    const blocks = this.convertToBlocks(markdown, options);
     
     return {
       chars: markdown.length,
@@ -2,11 +2,27 @@
  * notion.js - Notion API service wrapper
  */
 
-import { Client } from '@notionhq/client';
+import { Client, collectPaginatedAPI } from '@notionhq/client';
 import { storage } from './storage.js';
+import { notionScheduler } from './scheduler.js';
+import { blocksToMarkdown } from '../utils/notion-markdown.js';
+import { planBatches, prepareBatch } from '../utils/block-limits.js';
 
-// Maximum blocks per API call (Notion limitation)
-const MAX_BLOCKS_PER_REQUEST = 100;
+// Overall timeout of one client call including scheduler waits and retries
+// (each attempt has its own timeout in the scheduler)
+const CLIENT_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Upload progress after a batch: { lastBatchIndex, blocksAppended, batchesRemaining }
+ * (blocksAppended counts top-level blocks)
+ */
+function batchProgress(batches, lastBatchIndex) {
+  return {
+    lastBatchIndex,
+    blocksAppended: batches.slice(0, lastBatchIndex + 1).reduce((count, batch) => count + batch.length, 0),
+    batchesRemaining: batches.length - lastBatchIndex - 1
+  };
+}
 
 class NotionService {
   constructor() {
@@ -14,22 +30,29 @@ class NotionService {
   }
 
   /**
-   * Initialize Notion client with stored API key
+   * Initialize a Notion client with the token of a stored connection
+   * @param {string} [connectionId] - Connection ID (default connection if omitted)
    */
-  async initClient() {
-    const apiKey = await storage.getApiKey();
+  async initClient(connectionId = null) {
+    const apiKey = await storage.getConnectionToken(connectionId);
     if (!apiKey) {
-      throw new Error('Notion API key is not configured');
+      throw new Error(connectionId ? 'Notion connection not found' : 'No Notion connection is configured');
     }
-    this.client = new Client({ auth: apiKey });
+    notionScheduler.configure(await storage.getSettings());
+    this.client = this.createTempClient(apiKey);
     return this.client;
   }
 
   /**
    * Create a temporary client with provided API key (for validation)
+   * All clients send their requests through the shared rate-limited scheduler
    */
   createTempClient(apiKey) {
-    return new Client({ auth: apiKey });
+    return new Client({
+      auth: apiKey,
+      fetch: (url, init) => notionScheduler.fetch(url, init),
+      timeoutMs: CLIENT_TIMEOUT_MS
+    });
   }
 
   /**
@@ -47,7 +70,8 @@ class NotionService {
           id: response.id,
           name: response.name,
           type: response.type,
-          avatarUrl: response.avatar_url
+          avatarUrl: response.avatar_url,
+          workspaceName: response.bot?.workspace_name || null
         }
       };
     } catch (error) {
@@ -59,16 +83,21 @@ class NotionService {
   }
 
   /**
-   * Validate page access by calling pages.retrieve()
-   * @param {string} pageId - Notion page ID
-   * @param {string} apiKey - Optional API key (uses stored key if not provided)
+   * Validate access to a page or database.
+   * Tries pages.retrieve() first and falls back to databases.retrieve() so database
+   * targets are detected and reported with their property schema.
+   * @param {string} pageId - Notion page or database ID
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] - API key to check with (instead of a stored connection)
+   * @param {string} [options.connectionId] - Connection to check with (default connection if omitted)
    * @returns {Promise<{valid: boolean, page?: object, error?: string}>}
    */
-  async validatePageAccess(pageId, apiKey = null) {
+  async validatePageAccess(pageId, { apiKey, connectionId } = {}) {
+    let client;
     try {
-      const client = apiKey 
+      client = apiKey 
         ? this.createTempClient(apiKey) 
-        : await this.initClient();
+        : await this.initClient(connectionId);
       
       const response = await client.pages.retrieve({ page_id: pageId });
       
@@ -84,6 +113,7 @@ class NotionService {
         valid: true,
         page: {
           id: response.id,
+          type: 'page',
           title: title,
           url: response.url,
           createdTime: response.created_time,
@@ -91,6 +121,14 @@ class NotionService {
         }
       };
     } catch (error) {
+      if (client && ['object_not_found', 'validation_error'].includes(error.code)) {
+        try {
+          const database = await this.retrieveDatabase(pageId, { client });
+          return { valid: true, page: { ...database, type: 'database' } };
+        } catch {
+          // Not a database either, report the original error
+        }
+      }
       return {
         valid: false,
         error: this.formatError(error)
@@ -98,34 +136,146 @@ class NotionService {
     }
   }
 
+  /**
+   * Retrieve a database and its property schema
+   * @param {string} databaseId - Notion database ID
+   * @param {Object} [options]
+   * @param {Client} [options.client] - Client to use
+   * @param {string} [options.connectionId] - Connection to use when no client is given (default connection if omitted)
+   * @returns {Promise<{id: string, title: string, url: string, createdTime: string, lastEditedTime: string, titleProperty: string, schema: object}>}
+   */
+  async retrieveDatabase(databaseId, { client, connectionId } = {}) {
+    const notion = client || await this.initClient(connectionId);
+    const response = await notion.databases.retrieve({ database_id: databaseId });
+    
+    // Reduce properties to name -> { type, options } for select-like properties
+    const schema = {};
+    for (const [name, property] of Object.entries(response.properties || {})) {
+      const options = property[property.type]?.options;
+      schema[name] = {
+        type: property.type,
+        ...(options && { options: options.map(o => o.name) })
+      };
+    }
+    
+    return {
+      id: response.id,
+      title: response.title?.map(t => t.plain_text).join('') || 'Untitled',
+      url: response.url,
+      createdTime: response.created_time,
+      lastEditedTime: response.last_edited_time,
+      titleProperty: Object.keys(schema).find(name => schema[name].type === 'title'),
+      schema
+    };
+  }
+
   /**
    * Create a new page with markdown content
-   * @param {string} parentPageId - Parent page ID
+   * @param {string} parentPageId - Parent page or database ID
    * @param {string} title - Page title
    * @param {Array} blocks - Notion blocks array
-   * @returns {Promise<{success: boolean, page?: object, error?: string}>}
+   * @param {Object} [options]
+   * @param {object} [options.icon] - Page icon (emoji or external file object)
+   * @param {object} [options.cover] - Page cover (external file object)
+   * @param {'page'|'database'} [options.parentType] - Create a child page or a database row
+   * @param {object} [options.properties] - Database property values (database rows only)
+   * @param {function(object): Promise} [options.onProgress] - Called with { pageId, pageUrl, lastBatchIndex,
+   *   blocksAppended, batchesRemaining, pendingChildren } after the page is created and after every append
+   * @param {AbortSignal} [options.signal] - Stops the upload before the next batch
+   * @param {string} [options.connectionId] - Notion connection (default connection if omitted)
+   * @returns {Promise<{success: boolean, page?: object, error?: string}>} On failure after the page
+   *   was created, `page` still describes the partially filled page
    */
-  async createPage(parentPageId, title, blocks) {
+  async createPage(parentPageId, title, blocks, { icon, cover, parentType = 'page', properties = {}, onProgress, signal, connectionId } = {}) {
+    let page = null;
     try {
-      const client = await this.initClient();
+      signal?.throwIfAborted();
+      const client = await this.initClient(connectionId);
       
-      // Split blocks if exceeding limit
-      const initialBlocks = blocks.slice(0, MAX_BLOCKS_PER_REQUEST);
-      const remainingBlocks = blocks.slice(MAX_BLOCKS_PER_REQUEST);
+      // Create page with the first batch of blocks, unless some of their children have to be
+      // appended separately (the create response holds no block IDs to append them to)
+      const batches = planBatches(blocks);
+      const firstBatch = batches.length > 0 ? prepareBatch(batches[0]) : { children: [], deferred: [] };
+      const inlineFirst = firstBatch.children.length > 0 && firstBatch.deferred.length === 0;
       
-      // Create page with initial blocks
+      // "title" is also the property ID of a database's title property
       const response = await client.pages.create({
-        parent: { page_id: parentPageId },
+        parent: parentType === 'database'
+          ? { database_id: parentPageId }
+          : { page_id: parentPageId },
         properties: {
+          ...(parentType === 'database' && properties),
           title: [{ text: { content: title } }]
         },
-        children: initialBlocks
+        ...(icon && { icon }),
+        ...(cover && { cover }),
+        children: inlineFirst ? firstBatch.children : []
       });
+      page = { id: response.id, url: response.url, title: title };
+      await onProgress?.({ pageId: page.id, pageUrl: page.url, ...batchProgress(batches, inlineFirst ? 0 : -1), pendingChildren: [] });
       
       // Append remaining blocks in batches
-      if (remainingBlocks.length > 0) {
-        await this.appendBlocks(response.id, remainingBlocks);
+      await this.appendBlocks(response.id, blocks, {
+        startBatch: inlineFirst ? 1 : 0,
+        onBatch: onProgress,
+        signal,
+        connectionId
+      });
+      
+      return {
+        success: true,
+        page
+      };
+    } catch (error) {
+      return {
+        success: false,
+        ...(page && { page }),
+        error: this.formatError(error)
+      };
+    }
+  }
+
+  /**
+   * Update an existing page in place
+   * @param {string} pageId - Notion page ID to update
+   * @param {string} title - New page title
+   * @param {Array} blocks - Notion blocks array
+   * @param {Object} options
+   * @param {'replace'|'append'} options.strategy - Replace existing children or append after them
+   * @param {object} [options.icon] - New page icon
+   * @param {object} [options.cover] - New page cover
+   * @param {object} [options.properties] - Database property values (database rows only)
+   * @param {number} [options.startBatch] - First batch of blocks to append (to resume an interrupted upload)
+   * @param {Array} [options.pendingChildren] - Deferred children of the batch before startBatch still to append
+   * @param {function(object): Promise} [options.onProgress] - Called with { pageId, pageUrl, cleared, lastBatchIndex,
+   *   blocksAppended, batchesRemaining, pendingChildren } once existing content is handled and after every append
+   * @param {AbortSignal} [options.signal] - Stops the upload before the next batch
+   * @param {string} [options.connectionId] - Notion connection (default connection if omitted)
+   * @returns {Promise<{success: boolean, page?: object, error?: string}>}
+   */
+  async updatePage(pageId, title, blocks, { strategy = 'replace', icon, cover, properties, startBatch = 0, pendingChildren = [], onProgress, signal, connectionId } = {}) {
+    try {
+      signal?.throwIfAborted();
+      const response = await this.updatePageTitle(pageId, title, { icon, cover, properties, connectionId });
+      
+      if (strategy === 'replace') {
+        await this.clearChildren(pageId, { connectionId });
       }
+      await onProgress?.({
+        pageId: response.id,
+        pageUrl: response.url,
+        cleared: true,
+        ...batchProgress(planBatches(blocks), startBatch - 1),
+        pendingChildren
+      });
+      
+      await this.appendBlocks(pageId, blocks, {
+        startBatch,
+        pendingChildren,
+        onBatch: onProgress,
+        signal,
+        connectionId
+      });
       
       return {
         success: true,
@@ -144,20 +294,227 @@ class NotionService {
   }
 
   /**
-   * Append blocks to an existing page in batches
+   * Set the title (and optionally icon, cover and database properties) of an existing page
+   * @returns {Promise<object>} Updated page object
    */
-  async appendBlocks(pageId, blocks) {
-    const client = await this.initClient();
+  async updatePageTitle(pageId, title, { icon, cover, properties = {}, connectionId } = {}) {
+    const client = await this.initClient(connectionId);
+    return client.pages.update({
+      page_id: pageId,
+      properties: {
+        ...properties,
+        title: [{ text: { content: title } }]
+      },
+      ...(icon && { icon }),
+      ...(cover && { cover })
+    });
+  }
+
+  /**
+   * List all direct children of a block or page (follows pagination)
+   * @param {string} blockId - Page or block ID
+   * @param {Object} [options]
+   * @param {string} [options.connectionId] - Notion connection (default connection if omitted)
+   */
+  async listChildren(blockId, { connectionId } = {}) {
+    const client = await this.initClient(connectionId);
+    return collectPaginatedAPI(client.blocks.children.list, { block_id: blockId });
+  }
+
+  /**
+   * Fetch the full block tree of a page or block; nested blocks are attached as `children`.
+   * Child pages and databases are separate documents, so their content is not fetched.
+   * @param {string} blockId - Page or block ID
+   * @param {Object} [options]
+   * @param {string} [options.connectionId] - Notion connection (default connection if omitted)
+   * @returns {Promise<Array>} Blocks with children
+   */
+  async fetchBlockTree(blockId, { connectionId } = {}) {
+    const blocks = await this.listChildren(blockId, { connectionId });
+    for (const block of blocks) {
+      const nested = block.has_children && !['child_page', 'child_database'].includes(block.type);
+      block.children = nested ? await this.fetchBlockTree(block.id, { connectionId }) : [];
+    }
+    return blocks;
+  }
+
+  /**
+   * Export a page as Markdown, with its title, icon and cover as front matter
+   * @param {string} pageId - Notion page ID
+   * @param {Object} [options]
+   * @param {string} [options.connectionId] - Notion connection (default connection if omitted)
+   * @returns {Promise<{success: boolean, title?: string, markdown?: string, error?: string}>}
+   */
+  async exportPage(pageId, { connectionId } = {}) {
+    try {
+      const client = await this.initClient(connectionId);
+      const page = await client.pages.retrieve({ page_id: pageId });
+      const blocks = await this.fetchBlockTree(pageId, { connectionId });
+      
+      const titleProperty = Object.values(page.properties || {}).find(p => p.type === 'title');
+      const title = titleProperty?.title.map(t => t.plain_text).join('') || 'Untitled';
+      
+      const frontMatter = [`title: ${JSON.stringify(title)}`];
+      if (page.icon?.type === 'emoji') frontMatter.push(`icon: ${JSON.stringify(page.icon.emoji)}`);
+      if (page.icon?.type === 'external') frontMatter.push(`icon: ${JSON.stringify(page.icon.external.url)}`);
+      if (page.cover?.type === 'external') frontMatter.push(`cover: ${JSON.stringify(page.cover.external.url)}`);
+      
+      const { callouts } = await storage.getSettings();
+      const body = blocksToMarkdown(blocks, { callouts });
+      return {
+        success: true,
+        title,
+        markdown: `---\n${frontMatter.join('\n')}\n---\n\n${body}\n`
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: this.formatError(error)
+      };
+    }
+  }
+
+  /**
+   * Delete all direct children of a page
+   */
+  async clearChildren(pageId, { connectionId } = {}) {
+    const client = await this.initClient(connectionId);
+    const children = await this.listChildren(pageId, { connectionId });
+    
+    for (const child of children) {
+      await client.blocks.delete({ block_id: child.id });
+    }
+  }
+
+  /**
+   * Append blocks to an existing page or block in batches (see planBatches)
+   * @param {string} pageId - Notion page or block ID
+   * @param {Array} blocks - Notion blocks array
+   * @param {Object} [options]
+   * @param {number} [options.startBatch] - Skip batches before this index (already appended)
+   * @param {Array<{parentId: string, blocks: Array}>} [options.pendingChildren] - Deferred children of the batch
+   *   before startBatch that were not appended yet (to resume an interrupted upload)
+   * @param {function(object): Promise} [options.onBatch] - Called with { lastBatchIndex, blocksAppended, batchesRemaining,
+   *   pendingChildren } once the top-level blocks of a batch are appended and after every request for its deferred children
+   * @param {AbortSignal} [options.signal] - Checked before every request; throws its reason once aborted
+   * @param {string} [options.connectionId] - Notion connection (default connection if omitted)
+   */
+  async appendBlocks(pageId, blocks, { startBatch = 0, pendingChildren = [], onBatch, signal, connectionId } = {}) {
+    const batches = planBatches(blocks);
+    
+    const resumed = batchProgress(batches, startBatch - 1);
+    await this.appendPending(pendingChildren, {
+      onPending: pending => onBatch?.({ ...resumed, pendingChildren: pending }),
+      signal,
+      connectionId
+    });
     
-    for (let i = 0; i < blocks.length; i += MAX_BLOCKS_PER_REQUEST) {
-      const batch = blocks.slice(i, i + MAX_BLOCKS_PER_REQUEST);
-      await client.blocks.children.append({
-        block_id: pageId,
-        children: batch
+    // Batching is deterministic, so progress can be stored as a batch index
+    for (let index = startBatch; index < batches.length; index++) {
+      const progress = batchProgress(batches, index);
+      await this.appendBatch(pageId, batches[index], {
+        onAppended: pending => onBatch?.({ ...progress, pendingChildren: pending }),
+        signal,
+        connectionId
       });
     }
   }
 
+  /**
+   * Append one batch of blocks, then the children nested too deep (or too many) to be sent
+   * with it to the blocks just created
+   * @param {string} parentId - Page or block ID
+   * @param {Array} batch - Blocks of one batch (see planBatches)
+   * @param {Object} [options]
+   * @param {string} [options.after] - Insert after this child block instead of at the end
+   * @param {function(Array): Promise} [options.onAppended] - Called with the deferred children still to append
+   *   ({ parentId, blocks }) once the batch itself is appended and after every request for them
+   * @param {AbortSignal} [options.signal] - Checked before every request
+   * @param {string} [options.connectionId] - Notion connection (default connection if omitted)
+   * @returns {Promise<Array>} Created top-level blocks
+   */
+  async appendBatch(parentId, batch, { after, onAppended, signal, connectionId } = {}) {
+    const { results, pending } = await this.sendBatch(parentId, batch, { after, signal, connectionId });
+    await onAppended?.(pending);
+    await this.appendPending(pending, { onPending: onAppended, signal, connectionId });
+    return results;
+  }
+
+  /**
+   * Send the append request of one batch
+   * @returns {Promise<{results: Array, pending: Array<{parentId: string, blocks: Array}>}>} Created blocks,
+   *   and the children deferred to them
+   */
+  async sendBatch(parentId, batch, { after, signal, connectionId } = {}) {
+    const client = await this.initClient(connectionId);
+    const { children, deferred } = prepareBatch(batch);
+    
+    signal?.throwIfAborted();
+    const response = await client.blocks.children.append({
+      block_id: parentId,
+      children,
+      ...(after && { after })
+    });
+    
+    return {
+      results: response.results,
+      pending: deferred.map(({ index, children: nested }) => ({ parentId: response.results[index].id, blocks: nested }))
+    };
+  }
+
+  /**
+   * Append deferred children one request at a time, children of created blocks first
+   * @param {Array<{parentId: string, blocks: Array}>} pending - Blocks still to append, by parent block
+   * @param {Object} [options]
+   * @param {function(Array): Promise} [options.onPending] - Called with what is still pending after every request
+   * @param {AbortSignal} [options.signal] - Checked before every request
+   * @param {string} [options.connectionId] - Notion connection (default connection if omitted)
+   */
+  async appendPending(pending, { onPending, signal, connectionId } = {}) {
+    while (pending.length > 0) {
+      const [{ parentId, blocks }, ...rest] = pending;
+      const [batch] = planBatches(blocks);
+      const remaining = blocks.slice(batch.length);
+      const { pending: nested } = await this.sendBatch(parentId, batch, { signal, connectionId });
+      
+      pending = [
+        ...nested,
+        ...(remaining.length > 0 ? [{ parentId, blocks: remaining }] : []),
+        ...rest
+      ];
+      await onPending?.(pending);
+    }
+  }
+
+  /**
+   * Upload a file with the Notion file upload API (single part, up to 20MB)
+   * @param {string} filename - File name
+   * @param {Buffer} data - File content
+   * @param {string} contentType - MIME type
+   * @param {Object} [options]
+   * @param {string} [options.connectionId] - Notion connection (default connection if omitted)
+   * @returns {Promise<string>} File upload ID to reference from blocks
+   */
+  async uploadFile(filename, data, contentType, { connectionId } = {}) {
+    const client = await this.initClient(connectionId);
+    
+    const fileUpload = await client.fileUploads.create({
+      mode: 'single_part',
+      filename,
+      content_type: contentType
+    });
+    
+    await client.fileUploads.send({
+      file_upload_id: fileUpload.id,
+      file: {
+        filename,
+        data: new Blob([data], { type: contentType })
+      }
+    });
+    
+    return fileUpload.id;
+  }
+
   /**
    * Format Notion API errors into user-friendly messages
    */
@@ -168,10 +525,11 @@ class NotionService {
     const errorMessages = {
       'unauthorized': 'Invalid API key. Please check your Notion integration token.',
       'object_not_found': 'Page not found. Please check if the page exists and is shared with your integration.',
-      'rate_limited': 'Too many requests. Please wait a moment and try again.',
+      'rate_limited': 'Notion is still rate limiting requests after several retries. Please wait a moment and try again, or lower the request rate in settings.',
       'validation_error': 'Invalid request format. Please check your input.',
       'internal_server_error': 'Notion server error. Please try again later.',
-      'service_unavailable': 'Notion service is temporarily unavailable. Please try again later.'
+      'service_unavailable': 'Notion service is temporarily unavailable. Please try again later.',
+      'notionhq_client_request_timeout': 'Notion did not respond in time. Please try again later.'
     };
     
     return errorMessages[code] || message;
@@ -0,0 +1,161 @@
+/**
+ * oauth.js - Notion OAuth (public integration) authorization code flow
+ * Teammates connect a workspace by authorizing the integration in Notion instead of pasting a token.
+ * The access token and workspace metadata are stored as a connection (see storage.addConnection).
+ *
+ * Configured with NOTION_OAUTH_CLIENT_ID and NOTION_OAUTH_CLIENT_SECRET; NOTION_OAUTH_BASE_URL
+ * points the flow at another server (e.g. a local mock) instead of https://api.notion.com.
+ */
+
+import { randomBytes } from 'crypto';
+import { storage } from './storage.js';
+
+const DEFAULT_BASE_URL = 'https://api.notion.com';
+
+// Authorizations not completed within this time are rejected
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+class OAuthService {
+  constructor() {
+    // state -> { userId, redirectUri, expiresAt } of authorizations in progress
+    this.pending = new Map();
+  }
+
+  /**
+   * OAuth client configuration from the environment, or null if OAuth is not configured
+   * @returns {{clientId: string, clientSecret: string, baseUrl: string, redirectUri: string|null}|null}
+   */
+  getConfig() {
+    const clientId = process.env.NOTION_OAUTH_CLIENT_ID;
+    const clientSecret = process.env.NOTION_OAUTH_CLIENT_SECRET;
+    if (!clientId || !clientSecret) return null;
+
+    return {
+      clientId,
+      clientSecret,
+      baseUrl: (process.env.NOTION_OAUTH_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+      redirectUri: process.env.NOTION_OAUTH_REDIRECT_URI || null
+    };
+  }
+
+  isConfigured() {
+    return this.getConfig() !== null;
+  }
+
+  /**
+   * Start an authorization: remember a new state and build the Notion authorization URL
+   * @param {string} redirectUri - Callback URL, used when NOTION_OAUTH_REDIRECT_URI is not set
+   * @param {string} userId - User who receives the connection
+   * @returns {string} URL to send the browser to
+   */
+  createAuthorizationUrl(redirectUri, userId) {
+    const config = this.getConfig();
+    if (!config) {
+      throw new Error('Notion OAuth is not configured');
+    }
+
+    const now = Date.now();
+    for (const [state, pending] of this.pending) {
+      if (pending.expiresAt < now) this.pending.delete(state);
+    }
+
+    const state = randomBytes(16).toString('hex');
+    const callbackUri = config.redirectUri || redirectUri;
+    this.pending.set(state, { userId, redirectUri: callbackUri, expiresAt: now + STATE_TTL_MS });
+
+    const params = new URLSearchParams({
+      client_id: config.clientId,
+      response_type: 'code',
+      owner: 'user',
+      redirect_uri: callbackUri,
+      state
+    });
+    return `${config.baseUrl}/v1/oauth/authorize?${params}`;
+  }
+
+  /**
+   * Exchange an authorization code for an access token
+   * @param {string} code - Code from the callback
+   * @param {string} redirectUri - Redirect URI of the authorization request
+   * @returns {Promise<object>} Token response (access_token, bot_id, workspace_id, workspace_name, ...)
+   */
+  async exchangeCode(code, redirectUri) {
+    const config = this.getConfig();
+    const credentials = Buffer.from(`${config.clientId}:${config.clientSecret}`).toString('base64');
+
+    const response = await fetch(`${config.baseUrl}/v1/oauth/token`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${credentials}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri
+      })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.access_token) {
+      throw new Error(data.error_description || data.error || `Token exchange failed (HTTP ${response.status})`);
+    }
+    return data;
+  }
+
+  /**
+   * Complete an authorization from the callback and store its workspace as a connection.
+   * Authorizing a workspace again replaces the token of the user's existing connection to it.
+   * @param {Object} params - Callback query parameters
+   * @param {string} [params.code]
+   * @param {string} [params.state]
+   * @param {string} [params.error] - Set when the user declined
+   * @param {string} userId - User completing the authorization (must be the one who started it)
+   * @returns {Promise<{connection: object, created: boolean}>}
+   */
+  async completeAuthorization({ code, state, error }, userId) {
+    const pending = state && this.pending.get(state);
+    this.pending.delete(state);
+    if (!pending || pending.expiresAt < Date.now() || pending.userId !== userId) {
+      throw new Error('Authorization expired or was not started here, please try again');
+    }
+    if (error) {
+      throw new Error(error === 'access_denied' ? 'Authorization was declined' : `Authorization failed: ${error}`);
+    }
+    if (!code) {
+      throw new Error('Authorization code is missing');
+    }
+
+    const token = await this.exchangeCode(code, pending.redirectUri);
+    const metadata = {
+      workspaceName: token.workspace_name || null,
+      workspaceId: token.workspace_id || null,
+      workspaceIcon: token.workspace_icon || null,
+      botId: token.bot_id || null
+    };
+
+    const connections = await storage.getConnections({ userId });
+    const existing = metadata.workspaceId
+      && connections.find(c => c.type === 'oauth' && c.workspaceId === metadata.workspaceId);
+    if (existing) {
+      const connection = await storage.updateConnection(existing.id, {
+        ...metadata,
+        token: token.access_token,
+        refreshToken: token.refresh_token || null
+      });
+      return { connection, created: false };
+    }
+
+    const connection = await storage.addConnection({
+      ...metadata,
+      userId,
+      name: metadata.workspaceName || 'Notion',
+      type: 'oauth',
+      token: token.access_token,
+      refreshToken: token.refresh_token || null
+    });
+    return { connection, created: true };
+  }
+}
+
+export const oauthService = new OAuthService();
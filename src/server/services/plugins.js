@@ -0,0 +1,144 @@
+/**
+ * plugins.js - Markdown conversion plugins loaded from the plugins/ directory
+ *
+ * A plugin is a module in plugins/ (its file name is the plugin ID) whose default export has:
+ *   - name, description: shown in the page configuration UI
+ *   - preprocess(markdown, context): returns the changed Markdown string
+ *   - remarkPlugins: unified/remark plugins (or [plugin, options] pairs) run on the Markdown AST
+ *   - postprocess(blocks, context): returns the changed Notion block array
+ * Every stage is optional. context is { sourcePath, frontMatter }.
+ * Plugins are enabled per page configuration and run in the order listed there.
+ */
+
+import { join, dirname, basename, extname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { existsSync } from 'fs';
+import { readdir } from 'fs/promises';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const PLUGINS_DIR = process.env.PLUGINS_DIR || join(__dirname, '../../../plugins');
+
+const PLUGIN_FILE = /\.m?js$/;
+
+/**
+ * Check the default export of a plugin module
+ * @param {string} id - Plugin ID (file name without extension)
+ * @param {object} plugin - Default export
+ * @returns {object} Plugin with its ID and the stages it implements
+ */
+function validatePlugin(id, plugin) {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error('Plugin module has no default export');
+  }
+
+  const stages = [];
+  if (plugin.preprocess !== undefined) {
+    if (typeof plugin.preprocess !== 'function') throw new Error('preprocess must be a function');
+    stages.push('preprocess');
+  }
+  if (plugin.remarkPlugins !== undefined) {
+    if (!Array.isArray(plugin.remarkPlugins)) throw new Error('remarkPlugins must be an array');
+    stages.push('remark');
+  }
+  if (plugin.postprocess !== undefined) {
+    if (typeof plugin.postprocess !== 'function') throw new Error('postprocess must be a function');
+    stages.push('postprocess');
+  }
+  if (stages.length === 0) {
+    throw new Error('Plugin defines none of preprocess, remarkPlugins or postprocess');
+  }
+
+  return {
+    ...plugin,
+    id,
+    name: plugin.name || id,
+    description: plugin.description || '',
+    stages
+  };
+}
+
+class PluginService {
+  constructor() {
+    this.loading = null;
+  }
+
+  /**
+   * Import all plugins once. Plugins that fail to load are kept with their error.
+   * @returns {Promise<Map<string, object>>} Plugins by ID
+   */
+  async load() {
+    this.loading ||= this.importPlugins();
+    return this.loading;
+  }
+
+  async importPlugins() {
+    const plugins = new Map();
+    if (!existsSync(PLUGINS_DIR)) {
+      return plugins;
+    }
+
+    const files = (await readdir(PLUGINS_DIR)).filter(file => PLUGIN_FILE.test(file)).sort();
+    for (const file of files) {
+      const id = basename(file, extname(file));
+      try {
+        const module = await import(pathToFileURL(join(PLUGINS_DIR, file)).href);
+        plugins.set(id, validatePlugin(id, module.default));
+      } catch (error) {
+        console.error(`Failed to load plugin "${id}":`, error);
+        plugins.set(id, { id, name: id, description: '', stages: [], error: error.message });
+      }
+    }
+    return plugins;
+  }
+
+  /**
+   * List installed plugins
+   * @returns {Promise<Array<{id: string, name: string, description: string, stages: Array<string>, error: string|null}>>}
+   */
+  async list() {
+    const plugins = await this.load();
+    return [...plugins.values()].map(({ id, name, description, stages, error }) => ({
+      id,
+      name,
+      description,
+      stages,
+      error: error || null
+    }));
+  }
+
+  /**
+   * IDs in a list that are not installed plugins
+   * @param {Array<string>} ids - Plugin IDs
+   * @returns {Promise<Array<string>>}
+   */
+  async findUnknown(ids = []) {
+    const plugins = await this.load();
+    return ids.filter(id => !plugins.has(id));
+  }
+
+  /**
+   * Resolve the plugins enabled on a page configuration, in order
+   * @param {Array<string>} [ids] - Plugin IDs
+   * @returns {Promise<{plugins: Array<object>, unavailable: Array<{id: string, error: string}>}>}
+   */
+  async resolve(ids = []) {
+    const installed = await this.load();
+    const plugins = [];
+    const unavailable = [];
+
+    for (const id of ids) {
+      const plugin = installed.get(id);
+      if (!plugin) {
+        unavailable.push({ id, error: 'not installed' });
+      } else if (plugin.error) {
+        unavailable.push({ id, error: plugin.error });
+      } else {
+        plugins.push(plugin);
+      }
+    }
+
+    return { plugins, unavailable };
+  }
+}
+
+export const pluginService = new PluginService();
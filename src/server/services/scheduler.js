@@ -0,0 +1,140 @@
+/**
+ * scheduler.js - Rate-limited request scheduler with retries for Notion API calls
+ * Used as the fetch implementation of every Notion client, so all calls share one queue.
+ */
+
+// Retry policy used until settings are loaded (Notion allows an average of ~3 requests per second)
+export const DEFAULT_RETRY_POLICY = {
+  notionRequestsPerSecond: 3,
+  notionMaxRetries: 5,
+  notionRetryBaseDelay: 1000, // ms, doubled on every retry
+  notionRetryMaxDelay: 30000 // ms
+};
+
+// Timeout of a single attempt; the Notion client's own timeout covers all retries
+export const ATTEMPT_TIMEOUT_MS = 60000;
+
+// Conflicts, rate limits and server errors are worth retrying; other errors will not change
+const RETRYABLE_STATUS = new Set([409, 429, 500, 502, 503, 504]);
+
+// Methods safe to send again. A write that failed, timed out or lost its connection may already have been
+// applied (appended blocks, created pages), so writes are only retried when rate limited.
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD']);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Delay in ms requested by a Retry-After header (seconds or HTTP date)
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class RequestScheduler {
+  constructor() {
+    this.policy = { ...DEFAULT_RETRY_POLICY };
+    // Earliest time the next request may start
+    this.nextSlot = 0;
+    this.logger = null;
+  }
+
+  /**
+   * Log retries through this logger (the web server's Fastify logger; the CLI does not log them)
+   * @param {object} logger - pino-compatible logger
+   */
+  setLogger(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Update the retry policy (missing values keep their defaults)
+   * @param {object} [settings] - Settings holding the notion* policy keys
+   */
+  configure(settings = {}) {
+    for (const key of Object.keys(DEFAULT_RETRY_POLICY)) {
+      this.policy[key] = settings[key] ?? DEFAULT_RETRY_POLICY[key];
+    }
+  }
+
+  /**
+   * Wait for the next free request slot.
+   * Slots are reserved synchronously, so concurrent callers queue up in call order.
+   */
+  async acquire() {
+    const now = Date.now();
+    const start = Math.max(now, this.nextSlot);
+    this.nextSlot = start + 1000 / this.policy.notionRequestsPerSecond;
+    if (start > now) {
+      await sleep(start - now);
+    }
+  }
+
+  /**
+   * Hold back every queued request, e.g. while Notion asks us to slow down
+   */
+  pause(ms) {
+    this.nextSlot = Math.max(this.nextSlot, Date.now() + ms);
+  }
+
+  /**
+   * Exponential backoff with jitter, or the server's Retry-After if it sent one
+   * @param {number} attempt - Retry number, starting at 0
+   * @param {number|null} retryAfter - Delay requested by the server in ms
+   */
+  retryDelay(attempt, retryAfter = null) {
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+    const { notionRetryBaseDelay, notionRetryMaxDelay } = this.policy;
+    const backoff = Math.min(notionRetryMaxDelay, notionRetryBaseDelay * 2 ** attempt);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * fetch() replacement: throttles requests and retries rate limits; reads are also retried on
+   * conflicts, server errors, network failures and timeouts
+   * @param {string} url - Request URL
+   * @param {object} [init] - fetch options
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, init = {}) {
+    const idempotent = IDEMPOTENT_METHODS.has((init.method || 'GET').toUpperCase());
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+
+      let response;
+      try {
+        response = await fetch(url, { ...init, signal: AbortSignal.timeout(ATTEMPT_TIMEOUT_MS) });
+      } catch (error) {
+        if (!idempotent || attempt >= this.policy.notionMaxRetries) throw error;
+        const delay = this.retryDelay(attempt);
+        this.logger?.warn(`Notion request failed (${error.message}), retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      const retryable = response.status === 429 || (idempotent && RETRYABLE_STATUS.has(response.status));
+      if (!retryable || attempt >= this.policy.notionMaxRetries) {
+        return response;
+      }
+
+      const delay = this.retryDelay(attempt, parseRetryAfter(response.headers.get('retry-after')));
+      if (response.status === 429) {
+        this.pause(delay);
+      }
+      this.logger?.warn(`Notion responded with ${response.status}, retrying in ${delay}ms`);
+      // Release the connection before retrying
+      await response.body?.cancel();
+      await sleep(delay);
+    }
+  }
+}
+
+export const notionScheduler = new RequestScheduler();
@@ -1,84 +1,407 @@
 /**
- * storage.js - lowdb storage service for configuration and history management
+ * storage.js - Storage service for configuration and history management
+ * Records are kept by a pluggable backend (lowdb JSON file or SQLite, see storage/index.js).
  */
 
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { existsSync, mkdirSync } from 'fs';
-import { Low } from 'lowdb';
-import { JSONFile } from 'lowdb/node';
 import { nanoid } from 'nanoid';
 import dayjs from 'dayjs';
 import { encrypt, decrypt } from '../utils/crypto.js';
+import { DEFAULT_RETRY_POLICY } from './scheduler.js';
+import { DEFAULT_CALLOUTS } from '../utils/callouts.js';
+import { createBackend } from './storage/index.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = join(__dirname, '../../../data');
-const DB_PATH = join(DATA_DIR, 'db.json');
+export const DATA_DIR = join(__dirname, '../../../data');
 
 // Ensure data directory exists
 if (!existsSync(DATA_DIR)) {
   mkdirSync(DATA_DIR, { recursive: true });
 }
 
-// Default database structure
-const defaultData = {
-  config: {
-    apiKey: null,
-    defaultPageId: null
-  },
-  pages: [],
-  history: [],
-  settings: {
-    autoOpenNotion: false,
-    autoClearInput: true,
-    maxFileSize: 10485760 // 10MB
-  }
+// Settings not stored yet (including those added in newer versions) have these values
+const DEFAULT_SETTINGS = {
+  autoOpenNotion: false,
+  autoClearInput: true,
+  maxFileSize: 10485760, // 10MB
+  imageHosting: 'notion', // 'notion' (file upload API) or 'static' (served by this server)
+  imageBaseUrl: null, // Public base URL of this server, required for static image hosting
+  callouts: DEFAULT_CALLOUTS, // Callout type to { emoji, color } for "> [!NOTE]" and ":::note" blocks
+  plantumlJar: null, // Path of plantuml.jar for rendering PlantUML diagrams (PLANTUML_JAR or data/plantuml.jar if unset)
+  ...DEFAULT_RETRY_POLICY
 };
 
+// Upload jobs kept for resuming failed uploads
+const MAX_JOBS = 100;
+
+/**
+ * Where clause for records owned by a user. Without a user (CLI and internal lookups by ID) all records match.
+ * @param {string} [userId]
+ */
+function ownedBy(userId) {
+  return userId === undefined ? {} : { userId };
+}
+
+/**
+ * Where clause for the page configurations sharing a default flag with a page: each user's own pages, and the shared pages
+ */
+function defaultScopeOf(page) {
+  return page.shared ? { shared: true } : { shared: { $ne: true }, userId: page.userId ?? null };
+}
+
+function withoutSecrets({ token, refreshToken, ...connection }) {
+  return connection;
+}
+
+function withoutPassword({ passwordHash, ...user }) {
+  return user;
+}
+
+function withoutTokenHash({ tokenHash, ...apiToken }) {
+  return apiToken;
+}
+
 class StorageService {
   constructor() {
-    this.db = null;
-    this.initialized = false;
+    this.backend = null;
+    this.ready = null;
   }
 
-  async init() {
-    if (this.initialized) return;
+  init() {
+    this.ready ||= this.open();
+    return this.ready;
+  }
+
+  async open() {
+    const backend = await createBackend(DATA_DIR);
+    await backend.init();
     
-    const adapter = new JSONFile(DB_PATH);
-    this.db = new Low(adapter, defaultData);
-    await this.db.read();
+    // The single API key of older versions becomes the default connection, used by all existing pages
+    const config = await backend.getDocument('config') || {};
+    if (config.apiKey) {
+      const [existing] = await backend.find('connections', {}, { limit: 1 });
+      if (!existing) {
+        const connection = {
+          id: nanoid(),
+          name: 'Default',
+          token: config.apiKey,
+          workspaceName: null,
+          isDefault: true,
+          createdAt: dayjs().toISOString()
+        };
+        await backend.insert('connections', connection);
+        await backend.update('pages', { connectionId: null }, { connectionId: connection.id });
+      }
+      delete config.apiKey;
+      await backend.setDocument('config', config);
+    }
+    
+    // Directory import mappings of older versions belong to the owner of the page configuration they were imported under
+    const [anyUser] = await backend.find('users', {}, { limit: 1 });
+    if (anyUser) {
+      for (const mapping of await backend.find('pathMappings', { userId: null })) {
+        const [page] = await backend.find('pages', { pageId: mapping.rootPageId }, { orderBy: 'createdAt', limit: 1 });
+        if (page?.userId) {
+          await backend.update('pathMappings', { id: mapping.id }, { userId: page.userId });
+        }
+      }
+    }
+    
+    this.backend = backend;
+  }
+
+  // User Accounts (the first account is an admin and takes over the data from before accounts existed)
+  async getUsers() {
+    await this.init();
+    const users = await this.backend.find('users', {}, { orderBy: 'createdAt' });
+    return users.map(withoutPassword);
+  }
+
+  async getUser(id) {
+    await this.init();
+    const [user] = await this.backend.find('users', { id });
+    return user ? withoutPassword(user) : null;
+  }
+
+  /**
+   * User record including the password hash, for login
+   * @param {string} username - Case-insensitive user name
+   */
+  async getUserByUsername(username) {
+    await this.init();
+    const users = await this.backend.find('users');
+    return users.find(u => u.username.toLowerCase() === username.toLowerCase()) || null;
+  }
+
+  async hasUsers() {
+    await this.init();
+    const users = await this.backend.find('users', {}, { limit: 1 });
+    return users.length > 0;
+  }
+
+  /**
+   * @param {{username: string, passwordHash: string, role?: 'admin'|'user'}} user
+   * @param {Object} [options]
+   * @param {boolean} [options.setup] - Only add the user if there is none yet, checked in the same write (first-run setup)
+   * @returns {Promise<object|null>} User without password hash, or null if a setup user was not added
+   */
+  async addUser(user, { setup = false } = {}) {
+    await this.init();
+    const first = setup || !await this.hasUsers();
+    const newUser = {
+      id: nanoid(),
+      username: user.username,
+      passwordHash: user.passwordHash,
+      role: first ? 'admin' : user.role || 'user',
+      createdAt: dayjs().toISOString()
+    };
+    if (setup) {
+      if (!await this.backend.insertUnless('users', {}, newUser)) return null;
+    } else {
+      await this.backend.insert('users', newUser);
+    }
     
-    // Initialize with default data if empty
-    if (!this.db.data) {
-      this.db.data = defaultData;
-      await this.db.write();
+    if (first) {
+      for (const collection of ['connections', 'pages', 'history', 'pathMappings', 'jobs']) {
+        await this.backend.update(collection, { userId: null }, { userId: newUser.id });
+      }
     }
     
-    this.initialized = true;
+    return withoutPassword(newUser);
+  }
+
+  async updateUser(id, updates) {
+    await this.init();
+    const [user] = await this.backend.update('users', { id }, { ...updates, updatedAt: dayjs().toISOString() });
+    return user ? withoutPassword(user) : null;
+  }
+
+  /**
+   * Delete a user with their sessions, API tokens, connections, own page configurations, history, directory import
+   * mappings and upload jobs
+   */
+  async deleteUser(id) {
+    await this.init();
+    if (await this.backend.remove('users', { id }) === 0) return false;
+    
+    for (const collection of ['sessions', 'apiTokens', 'connections', 'history', 'pathMappings', 'jobs']) {
+      await this.backend.remove(collection, { userId: id });
+    }
+    await this.backend.remove('pages', { userId: id, shared: { $ne: true } });
+    return true;
+  }
+
+  // Login Sessions (stored by token hash)
+  async addSession(session) {
+    await this.init();
+    const now = dayjs().toISOString();
+    await this.backend.remove('sessions', { expiresAt: { $lte: now } });
+    await this.backend.insert('sessions', {
+      tokenHash: session.tokenHash,
+      userId: session.userId,
+      expiresAt: session.expiresAt,
+      createdAt: now
+    });
+  }
+
+  async getSession(tokenHash) {
+    await this.init();
+    const [session] = await this.backend.find('sessions', { tokenHash });
+    return session && session.expiresAt > dayjs().toISOString() ? session : null;
+  }
+
+  async deleteSession(tokenHash) {
+    await this.init();
+    await this.backend.remove('sessions', { tokenHash });
+  }
+
+  /**
+   * End the sessions of a user, except the one given
+   */
+  async deleteUserSessions(userId, exceptTokenHash = null) {
+    await this.init();
+    await this.backend.remove('sessions', { userId, tokenHash: { $ne: exceptTokenHash } });
+  }
+
+  // Personal API Tokens (stored by token hash, like sessions)
+  async getApiTokens({ userId } = {}) {
+    await this.init();
+    const apiTokens = await this.backend.find('apiTokens', ownedBy(userId), { orderBy: 'createdAt' });
+    return apiTokens.map(withoutTokenHash);
+  }
+
+  /**
+   * Unexpired API token with this hash
+   * @returns {Promise<object|null>}
+   */
+  async getApiTokenByHash(tokenHash) {
+    await this.init();
+    const [apiToken] = await this.backend.find('apiTokens', { tokenHash });
+    return apiToken && (!apiToken.expiresAt || apiToken.expiresAt > dayjs().toISOString())
+      ? withoutTokenHash(apiToken)
+      : null;
+  }
+
+  async addApiToken(apiToken) {
+    await this.init();
+    const newApiToken = {
+      id: nanoid(),
+      userId: apiToken.userId,
+      name: apiToken.name,
+      tokenHash: apiToken.tokenHash,
+      // Start of the token, so users can tell their tokens apart
+      prefix: apiToken.prefix,
+      scopes: apiToken.scopes,
+      expiresAt: apiToken.expiresAt || null,
+      lastUsedAt: null,
+      createdAt: dayjs().toISOString()
+    };
+    await this.backend.insert('apiTokens', newApiToken);
+    return withoutTokenHash(newApiToken);
+  }
+
+  async updateApiToken(id, updates) {
+    await this.init();
+    const [apiToken] = await this.backend.update('apiTokens', { id }, updates);
+    return apiToken ? withoutTokenHash(apiToken) : null;
+  }
+
+  /**
+   * Revoke an API token
+   * @param {string} id
+   * @param {Object} [scope]
+   * @param {string} [scope.userId] - Only a token of this user
+   */
+  async deleteApiToken(id, { userId } = {}) {
+    await this.init();
+    return await this.backend.remove('apiTokens', { id, ...ownedBy(userId) }) > 0;
+  }
+
+  // Notion Connection Management (one integration or OAuth token per workspace, stored encrypted)
+  /**
+   * @param {Object} [scope]
+   * @param {string} [scope.userId] - Only connections of this user (all if omitted)
+   */
+  async getConnections({ userId } = {}) {
+    await this.init();
+    const connections = await this.backend.find('connections', ownedBy(userId), { orderBy: 'createdAt' });
+    return connections.map(withoutSecrets);
+  }
+
+  async getConnection(id, scope) {
+    const connections = await this.getConnections(scope);
+    return connections.find(c => c.id === id) || null;
+  }
+
+  async getDefaultConnection(scope) {
+    const connections = await this.getConnections(scope);
+    return connections.find(c => c.isDefault) || null;
   }
 
-  // API Key Management
-  async getApiKey() {
+  /**
+   * Decrypted token of a connection
+   * @param {string} [id] - Connection ID (default connection if omitted)
+   * @returns {Promise<string|null>} Token, or null if the connection does not exist
+   */
+  async getConnectionToken(id) {
     await this.init();
-    const encrypted = this.db.data.config.apiKey;
-    return encrypted ? decrypt(encrypted) : null;
+    const [connection] = await this.backend.find('connections', id ? { id } : { isDefault: true }, { orderBy: 'createdAt', limit: 1 });
+    return connection ? decrypt(connection.token) : null;
   }
 
-  async setApiKey(apiKey) {
+  async hasConnection() {
     await this.init();
-    this.db.data.config.apiKey = apiKey ? encrypt(apiKey) : null;
-    await this.db.write();
+    const connections = await this.backend.find('connections', {}, { limit: 1 });
+    return connections.length > 0;
   }
 
-  async hasApiKey() {
+  async addConnection(connection) {
     await this.init();
-    return !!this.db.data.config.apiKey;
+    const newConnection = {
+      id: nanoid(),
+      userId: connection.userId || null,
+      name: connection.name,
+      // 'token' for pasted integration tokens, 'oauth' for authorized public integrations
+      type: connection.type || 'token',
+      token: encrypt(connection.token),
+      refreshToken: connection.refreshToken ? encrypt(connection.refreshToken) : null,
+      workspaceName: connection.workspaceName || null,
+      workspaceId: connection.workspaceId || null,
+      workspaceIcon: connection.workspaceIcon || null,
+      botId: connection.botId || null,
+      isDefault: connection.isDefault || false,
+      createdAt: dayjs().toISOString()
+    };
+    
+    // The first connection of a user is their default one
+    const own = await this.backend.find('connections', { userId: newConnection.userId }, { limit: 1 });
+    if (newConnection.isDefault || own.length === 0) {
+      await this.backend.update('connections', { userId: newConnection.userId, isDefault: true }, { isDefault: false });
+      newConnection.isDefault = true;
+    }
+    
+    await this.backend.insert('connections', newConnection);
+    return withoutSecrets(newConnection);
   }
 
-  // Page Configuration Management
-  async getPages() {
+  async updateConnection(id, updates) {
     await this.init();
-    return this.db.data.pages || [];
+    const [connection] = await this.backend.find('connections', { id });
+    if (!connection) return null;
+    
+    const { token, refreshToken, ...fields } = updates;
+    if (token) {
+      fields.token = encrypt(token);
+    }
+    if (refreshToken !== undefined) {
+      fields.refreshToken = refreshToken ? encrypt(refreshToken) : null;
+    }
+    
+    if (updates.isDefault) {
+      await this.backend.update('connections', { userId: connection.userId ?? null, isDefault: true }, { isDefault: false });
+    }
+    
+    const [updated] = await this.backend.update('connections', { id }, { ...fields, updatedAt: dayjs().toISOString() });
+    return withoutSecrets(updated);
+  }
+
+  async deleteConnection(id) {
+    await this.init();
+    const [deleted] = await this.backend.find('connections', { id });
+    if (!deleted) return false;
+    
+    await this.backend.remove('connections', { id });
+    if (deleted.isDefault) {
+      const [next] = await this.backend.find('connections', { userId: deleted.userId ?? null }, { orderBy: 'createdAt', limit: 1 });
+      if (next) {
+        await this.backend.update('connections', { id: next.id }, { isDefault: true });
+      }
+    }
+    
+    return true;
+  }
+
+  // Page Configuration Management (each user's own pages, plus shared pages managed by admins)
+  /**
+   * @param {Object} [scope]
+   * @param {string} [scope.userId] - Only pages this user can use, with isDefault marking their default page (all if omitted)
+   */
+  async getPages({ userId } = {}) {
+    await this.init();
+    const pages = await this.backend.find('pages', {}, { orderBy: 'createdAt' });
+    if (userId === undefined) return pages;
+    
+    const defaultPage = await this.getDefaultPage({ userId });
+    return pages
+      .filter(p => p.userId === userId || p.shared)
+      .map(p => ({ ...p, isDefault: p.id === defaultPage?.id }));
+  }
+
+  async getPage(id, scope) {
+    const pages = await this.getPages(scope);
+    return pages.find(p => p.id === id) || null;
   }
 
   async addPage(page) {
@@ -87,65 +410,135 @@ class StorageService {
       id: nanoid(),
       name: page.name,
       pageId: page.pageId,
+      type: page.type || 'page',
       url: page.url || null,
+      plugins: page.plugins || [],
+      toggleHeadings: page.toggleHeadings || null,
+      diagrams: page.diagrams || false,
+      connectionId: page.connectionId || null,
+      userId: page.userId || null,
+      shared: page.shared || false,
       isDefault: page.isDefault || false,
       createdAt: dayjs().toISOString()
     };
     
-    // If this is the first page or marked as default, set it as default
-    if (newPage.isDefault || this.db.data.pages.length === 0) {
-      this.db.data.pages.forEach(p => p.isDefault = false);
+    // If this is the first page of its user (or the first shared page) or marked as default, set it as default
+    const scope = defaultScopeOf(newPage);
+    const existing = await this.backend.find('pages', scope, { limit: 1 });
+    if (newPage.isDefault || existing.length === 0) {
+      await this.backend.update('pages', { ...scope, isDefault: true }, { isDefault: false });
       newPage.isDefault = true;
-      this.db.data.config.defaultPageId = newPage.id;
     }
     
-    this.db.data.pages.push(newPage);
-    await this.db.write();
+    await this.backend.insert('pages', newPage);
     return newPage;
   }
 
   async updatePage(id, updates) {
     await this.init();
-    const index = this.db.data.pages.findIndex(p => p.id === id);
-    if (index === -1) return null;
-    
-    const page = this.db.data.pages[index];
-    Object.assign(page, updates, { updatedAt: dayjs().toISOString() });
+    const [page] = await this.backend.update('pages', { id }, { ...updates, updatedAt: dayjs().toISOString() });
+    if (!page) return null;
     
-    if (updates.isDefault) {
-      this.db.data.pages.forEach(p => {
-        if (p.id !== id) p.isDefault = false;
-      });
-      this.db.data.config.defaultPageId = id;
+    // Also applies when a default page becomes shared or private
+    if (page.isDefault) {
+      await this.backend.update('pages', { ...defaultScopeOf(page), isDefault: true, id: { $ne: id } }, { isDefault: false });
     }
     
-    await this.db.write();
     return page;
   }
 
   async deletePage(id) {
     await this.init();
-    const index = this.db.data.pages.findIndex(p => p.id === id);
-    if (index === -1) return false;
+    const [deleted] = await this.backend.find('pages', { id });
+    if (!deleted) return false;
     
-    const wasDefault = this.db.data.pages[index].isDefault;
-    this.db.data.pages.splice(index, 1);
+    await this.backend.remove('pages', { id });
     
-    // If deleted page was default, set first remaining page as default
-    if (wasDefault && this.db.data.pages.length > 0) {
-      this.db.data.pages[0].isDefault = true;
-      this.db.data.config.defaultPageId = this.db.data.pages[0].id;
-    } else if (this.db.data.pages.length === 0) {
-      this.db.data.config.defaultPageId = null;
+    // If deleted page was default, set first remaining page of the same user (or shared page) as default
+    if (deleted.isDefault) {
+      const [next] = await this.backend.find('pages', defaultScopeOf(deleted), { orderBy: 'createdAt', limit: 1 });
+      if (next) {
+        await this.backend.update('pages', { id: next.id }, { isDefault: true });
+      }
     }
     
-    await this.db.write();
     return true;
   }
 
-  async getDefaultPage() {
+  /**
+   * Default page: the user's own default page, else the default shared page
+   * @param {Object} [scope]
+   * @param {string} [scope.userId] - User (any default page if omitted)
+   */
+  async getDefaultPage({ userId } = {}) {
+    await this.init();
+    const options = { orderBy: 'createdAt', limit: 1 };
+    if (userId === undefined) {
+      const [page] = await this.backend.find('pages', { isDefault: true }, options);
+      return page || null;
+    }
+    const [own] = await this.backend.find('pages', { userId, shared: { $ne: true }, isDefault: true }, options);
+    const [shared] = own ? [] : await this.backend.find('pages', { shared: true, isDefault: true }, options);
+    return own || shared || null;
+  }
+
+  // Directory Import Path Mappings
+  /**
+   * @param {string} rootPageId - Notion page the directory was imported under
+   * @param {string} path - Relative path of the file or folder ("a/b.md", "a/")
+   * @param {Object} [scope]
+   * @param {string} [scope.userId] - Only mappings of this user's imports (any if omitted, as in the CLI)
+   */
+  async getPathMapping(rootPageId, path, { userId } = {}) {
     await this.init();
-    return this.db.data.pages.find(p => p.isDefault) || null;
+    const [mapping] = await this.backend.find('pathMappings', { rootPageId, path, ...ownedBy(userId) });
+    return mapping || null;
+  }
+
+  async getPathMappings(rootPageId, { userId } = {}) {
+    await this.init();
+    return this.backend.find('pathMappings', { ...(rootPageId && { rootPageId }), ...ownedBy(userId) }, { orderBy: 'createdAt' });
+  }
+
+  async setPathMapping(mapping) {
+    const existing = await this.getPathMapping(mapping.rootPageId, mapping.path, { userId: mapping.userId || null });
+    if (existing) {
+      const [updated] = await this.backend.update('pathMappings', { id: existing.id }, {
+        notionPageId: mapping.notionPageId,
+        notionUrl: mapping.notionUrl || existing.notionUrl,
+        updatedAt: dayjs().toISOString()
+      });
+      return updated;
+    }
+    
+    const newMapping = {
+      id: nanoid(),
+      rootPageId: mapping.rootPageId,
+      path: mapping.path,
+      type: mapping.type,
+      notionPageId: mapping.notionPageId,
+      notionUrl: mapping.notionUrl || null,
+      userId: mapping.userId || null,
+      createdAt: dayjs().toISOString()
+    };
+    await this.backend.insert('pathMappings', newMapping);
+    return newMapping;
+  }
+
+  // Settings Management
+  async getSettings() {
+    await this.init();
+    return { ...DEFAULT_SETTINGS, ...await this.backend.getDocument('settings') };
+  }
+
+  /**
+   * @param {object} updates - Settings to change
+   * @returns {Promise<object>} All settings
+   */
+  async updateSettings(updates) {
+    const settings = { ...await this.getSettings(), ...updates };
+    await this.backend.setDocument('settings', settings);
+    return settings;
   }
 
   // History Management
@@ -157,35 +550,91 @@ class StorageService {
       pageConfigId: record.pageConfigId,
       notionPageId: record.notionPageId,
       notionUrl: record.notionUrl,
+      mode: record.mode || 'create',
+      sourcePath: record.sourcePath || null,
+      jobId: record.jobId || null,
+      connectionId: record.connectionId || null,
+      userId: record.userId || null,
       status: record.status,
       error: record.error || null,
       createdAt: dayjs().toISOString()
     };
     
-    this.db.data.history.unshift(newRecord);
-    // Keep only last 100 records
-    if (this.db.data.history.length > 100) {
-      this.db.data.history = this.db.data.history.slice(0, 100);
-    }
-    
-    await this.db.write();
+    await this.backend.insert('history', newRecord);
     return newRecord;
   }
 
-  async getHistory(limit = 50, search = '') {
+  /**
+   * Newest history records first
+   * @param {number|null} [limit] - Maximum number of records, null for all of them
+   * @param {string} [search] - Text in the title
+   * @param {Object} [scope]
+   * @param {string} [scope.userId] - Only uploads of this user (all if omitted)
+   */
+  async getHistory(limit = 50, search = '', { userId } = {}) {
     await this.init();
-    let history = this.db.data.history || [];
-    
-    if (search) {
-      const searchLower = search.toLowerCase();
-      history = history.filter(h => 
-        h.title.toLowerCase().includes(searchLower)
-      );
-    }
+    return this.backend.find('history', ownedBy(userId), {
+      orderBy: 'createdAt',
+      descending: true,
+      limit: limit ?? undefined,
+      search: search ? { title: search } : undefined
+    });
+  }
+
+  async getHistoryRecord(id, { userId } = {}) {
+    await this.init();
+    const [record] = await this.backend.find('history', { id, ...ownedBy(userId) });
+    return record || null;
+  }
+
+  async updateHistory(id, updates) {
+    await this.init();
+    const [record] = await this.backend.update('history', { id }, { ...updates, updatedAt: dayjs().toISOString() });
+    return record || null;
+  }
+
+  // Upload Jobs (progress of block uploads, so failed uploads can be resumed)
+  async addJob(job) {
+    await this.init();
+    const newJob = {
+      id: nanoid(),
+      ...job,
+      pageId: job.pageId || null,
+      pageUrl: job.pageUrl || null,
+      lastBatchIndex: -1,
+      pendingChildren: [],
+      status: 'running',
+      error: null,
+      createdAt: dayjs().toISOString()
+    };
     
-    return history.slice(0, limit);
+    await this.backend.insert('jobs', newJob);
+    await this.backend.prune('jobs', MAX_JOBS);
+    return newJob;
+  }
+
+  async getJob(id) {
+    await this.init();
+    const [job] = await this.backend.find('jobs', { id });
+    return job || null;
+  }
+
+  async updateJob(id, updates) {
+    await this.init();
+    const [job] = await this.backend.update('jobs', { id }, { ...updates, updatedAt: dayjs().toISOString() });
+    return job || null;
+  }
+
+  /**
+   * Mark a failed job as running again; the status is checked and changed in one update,
+   * so of concurrent claims only one succeeds
+   * @returns {Promise<object|null>} The claimed job, or null when it was not failed
+   */
+  async claimJob(id) {
+    await this.init();
+    const [job] = await this.backend.update('jobs', { id, status: 'failed' }, { status: 'running', error: null, updatedAt: dayjs().toISOString() });
+    return job || null;
   }
 }
 
 export const storage = new StorageService();
-
@@ -0,0 +1,88 @@
+/**
+ * index.js - Storage backends holding the records of StorageService
+ * STORAGE_BACKEND selects the backend: "lowdb" (default) keeps everything in data/db.json,
+ * "sqlite" uses an SQLite database (SQLITE_PATH, default data/db.sqlite) with indexed history search.
+ *
+ * A backend stores JSON records in the collections below, and named documents (settings, config):
+ * - find(collection, where, { orderBy, descending, limit, search }) - copies of the matching records (all of them
+ *   unless `limit` is a finite number)
+ * - insert(collection, record), insertMany(collection, records)
+ * - insertUnless(collection, where, record) - insert unless a record matches, atomically; returns whether it inserted
+ * - update(collection, where, fields) - assign fields to the matching records and return them
+ * - remove(collection, where) - delete the matching records and return their number
+ * - prune(collection, keep) - delete all but the newest `keep` records (by createdAt)
+ * - getDocument(name), setDocument(name, value)
+ * `where` maps fields to a value (null also matches a missing field) or to one of the operators
+ * { $ne }, { $lt }, { $lte }, { $gt }, { $gte }; `search` maps fields to text they contain (case-insensitive).
+ */
+
+import { join } from 'path';
+import { readFile } from 'fs/promises';
+import { LowdbBackend } from './lowdb.js';
+
+export const COLLECTIONS = ['users', 'sessions', 'apiTokens', 'connections', 'pages', 'history', 'pathMappings', 'jobs'];
+
+export const DOCUMENTS = ['config', 'settings'];
+
+export const BACKENDS = ['lowdb', 'sqlite'];
+
+/**
+ * Create (but do not open) a storage backend
+ * @param {string} dataDir - Directory of the default database files
+ * @param {Object} [options]
+ * @param {string} [options.name] - Backend name (STORAGE_BACKEND, default "lowdb")
+ * @param {string} [options.path] - Database file (SQLITE_PATH for SQLite)
+ * @returns {Promise<object>}
+ */
+export async function createBackend(dataDir, { name = process.env.STORAGE_BACKEND || 'lowdb', path } = {}) {
+  switch (name) {
+    case 'lowdb':
+      return new LowdbBackend(path || join(dataDir, 'db.json'));
+    case 'sqlite': {
+      // better-sqlite3 is an optional (native) dependency, only loaded when SQLite is used
+      const { SqliteBackend } = await import('./sqlite.js').catch(error => {
+        throw new Error(`The SQLite storage backend needs the better-sqlite3 package (${error.message})`);
+      });
+      return new SqliteBackend(path || process.env.SQLITE_PATH || join(dataDir, 'db.sqlite'));
+    }
+    default:
+      throw new Error(`Unknown storage backend "${name}", expected one of: ${BACKENDS.join(', ')}`);
+  }
+}
+
+/**
+ * Copy the records and documents of a lowdb JSON file into an empty backend
+ * @param {string} sourcePath - db.json file
+ * @param {object} backend - Opened target backend
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Import even if the target already has records (they are replaced)
+ * @returns {Promise<Object<string, number>>} Number of imported records by collection
+ */
+export async function importJsonFile(sourcePath, backend, { force = false } = {}) {
+  const data = JSON.parse(await readFile(sourcePath, 'utf-8'));
+
+  if (!force) {
+    for (const collection of COLLECTIONS) {
+      if ((await backend.find(collection, {}, { limit: 1 })).length > 0) {
+        throw new Error(`The target storage already contains ${collection}, use --force to replace its data`);
+      }
+    }
+  }
+
+  const counts = {};
+  for (const collection of COLLECTIONS) {
+    const records = data[collection] || [];
+    await backend.remove(collection, {});
+    if (records.length > 0) {
+      await backend.insertMany(collection, records);
+    }
+    counts[collection] = records.length;
+  }
+  for (const name of DOCUMENTS) {
+    if (data[name]) {
+      await backend.setDocument(name, data[name]);
+    }
+  }
+
+  return counts;
+}
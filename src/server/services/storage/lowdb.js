@@ -0,0 +1,139 @@
+/**
+ * lowdb.js - Storage backend keeping all records in one JSON file (data/db.json)
+ * Every change rewrites the whole file, which is fine for a few users; larger installations should use sqlite.js.
+ */
+
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+
+const OPERATORS = {
+  $ne: (value, operand) => value !== operand,
+  $lt: (value, operand) => value !== null && value < operand,
+  $lte: (value, operand) => value !== null && value <= operand,
+  $gt: (value, operand) => value !== null && value > operand,
+  $gte: (value, operand) => value !== null && value >= operand
+};
+
+/**
+ * Check a record against a where clause (see index.js); missing fields count as null
+ * @param {object} record
+ * @param {object} where
+ * @returns {boolean}
+ */
+function matches(record, where) {
+  return Object.entries(where).every(([field, condition]) => {
+    const value = record[field] ?? null;
+    if (condition !== null && typeof condition === 'object') {
+      return Object.entries(condition).every(([operator, operand]) => OPERATORS[operator](value, operand));
+    }
+    return value === condition;
+  });
+}
+
+export class LowdbBackend {
+  /**
+   * @param {string} path - JSON file
+   */
+  constructor(path) {
+    this.path = path;
+    this.db = null;
+  }
+
+  async init() {
+    this.db = new Low(new JSONFile(this.path), {});
+    await this.db.read();
+    this.db.data ||= {};
+  }
+
+  records(collection) {
+    this.db.data[collection] ||= [];
+    return this.db.data[collection];
+  }
+
+  async find(collection, where = {}, { orderBy, descending = false, limit, search } = {}) {
+    let records = this.records(collection).filter(record => matches(record, where));
+
+    for (const [field, text] of Object.entries(search || {})) {
+      const lower = text.toLowerCase();
+      records = records.filter(record => String(record[field] ?? '').toLowerCase().includes(lower));
+    }
+
+    if (orderBy) {
+      // Records added later come first among equal values when descending, as in the SQLite backend
+      const direction = descending ? -1 : 1;
+      records = records
+        .map((record, index) => ({ record, index }))
+        .sort((a, b) => {
+          const x = a.record[orderBy] ?? '';
+          const y = b.record[orderBy] ?? '';
+          return (x < y ? -1 : x > y ? 1 : a.index - b.index) * direction;
+        })
+        .map(({ record }) => record);
+    }
+
+    if (Number.isFinite(limit)) {
+      records = records.slice(0, limit);
+    }
+    return structuredClone(records);
+  }
+
+  async insert(collection, record) {
+    this.records(collection).push(structuredClone(record));
+    await this.db.write();
+    return record;
+  }
+
+  async insertUnless(collection, where, record) {
+    // Checked and added in the same tick, so concurrent calls cannot both insert
+    if (this.records(collection).some(existing => matches(existing, where))) {
+      return false;
+    }
+    await this.insert(collection, record);
+    return true;
+  }
+
+  async insertMany(collection, records) {
+    this.records(collection).push(...structuredClone(records));
+    await this.db.write();
+  }
+
+  async update(collection, where, fields) {
+    const updated = this.records(collection).filter(record => matches(record, where));
+    updated.forEach(record => Object.assign(record, fields));
+    if (updated.length > 0) {
+      await this.db.write();
+    }
+    return structuredClone(updated);
+  }
+
+  async remove(collection, where) {
+    const records = this.records(collection);
+    const kept = records.filter(record => !matches(record, where));
+    this.db.data[collection] = kept;
+    if (kept.length !== records.length) {
+      await this.db.write();
+    }
+    return records.length - kept.length;
+  }
+
+  async prune(collection, keep) {
+    const newest = await this.find(collection, {}, { orderBy: 'createdAt', descending: true, limit: keep });
+    const ids = new Set(newest.map(record => record.id));
+    const records = this.records(collection);
+    this.db.data[collection] = records.filter(record => ids.has(record.id));
+    if (this.db.data[collection].length !== records.length) {
+      await this.db.write();
+    }
+  }
+
+  async getDocument(name) {
+    return structuredClone(this.db.data[name] ?? null);
+  }
+
+  async setDocument(name, value) {
+    this.db.data[name] = structuredClone(value);
+    await this.db.write();
+  }
+
+  async close() {}
+}
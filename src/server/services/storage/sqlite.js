@@ -0,0 +1,240 @@
+/**
+ * sqlite.js - Storage backend keeping records in an SQLite database (better-sqlite3)
+ * Each collection is a table of JSON documents with indexes on the fields it is queried by, and history
+ * titles have a trigram full-text index for substring search. Every change only writes the records it
+ * touches, and WAL mode lets the web server and the CLI use the database at the same time.
+ */
+
+import Database from 'better-sqlite3';
+import { COLLECTIONS } from './index.js';
+
+// Fields each collection is filtered or sorted by (an array is one compound index)
+const INDEXES = {
+  sessions: ['tokenHash', 'userId'],
+  apiTokens: ['tokenHash', 'userId'],
+  connections: ['userId'],
+  pages: ['userId'],
+  history: [['userId', 'createdAt'], 'createdAt'],
+  pathMappings: [['rootPageId', 'path']],
+  jobs: ['createdAt']
+};
+
+// Fields with a full-text index, by collection
+const SEARCH_FIELDS = {
+  history: ['title']
+};
+
+// Trigram searches need at least three characters, shorter ones fall back to LIKE
+const MIN_MATCH_LENGTH = 3;
+
+const OPERATORS = { $ne: 'IS NOT', $lt: '<', $lte: '<=', $gt: '>', $gte: '>=' };
+
+/**
+ * SQL expression of a record field
+ * @param {string} field
+ * @returns {string}
+ */
+function column(field) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(field)) {
+    throw new Error(`Invalid field name "${field}"`);
+  }
+  return `json_extract(data, '$.${field}')`;
+}
+
+/**
+ * Value as an SQLite parameter (JSON booleans are extracted as 1 and 0)
+ */
+function parameter(value) {
+  return typeof value === 'boolean' ? Number(value) : value ?? null;
+}
+
+/**
+ * SQL condition and parameters of a where clause (see index.js)
+ * @param {object} where
+ * @returns {{sql: string, params: Array}}
+ */
+function whereClause(where) {
+  const conditions = [];
+  const params = [];
+
+  for (const [field, condition] of Object.entries(where)) {
+    if (condition !== null && typeof condition === 'object') {
+      for (const [operator, operand] of Object.entries(condition)) {
+        if (!OPERATORS[operator]) {
+          throw new Error(`Unsupported operator "${operator}"`);
+        }
+        conditions.push(`${column(field)} ${OPERATORS[operator]} ?`);
+        params.push(parameter(operand));
+      }
+    } else {
+      conditions.push(`${column(field)} IS ?`);
+      params.push(parameter(condition));
+    }
+  }
+
+  return { sql: conditions.length > 0 ? conditions.join(' AND ') : '1', params };
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+export class SqliteBackend {
+  /**
+   * @param {string} path - Database file
+   */
+  constructor(path) {
+    this.path = path;
+    this.db = null;
+  }
+
+  async init() {
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+
+    this.db.transaction(() => {
+      this.db.exec('CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, data TEXT NOT NULL)');
+
+      for (const collection of COLLECTIONS) {
+        // Full-text indexed fields are generated columns, the content of the search table
+        const searchFields = SEARCH_FIELDS[collection] || [];
+        const generated = searchFields.map(field => `, ${field} TEXT GENERATED ALWAYS AS (${column(field)}) VIRTUAL`).join('');
+        this.db.exec(`CREATE TABLE IF NOT EXISTS ${collection} (seq INTEGER PRIMARY KEY, data TEXT NOT NULL${generated})`);
+        this.db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS ${collection}_id ON ${collection} (${column('id')})`);
+
+        for (const index of INDEXES[collection] || []) {
+          const fields = [].concat(index);
+          this.db.exec(`CREATE INDEX IF NOT EXISTS ${collection}_${fields.join('_')} ON ${collection} (${fields.map(column).join(', ')})`);
+        }
+
+        if (searchFields.length > 0) {
+          const fields = searchFields.join(', ');
+          const values = prefix => searchFields.map(field => `${prefix}.${field}`).join(', ');
+          this.db.exec(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS ${collection}_search
+              USING fts5(${fields}, content='${collection}', content_rowid='seq', tokenize='trigram');
+            CREATE TRIGGER IF NOT EXISTS ${collection}_search_insert AFTER INSERT ON ${collection} BEGIN
+              INSERT INTO ${collection}_search (rowid, ${fields}) VALUES (new.seq, ${values('new')});
+            END;
+            CREATE TRIGGER IF NOT EXISTS ${collection}_search_delete AFTER DELETE ON ${collection} BEGIN
+              INSERT INTO ${collection}_search (${collection}_search, rowid, ${fields}) VALUES ('delete', old.seq, ${values('old')});
+            END;
+            CREATE TRIGGER IF NOT EXISTS ${collection}_search_update AFTER UPDATE ON ${collection} BEGIN
+              INSERT INTO ${collection}_search (${collection}_search, rowid, ${fields}) VALUES ('delete', old.seq, ${values('old')});
+              INSERT INTO ${collection}_search (rowid, ${fields}) VALUES (new.seq, ${values('new')});
+            END;
+          `);
+        }
+      }
+    })();
+  }
+
+  /**
+   * @param {string} collection
+   * @returns {string} Table name
+   */
+  table(collection) {
+    if (!COLLECTIONS.includes(collection)) {
+      throw new Error(`Unknown collection "${collection}"`);
+    }
+    return collection;
+  }
+
+  async find(collection, where = {}, { orderBy, descending = false, limit, search } = {}) {
+    const table = this.table(collection);
+    const { sql, params } = whereClause(where);
+    const conditions = [sql];
+
+    for (const [field, text] of Object.entries(search || {})) {
+      if ((SEARCH_FIELDS[collection] || []).includes(field) && [...text].length >= MIN_MATCH_LENGTH) {
+        conditions.push(`seq IN (SELECT rowid FROM ${table}_search WHERE ${field} MATCH ?)`);
+        params.push(`"${text.replace(/"/g, '""')}"`);
+      } else {
+        conditions.push(`${column(field)} LIKE ? ESCAPE '\\'`);
+        params.push(`%${escapeLike(text)}%`);
+      }
+    }
+
+    let query = `SELECT data FROM ${table} WHERE ${conditions.join(' AND ')}`;
+    if (orderBy) {
+      const direction = descending ? 'DESC' : 'ASC';
+      query += ` ORDER BY ${column(orderBy)} ${direction}, seq ${direction}`;
+    }
+    if (Number.isFinite(limit)) {
+      query += ' LIMIT ?';
+      params.push(limit);
+    }
+
+    return this.db.prepare(query).all(...params).map(row => JSON.parse(row.data));
+  }
+
+  async insert(collection, record) {
+    this.db.prepare(`INSERT INTO ${this.table(collection)} (data) VALUES (?)`).run(JSON.stringify(record));
+    return record;
+  }
+
+  async insertUnless(collection, where, record) {
+    const table = this.table(collection);
+    const { sql, params } = whereClause(where);
+    const exists = this.db.prepare(`SELECT 1 FROM ${table} WHERE ${sql} LIMIT 1`);
+    const insert = this.db.prepare(`INSERT INTO ${table} (data) VALUES (?)`);
+
+    // An immediate transaction holds the write lock from the check on, also against other processes (the CLI)
+    return this.db.transaction(() => {
+      if (exists.get(...params)) return false;
+      insert.run(JSON.stringify(record));
+      return true;
+    }).immediate();
+  }
+
+  /**
+   * Insert many records in one transaction (used by the db.json migration)
+   */
+  async insertMany(collection, records) {
+    const statement = this.db.prepare(`INSERT INTO ${this.table(collection)} (data) VALUES (?)`);
+    this.db.transaction(() => {
+      records.forEach(record => statement.run(JSON.stringify(record)));
+    })();
+  }
+
+  async update(collection, where, fields) {
+    const table = this.table(collection);
+    const { sql, params } = whereClause(where);
+    const select = this.db.prepare(`SELECT seq, data FROM ${table} WHERE ${sql}`);
+    const write = this.db.prepare(`UPDATE ${table} SET data = ? WHERE seq = ?`);
+
+    return this.db.transaction(() => select.all(...params).map(row => {
+      const record = { ...JSON.parse(row.data), ...fields };
+      write.run(JSON.stringify(record), row.seq);
+      return record;
+    }))();
+  }
+
+  async remove(collection, where) {
+    const { sql, params } = whereClause(where);
+    return this.db.prepare(`DELETE FROM ${this.table(collection)} WHERE ${sql}`).run(...params).changes;
+  }
+
+  async prune(collection, keep) {
+    const table = this.table(collection);
+    this.db.prepare(`
+      DELETE FROM ${table} WHERE seq NOT IN (
+        SELECT seq FROM ${table} ORDER BY ${column('createdAt')} DESC, seq DESC LIMIT ?
+      )
+    `).run(keep);
+  }
+
+  async getDocument(name) {
+    const row = this.db.prepare('SELECT data FROM documents WHERE name = ?').get(name);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async setDocument(name, value) {
+    this.db.prepare('INSERT INTO documents (name, data) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET data = excluded.data')
+      .run(name, JSON.stringify(value));
+  }
+
+  async close() {
+    this.db?.close();
+  }
+}
@@ -0,0 +1,349 @@
+/**
+ * sync.js - Block-level diff sync between converted markdown and an existing Notion page
+ */
+
+import crypto from 'crypto';
+import { notionService } from './notion.js';
+import { planBatches } from '../utils/block-limits.js';
+
+// Block types whose content can be changed in place with blocks.update
+const UPDATABLE_TYPES = new Set([
+  'paragraph',
+  'heading_1',
+  'heading_2',
+  'heading_3',
+  'bulleted_list_item',
+  'numbered_list_item',
+  'quote',
+  'to_do',
+  'toggle',
+  'code',
+  'callout',
+  'equation'
+]);
+
+/**
+ * Normalize rich text so that converted and stored text hash the same way.
+ * Notion merges adjacent segments with identical formatting, so do the same here.
+ */
+function normalizeRichText(richText = []) {
+  const segments = [];
+  for (const item of richText) {
+    const annotations = item.annotations || {};
+    const segment = {
+      type: item.type,
+      content: item.type === 'equation'
+        ? item.equation?.expression
+        : item.text?.content ?? item.plain_text ?? '',
+      link: item.text?.link?.url || null,
+      format: ['bold', 'italic', 'strikethrough', 'underline', 'code']
+        .filter(key => annotations[key])
+        .concat(annotations.color && annotations.color !== 'default' ? [annotations.color] : [])
+        .join(',')
+    };
+
+    const last = segments[segments.length - 1];
+    if (last && last.type === 'text' && segment.type === 'text'
+      && last.link === segment.link && last.format === segment.format) {
+      last.content += segment.content;
+    } else {
+      segments.push(segment);
+    }
+  }
+  return segments;
+}
+
+/**
+ * Reduce a block's type payload to the fields that describe its content
+ */
+function normalizeContent(content = {}) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(content)) {
+    if (key === 'children') continue;
+    if (value === null || value === undefined || value === false || value === 'default') continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+
+    if (key === 'rich_text' || key === 'caption') {
+      normalized[key] = normalizeRichText(value);
+    } else if (key === 'cells') {
+      normalized[key] = value.map(cell => normalizeRichText(cell));
+    } else if (key === 'external') {
+      normalized.url = value.url;
+    } else if (key === 'file' || key === 'file_upload') {
+      // Notion-hosted files come back with expiring signed URLs, so they only compare by caption
+      normalized.hosted = true;
+    } else if (key !== 'type') {
+      normalized[key] = value;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Content hash of a block tree node ({ type, content, children })
+ */
+function hashNode(node) {
+  const serialize = n => ({
+    type: n.type,
+    content: normalizeContent(n.content),
+    children: n.children.map(serialize)
+  });
+  return crypto.createHash('sha1').update(JSON.stringify(serialize(node))).digest('hex');
+}
+
+/**
+ * Build a tree node from a block produced by markdownService.convertToBlocks
+ */
+function nodeFromConverted(block) {
+  const content = block[block.type] || {};
+  return {
+    id: null,
+    type: block.type,
+    content,
+    children: (content.children || []).map(nodeFromConverted),
+    block
+  };
+}
+
+/**
+ * Short human readable preview of a node for the plan report
+ */
+function previewNode(node) {
+  const text = normalizeRichText(node.content.rich_text || [])
+    .map(segment => segment.content)
+    .join('');
+  return text.length > 60 ? text.substring(0, 60) + '...' : text;
+}
+
+/**
+ * Longest common subsequence of two hash arrays, as matched index pairs
+ */
+function matchSequences(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+class SyncService {
+  /**
+   * Fetch the block tree of a page (children are fetched recursively)
+   * @param {string} blockId - Page or block ID
+   * @param {Object} [options]
+   * @param {string} [options.connectionId] - Notion connection (default connection if omitted)
+   * @returns {Promise<Array>} Tree nodes ({ id, type, content, children })
+   */
+  async fetchTree(blockId, { connectionId } = {}) {
+    const toNode = block => ({
+      id: block.id,
+      type: block.type,
+      content: block[block.type] || {},
+      children: block.children.map(toNode),
+      block
+    });
+    return (await notionService.fetchBlockTree(blockId, { connectionId })).map(toNode);
+  }
+
+  /**
+   * Plan the operations needed to turn the existing page children into the new blocks
+   * @param {Array} existing - Tree nodes of the current page content
+   * @param {Array} blocks - Blocks from markdownService.convertToBlocks
+   * @returns {{operations: Array, summary: object, warnings: Array}}
+   */
+  createPlan(existing, blocks) {
+    const incoming = blocks.map(nodeFromConverted);
+    const oldHashes = existing.map(hashNode);
+    const newHashes = incoming.map(hashNode);
+    const pairs = matchSequences(oldHashes, newHashes);
+    const warnings = [];
+
+    // Walk the unmatched runs between matched anchors, pairing same-type blocks for in-place updates
+    let operations = [];
+    const removed = [];
+    let oldIndex = 0;
+    let newIndex = 0;
+    for (const [matchOld, matchNew] of [...pairs, [existing.length, incoming.length]]) {
+      const oldRun = existing.slice(oldIndex, matchOld);
+      const newRun = incoming.slice(newIndex, matchNew);
+
+      for (let k = 0; k < Math.max(oldRun.length, newRun.length); k++) {
+        const before = oldRun[k];
+        const after = newRun[k];
+        const updatable = before && after
+          && before.type === after.type
+          && UPDATABLE_TYPES.has(after.type)
+          && before.children.length === 0
+          && after.children.length === 0;
+
+        if (updatable) {
+          operations.push({ op: 'update', node: before, replacement: after });
+        } else {
+          if (before) removed.push(before);
+          if (after) operations.push({ op: 'insert', node: after });
+        }
+      }
+
+      if (matchOld < existing.length) {
+        operations.push({ op: 'keep', node: existing[matchOld], replacement: incoming[matchNew] });
+      }
+      oldIndex = matchOld + 1;
+      newIndex = matchNew + 1;
+    }
+
+    // Notion can only insert after an existing block, so content placed before the first
+    // surviving block forces the following blocks to be rewritten
+    const hasSurvivor = operations.some(o => o.op !== 'insert');
+    if (hasSurvivor && operations[0]?.op === 'insert') {
+      const rewritten = operations.filter(o => o.op !== 'insert').length;
+      warnings.push(`Content was added before the first block; ${rewritten} existing block(s) will be rewritten`);
+      operations = operations.map(o => {
+        if (o.op === 'insert') return o;
+        removed.push(o.node);
+        return { op: 'insert', node: o.replacement, rewrite: true };
+      });
+    }
+
+    operations = [...removed.map(node => ({ op: 'delete', node })), ...operations];
+
+    const summary = { keep: 0, update: 0, insert: 0, delete: 0 };
+    for (const operation of operations) {
+      summary[operation.op]++;
+    }
+
+    return { operations, summary, warnings };
+  }
+
+  /**
+   * Describe a plan without internal node references (for dry-run reports)
+   */
+  describePlan(plan) {
+    return {
+      summary: plan.summary,
+      warnings: plan.warnings,
+      operations: plan.operations.map(({ op, node, replacement }) => ({
+        op,
+        blockId: node.id,
+        type: (replacement || node).type,
+        preview: previewNode(replacement || node)
+      }))
+    };
+  }
+
+  /**
+   * Dry run: compute the sync plan for a page without changing it
+   * @param {string} pageId - Notion page ID
+   * @param {Array} blocks - Blocks from markdownService.convertToBlocks
+   * @param {Object} [options]
+   * @param {string} [options.connectionId] - Notion connection (default connection if omitted)
+   * @returns {Promise<{success: boolean, plan?: object, error?: string}>}
+   */
+  async planSync(pageId, blocks, { connectionId } = {}) {
+    try {
+      const existing = await this.fetchTree(pageId, { connectionId });
+      return {
+        success: true,
+        plan: this.describePlan(this.createPlan(existing, blocks))
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: notionService.formatError(error)
+      };
+    }
+  }
+
+  /**
+   * Sync a page with the new blocks, touching only changed blocks
+   * @param {string} pageId - Notion page ID
+   * @param {string} title - Page title
+   * @param {Array} blocks - Blocks from markdownService.convertToBlocks
+   * @param {Object} [options]
+   * @param {object} [options.icon] - New page icon
+   * @param {object} [options.cover] - New page cover
+   * @param {object} [options.properties] - Database property values (database rows only)
+   * @param {AbortSignal} [options.signal] - Stops the sync before the next block operation
+   * @param {string} [options.connectionId] - Notion connection (default connection if omitted)
+   * @returns {Promise<{success: boolean, page?: object, plan?: object, error?: string}>}
+   */
+  async syncPage(pageId, title, blocks, { icon, cover, properties, signal, connectionId } = {}) {
+    try {
+      signal?.throwIfAborted();
+      const client = await notionService.initClient(connectionId);
+      const response = await notionService.updatePageTitle(pageId, title, { icon, cover, properties, connectionId });
+      const existing = await this.fetchTree(pageId, { connectionId });
+      const plan = this.createPlan(existing, blocks);
+
+      for (const { op, node } of plan.operations) {
+        if (op === 'delete') {
+          signal?.throwIfAborted();
+          await client.blocks.delete({ block_id: node.id });
+        }
+      }
+
+      // Apply keeps, updates and inserts in document order, tracking the block to insert after
+      let anchorId = null;
+      let pending = [];
+      const flush = async () => {
+        for (const batch of planBatches(pending)) {
+          const created = await notionService.appendBatch(pageId, batch, { after: anchorId, signal, connectionId });
+          anchorId = created[created.length - 1]?.id || anchorId;
+        }
+        pending = [];
+      };
+
+      for (const { op, node, replacement } of plan.operations) {
+        if (op === 'insert') {
+          pending.push(node.block);
+          continue;
+        }
+        if (op === 'delete') continue;
+
+        await flush();
+        if (op === 'update') {
+          signal?.throwIfAborted();
+          const { children, ...content } = replacement.content;
+          await client.blocks.update({ block_id: node.id, [replacement.type]: content });
+        }
+        anchorId = node.id;
+      }
+      await flush();
+
+      return {
+        success: true,
+        page: {
+          id: response.id,
+          url: response.url,
+          title: title
+        },
+        plan: this.describePlan(plan)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: notionService.formatError(error)
+      };
+    }
+  }
+}
+
+export const syncService = new SyncService();
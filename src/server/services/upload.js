@@ -0,0 +1,662 @@
+/**
+ * upload.js - Shared markdown upload pipeline (used by web routes and CLI)
+ */
+
+import { storage } from './storage.js';
+import { notionService } from './notion.js';
+import { markdownService } from './markdown.js';
+import { syncService } from './sync.js';
+import { imageService, isImageFile } from './images.js';
+import { pluginService } from './plugins.js';
+import { diagramService } from './diagrams.js';
+import { extractPageId, validateMarkdown } from '../utils/validator.js';
+import { extractZip, isMarkdownFile, isZipFile, normalizePath } from '../utils/archive.js';
+import { createLinkResolver } from '../utils/links.js';
+import { planBatches } from '../utils/block-limits.js';
+
+/**
+ * Create an error carrying an HTTP status code (handled by the global error handler)
+ */
+function createUploadError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = 'UPLOAD_ERROR';
+  return error;
+}
+
+function unresolvedLinkWarning(href) {
+  return `Link "${href}" does not point to an uploaded page and was removed`;
+}
+
+class UploadService {
+  /**
+   * Resolve a page configuration by id, falling back to the default page
+   * @param {string} [pageConfigId] - Page configuration ID
+   * @param {Object} [scope]
+   * @param {string} [scope.userId] - Only page configurations this user can use (any if omitted, as in the CLI)
+   * @returns {Promise<object|null>} Page configuration
+   */
+  async resolvePageConfig(pageConfigId, scope) {
+    if (pageConfigId) {
+      return storage.getPage(pageConfigId, scope);
+    }
+    return storage.getDefaultPage(scope);
+  }
+
+  /**
+   * Notion connection of a page configuration
+   * @param {object} [pageConfig] - Page configuration; callers such as directory imports may only pass its ID
+   * @param {Object} [scope]
+   * @param {string} [scope.userId] - User whose default connection is used when there is no page configuration
+   * @returns {Promise<string|null>} Connection ID, or null for the default connection (without a user)
+   */
+  async resolveConnectionId(pageConfig, { userId } = {}) {
+    if (pageConfig?.connectionId) {
+      return pageConfig.connectionId;
+    }
+    const stored = pageConfig?.id ? await this.resolvePageConfig(pageConfig.id) : null;
+    if (stored?.connectionId || userId === undefined) {
+      return stored?.connectionId || null;
+    }
+
+    const connection = await storage.getDefaultConnection({ userId });
+    if (!connection) {
+      throw createUploadError('No Notion connection is configured. Please add a connection first.');
+    }
+    return connection.id;
+  }
+
+  /**
+   * Notion connection for updating an existing page. Revisions of an uploaded page go through the connection
+   * it was uploaded with; any other page only through the user's own connection, since page configurations
+   * (shared ones included) do not grant access to pages outside their target.
+   * @param {{record: object|null}} updateTarget - From resolveUpdateTarget
+   * @param {object} [pageConfig] - Page configuration (its connection is used without a user, as in the CLI)
+   * @param {Object} [scope]
+   * @param {string} [scope.userId] - User updating the page
+   * @returns {Promise<string|null>} Connection ID
+   */
+  async resolveUpdateConnectionId({ record }, pageConfig, { userId } = {}) {
+    if (record) {
+      return record.connectionId || this.resolveConnectionId(pageConfig, { userId });
+    }
+    return this.resolveConnectionId(userId === undefined ? pageConfig : null, { userId });
+  }
+
+  /**
+   * Load the property schema when the target is a database
+   * @param {object} [pageConfig] - Page configuration
+   * @returns {Promise<object|null>} Property schema, or null for page targets
+   */
+  async resolveDatabaseSchema(pageConfig) {
+    if (pageConfig?.type !== 'database') {
+      return null;
+    }
+    try {
+      const connectionId = await this.resolveConnectionId(pageConfig);
+      const database = await notionService.retrieveDatabase(pageConfig.pageId, { connectionId });
+      return database.schema;
+    } catch (error) {
+      throw createUploadError(`Could not read the database schema: ${notionService.formatError(error)}`);
+    }
+  }
+
+  /**
+   * Load the conversion options for a page configuration: its enabled plugins, toggle heading level
+   * and diagram rendering, and the callout types from settings
+   * @param {object} [pageConfig] - Page configuration; callers such as the CLI may only pass its ID
+   * @returns {Promise<{plugins: Array<object>, callouts: object, toggleHeadings: number|null, diagrams: boolean, warnings: Array<string>}>}
+   */
+  async resolveConversion(pageConfig) {
+    const stored = pageConfig?.id ? await this.resolvePageConfig(pageConfig.id) : null;
+    const { plugins, unavailable } = await pluginService.resolve(stored?.plugins || pageConfig?.plugins || []);
+    const settings = await storage.getSettings();
+    return {
+      plugins,
+      callouts: settings.callouts,
+      toggleHeadings: stored?.toggleHeadings || pageConfig?.toggleHeadings || null,
+      diagrams: stored?.diagrams ?? pageConfig?.diagrams ?? false,
+      warnings: unavailable.map(({ id, error }) => `Plugin "${id}" was skipped: ${error}`)
+    };
+  }
+
+  /**
+   * Resolve the Notion page to update from an explicit page ID/URL or a history record
+   * @param {Object} options
+   * @param {string} [options.targetPageId] - Notion page URL or ID
+   * @param {string} [options.historyId] - History record of a previous upload
+   * @param {string} [options.userId] - Only history records of this user
+   * @returns {Promise<{notionPageId: string, record: object|null}>}
+   */
+  async resolveUpdateTarget({ targetPageId, historyId, userId }) {
+    if (targetPageId) {
+      const notionPageId = extractPageId(targetPageId);
+      if (!notionPageId) {
+        throw createUploadError('Invalid target Notion page URL or ID');
+      }
+      return { notionPageId, record: null };
+    }
+
+    if (historyId) {
+      const record = await storage.getHistoryRecord(historyId, { userId });
+      if (!record) {
+        throw createUploadError('History record not found', 404);
+      }
+      if (!record.notionPageId) {
+        throw createUploadError('History record has no Notion page to update');
+      }
+      return { notionPageId: record.notionPageId, record };
+    }
+
+    throw createUploadError('Update mode requires targetPageId or historyId');
+  }
+
+  /**
+   * Map of previously uploaded document paths to their Notion page URLs,
+   * built from history records (of one user, if given) and directory import mappings
+   * @param {Object} [scope]
+   * @param {string} [scope.userId]
+   * @returns {Promise<Map<string, string>>}
+   */
+  async getKnownPages(scope) {
+    const knownPages = new Map();
+
+    // History is newest first; walk it backwards so the latest upload of a path wins
+    const history = await storage.getHistory(null, '', scope);
+    for (const record of [...history].reverse()) {
+      if (record.sourcePath && record.status === 'success' && record.notionUrl) {
+        knownPages.set(record.sourcePath, record.notionUrl);
+      }
+    }
+
+    for (const mapping of await storage.getPathMappings(null, scope)) {
+      if (mapping.type === 'file' && mapping.notionUrl) {
+        knownPages.set(mapping.path, mapping.notionUrl);
+      }
+    }
+
+    return knownPages;
+  }
+
+  /**
+   * Convert markdown to Notion blocks, render diagrams, upload local images and resolve relative links between documents
+   * @param {string} markdown - Markdown content
+   * @param {Object} options
+   * @param {string} [options.sourcePath] - Path of the document, used to resolve relative links and images
+   * @param {Map<string, string>} [options.knownPages] - Document path to Notion URL map
+   * @param {Map<string, Buffer>} [options.assets] - Attached files (images) by path
+   * @param {object} [options.conversion] - Plugins, callout types and diagram rendering (from resolveConversion)
+   * @param {string} [options.connectionId] - Notion connection that receives uploaded images
+   * @param {Object} [options.scope] - User whose uploads are linked when knownPages is omitted ({ userId })
+   * @returns {Promise<{blocks: Array, sourceBlocks: Array, resolvedLinks: Array<string>, unresolvedLinks: Array<string>, warnings: Array<string>}>}
+   */
+  async prepareBlocks(markdown, { sourcePath, knownPages, assets, conversion, connectionId, scope } = {}) {
+    // Rendered diagrams are embedded images from here on and uploaded with the other images
+    const rendered = await diagramService.renderDiagrams(markdown, { enabled: conversion?.diagrams });
+    const extracted = imageService.extractImages(rendered.markdown, { sourcePath, assets });
+
+    let converted;
+    try {
+      converted = markdownService.convertToBlocks(extracted.markdown, { ...conversion, sourcePath });
+    } catch (error) {
+      throw createUploadError(error.message);
+    }
+
+    const images = await imageService.resolveImages(converted, extracted.images, { connectionId });
+    const links = markdownService.rewriteLinks(
+      images.blocks,
+      createLinkResolver(sourcePath, knownPages || await this.getKnownPages(scope))
+    );
+
+    return {
+      blocks: links.blocks,
+      // Blocks before link rewriting, kept so a later pass can re-link without re-uploading images
+      sourceBlocks: images.blocks,
+      resolvedLinks: links.resolved,
+      unresolvedLinks: links.unresolved,
+      warnings: [
+        ...rendered.warnings,
+        ...extracted.missing.map(source => `Image "${source}" was not found in the upload`),
+        ...images.warnings,
+        ...links.unresolved.map(unresolvedLinkWarning)
+      ]
+    };
+  }
+
+  /**
+   * Convert markdown and create or update a Notion page, recording history
+   * @param {Object} options
+   * @param {string} options.markdown - Markdown content
+   * @param {string} [options.title] - Page title (extracted from markdown if omitted)
+   * @param {object} [options.targetPage] - Page configuration ({ id, pageId, type, connectionId }); resolved from pageConfigId if omitted
+   * @param {string} [options.pageConfigId] - Page configuration ID
+   * @param {object} [options.properties] - Database property values by property name (database targets only)
+   * @param {'create'|'update'} [options.mode] - Create a new child page or update an existing page
+   * @param {string} [options.targetPageId] - Page to update (update mode)
+   * @param {string} [options.historyId] - History record whose page should be updated (update mode)
+   * @param {'replace'|'append'|'sync'} [options.updateStrategy] - How to apply blocks in update mode
+   * @param {boolean} [options.diagrams] - Render diagrams (defaults to the page configuration's setting)
+   * @param {string} [options.sourcePath] - Path of the uploaded file, used to resolve relative links
+   * @param {Map<string, string>} [options.knownPages] - Document path to Notion URL map (loaded from storage if omitted)
+   * @param {Map<string, Buffer>} [options.assets] - Attached files (images) by path
+   * @param {string} [options.jobId] - ID for the persisted upload job (e.g. the background job running this upload)
+   * @param {string} [options.userId] - User uploading; page configurations, history and connections are limited to theirs
+   *   (omitted by the CLI, whose uploads belong to the owner of the page configuration)
+   * @param {AbortSignal} [options.signal] - Cancels the upload; blocks already sent stay and can be resumed
+   * @param {function(object): void} [options.onProgress] - Called with { phase, totalBlocks, blocksAppended, batchesRemaining }
+   *   (only the fields that changed)
+   * @returns {Promise<{success: boolean, page?: object, error?: string, warnings: Array<string>, unresolvedLinks: Array<string>, sourceBlocks: Array, record: object}>}
+   */
+  async upload({
+    markdown,
+    title,
+    targetPage,
+    pageConfigId,
+    properties,
+    mode = 'create',
+    targetPageId,
+    historyId,
+    updateStrategy = 'replace',
+    diagrams,
+    sourcePath,
+    knownPages,
+    assets,
+    jobId,
+    userId,
+    signal,
+    onProgress
+  }) {
+    if (!['create', 'update'].includes(mode)) {
+      throw createUploadError(`Invalid upload mode "${mode}"`);
+    }
+    if (!['replace', 'append', 'sync'].includes(updateStrategy)) {
+      throw createUploadError(`Invalid update strategy "${updateStrategy}"`);
+    }
+
+    const settings = await storage.getSettings();
+    const validation = validateMarkdown(markdown, settings?.maxFileSize);
+    if (!validation.valid) {
+      throw createUploadError(validation.error);
+    }
+
+    const scope = { userId };
+    let pageConfig = targetPage || await this.resolvePageConfig(pageConfigId, scope);
+    let updateTarget = null;
+
+    if (mode === 'update') {
+      updateTarget = await this.resolveUpdateTarget({ targetPageId, historyId, userId });
+      // Keep revisions of the same page under the page configuration of the original upload.
+      // Only those revisions are known to be database rows; other pages are updated without properties.
+      const recordConfigId = updateTarget.record?.pageConfigId;
+      pageConfig = recordConfigId
+        ? await this.resolvePageConfig(recordConfigId) || { id: recordConfigId }
+        : pageConfig && { id: pageConfig.id };
+    } else if (!pageConfig) {
+      throw createUploadError('No target page configured. Please add a page configuration first.');
+    }
+
+    // Directory imports (passing targetPage) update the pages they created below it through its connection
+    const connectionId = updateTarget && !targetPage
+      ? await this.resolveUpdateConnectionId(updateTarget, pageConfig, scope)
+      : updateTarget?.record?.connectionId || await this.resolveConnectionId(pageConfig, scope);
+    const ownerId = userId ?? (pageConfig?.id && (await this.resolvePageConfig(pageConfig.id))?.userId) ?? null;
+    const schema = await this.resolveDatabaseSchema(pageConfig);
+    const frontMatter = markdownService.parseFrontMatter(markdown, { schema, properties });
+    const pageTitle = title || frontMatter.title || markdownService.extractTitle(markdown);
+    const pageMeta = { icon: frontMatter.icon, cover: frontMatter.cover, properties: frontMatter.properties };
+
+    onProgress?.({ phase: 'preparing' });
+    const { warnings: conversionWarnings, ...conversion } = await this.resolveConversion(pageConfig);
+    if (diagrams !== undefined) {
+      conversion.diagrams = diagrams;
+    }
+    const { blocks, sourceBlocks, unresolvedLinks, warnings } = await this.prepareBlocks(markdown, {
+      sourcePath,
+      knownPages: knownPages || await this.getKnownPages(scope),
+      assets,
+      conversion,
+      connectionId
+    });
+    signal?.throwIfAborted();
+    warnings.unshift(...conversionWarnings);
+    if (frontMatter.error) {
+      warnings.unshift(frontMatter.error);
+    }
+    for (const entry of frontMatter.mapping) {
+      // Keys other than title, icon and cover are only expected to map when the target is a database
+      if (!entry.target && (schema || ['title', 'icon', 'cover'].includes(entry.key.toLowerCase()))) {
+        const source = properties && Object.hasOwn(properties, entry.key) ? 'Property' : 'Front matter';
+        warnings.unshift(`${source} "${entry.key}" was ignored: ${entry.note}`);
+      }
+    }
+
+    // Track progress of create/replace/append uploads so a failure half way can be resumed.
+    // Sync updates compare against the page's current content and can simply be re-run.
+    const syncing = updateStrategy === 'sync' && !!updateTarget;
+    const job = syncing ? null : await storage.addJob({
+      ...(jobId && { id: jobId }),
+      mode,
+      strategy: updateTarget ? updateStrategy : null,
+      parentPageId: updateTarget ? null : pageConfig.pageId,
+      pageId: updateTarget?.notionPageId,
+      connectionId,
+      userId: ownerId,
+      title: pageTitle,
+      pageOptions: { ...pageMeta, parentType: pageConfig?.type },
+      blocks
+    });
+    onProgress?.({
+      phase: syncing ? 'syncing' : 'uploading',
+      totalBlocks: blocks.length,
+      blocksAppended: 0,
+      batchesRemaining: planBatches(blocks).length
+    });
+    const saveProgress = async ({ blocksAppended, batchesRemaining, ...progress }) => {
+      await storage.updateJob(job.id, progress);
+      onProgress?.({ blocksAppended, batchesRemaining });
+    };
+
+    let result;
+    if (!updateTarget) {
+      result = await notionService.createPage(pageConfig.pageId, pageTitle, blocks, {
+        ...pageMeta,
+        parentType: pageConfig.type,
+        onProgress: saveProgress,
+        signal,
+        connectionId
+      });
+    } else if (syncing) {
+      result = await syncService.syncPage(updateTarget.notionPageId, pageTitle, blocks, { ...pageMeta, signal, connectionId });
+    } else {
+      result = await notionService.updatePage(updateTarget.notionPageId, pageTitle, blocks, {
+        strategy: updateStrategy,
+        ...pageMeta,
+        onProgress: saveProgress,
+        signal,
+        connectionId
+      });
+    }
+
+    if (job) {
+      await this.finishJob(job.id, result);
+    }
+
+    // A page created before the upload failed is recorded too, so it can be resumed
+    const record = await storage.addHistory({
+      title: pageTitle,
+      pageConfigId: pageConfig?.id || null,
+      notionPageId: result.page?.id || updateTarget?.notionPageId || null,
+      notionUrl: result.page?.url || null,
+      mode,
+      sourcePath,
+      jobId: job?.id,
+      connectionId,
+      userId: ownerId,
+      status: result.success ? 'success' : 'failed',
+      error: result.error || null
+    });
+
+    return { ...result, warnings, unresolvedLinks, sourceBlocks, record };
+  }
+
+  /**
+   * Mark an upload job as finished. Blocks are only kept while the job can still be resumed.
+   * @param {string} jobId - Upload job ID
+   * @param {{success: boolean, error?: string}} result - Result of the Notion call
+   */
+  async finishJob(jobId, result) {
+    await storage.updateJob(jobId, result.success
+      ? { status: 'completed', error: null, blocks: null, pendingChildren: [] }
+      : { status: 'failed', error: result.error || null });
+  }
+
+  /**
+   * Whether the upload of a history record failed part way and can be resumed
+   * @param {object} job - Upload job of the record
+   * @returns {boolean}
+   */
+  isResumable(job) {
+    return job?.status === 'failed' && Array.isArray(job.blocks);
+  }
+
+  /**
+   * Continue a failed upload from the last batch of blocks that reached Notion,
+   * reusing the page that was already created instead of creating another one
+   * @param {string} historyId - History record of the failed upload
+   * @param {Object} [scope]
+   * @param {string} [scope.userId] - Only history records of this user
+   * @returns {Promise<{success: boolean, page?: object, error?: string, record: object}>}
+   */
+  async resumeUpload(historyId, scope) {
+    const record = await storage.getHistoryRecord(historyId, scope);
+    if (!record) {
+      throw createUploadError('History record not found', 404);
+    }
+    const job = record.jobId && await storage.getJob(record.jobId);
+    // Another request may resume the same job meanwhile: only the one claiming it continues
+    if (!this.isResumable(job) || !await storage.claimJob(job.id)) {
+      throw createUploadError('This upload cannot be resumed');
+    }
+
+    const onProgress = progress => storage.updateJob(job.id, progress);
+    const { parentType, ...pageMeta } = job.pageOptions || {};
+    const connectionId = job.connectionId || record.connectionId;
+
+    let result;
+    if (!job.pageId) {
+      // The page itself was never created: start over
+      result = await notionService.createPage(job.parentPageId, job.title, job.blocks, { ...pageMeta, parentType, onProgress, connectionId });
+    } else {
+      // Content of a replace update is only cleared once; afterwards the children still deferred by the
+      // last appended batch and the missing batches are appended.
+      // Properties of a page created under a normal page are not database properties.
+      const restart = job.strategy === 'replace' && !job.cleared;
+      result = await notionService.updatePage(job.pageId, job.title, job.blocks, {
+        ...pageMeta,
+        properties: job.mode === 'create' && parentType !== 'database' ? {} : pageMeta.properties,
+        strategy: restart ? 'replace' : 'append',
+        startBatch: restart ? 0 : job.lastBatchIndex + 1,
+        pendingChildren: restart ? [] : job.pendingChildren || [],
+        onProgress,
+        connectionId
+      });
+    }
+
+    await this.finishJob(job.id, result);
+    const updated = await storage.updateHistory(record.id, {
+      status: result.success ? 'success' : 'failed',
+      error: result.error || null,
+      notionPageId: result.page?.id || record.notionPageId,
+      notionUrl: result.page?.url || record.notionUrl
+    });
+
+    return { ...result, record: updated };
+  }
+
+  /**
+   * Expand uploaded files into markdown documents and image assets, unpacking zip archives
+   * @param {Array<{filename: string, data: Buffer}>} uploads - Uploaded files
+   * @returns {Promise<{documents: Array<{path: string, markdown: string}>, assets: Map<string, Buffer>, rejected: Array<{path: string, error: string}>}>}
+   * @throws {Error} With statusCode 400 when an archive is too large to unpack (see extractZip)
+   */
+  async expandUploads(uploads) {
+    const settings = await storage.getSettings();
+    const documents = [];
+    const assets = new Map();
+    const rejected = [];
+
+    const addFile = (path, data) => {
+      if (isMarkdownFile(path)) {
+        documents.push({ path, markdown: data.toString('utf-8') });
+      } else if (isImageFile(path)) {
+        assets.set(path, data);
+      } else {
+        return false;
+      }
+      return true;
+    };
+
+    for (const { filename, data } of uploads) {
+      if (isZipFile(filename)) {
+        try {
+          // Other files in an archive are ignored
+          const entries = extractZip(data, {
+            maxEntrySize: settings.maxFileSize,
+            include: path => isMarkdownFile(path) || isImageFile(path)
+          });
+          for (const entry of entries) {
+            addFile(entry.path, entry.data);
+          }
+        } catch (error) {
+          if (error.code === 'ARCHIVE_TOO_LARGE') throw error;
+          rejected.push({ path: filename, error: error.message });
+        }
+      } else if (!addFile(normalizePath(filename), data)) {
+        rejected.push({ path: filename, error: 'Invalid file type. Only markdown, image and .zip files are allowed.' });
+      }
+    }
+
+    return { documents, assets, rejected };
+  }
+
+  /**
+   * Second pass after a batch: re-link pages whose relative links point to pages
+   * that only got IDs later in the same batch. Only the blocks holding those links change.
+   * @param {Array<{path: string, blocks: Array, page: object, connectionId: string|null}>} documents - Uploaded documents (source blocks) with unresolved links
+   * @param {Map<string, string>} knownPages - Document path to Notion URL map including the whole batch
+   * @returns {Promise<Map<string, {success: boolean, unresolvedLinks: Array<string>, error?: string}>>} Outcome per path
+   */
+  async relinkDocuments(documents, knownPages) {
+    const outcomes = new Map();
+
+    for (const { path, blocks, page, connectionId } of documents) {
+      const links = markdownService.rewriteLinks(blocks, createLinkResolver(path, knownPages));
+      if (links.resolved.length === 0) continue;
+
+      const result = await syncService.syncPage(page.id, page.title, links.blocks, { connectionId });
+      outcomes.set(path, { success: result.success, unresolvedLinks: links.unresolved, error: result.error });
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Run the re-link pass and update the warnings of the affected batch results
+   * @param {Array} results - Batch results ({ path, warnings })
+   * @param {Array} pendingLinks - Documents uploaded with unresolved links
+   * @param {Map<string, string>} knownPages - Document path to Notion URL map
+   */
+  async applyRelinks(results, pendingLinks, knownPages) {
+    const outcomes = await this.relinkDocuments(pendingLinks, knownPages);
+
+    for (const result of results) {
+      const outcome = outcomes.get(result.path);
+      if (!outcome) continue;
+
+      // Link warnings from the first pass are replaced by the ones still unresolved
+      const otherWarnings = result.warnings.filter(w => !w.startsWith('Link "'));
+      result.warnings = outcome.success
+        ? [...otherWarnings, ...outcome.unresolvedLinks.map(unresolvedLinkWarning)]
+        : [...result.warnings, `Links to other pages could not be updated: ${outcome.error}`];
+    }
+  }
+
+  /**
+   * Upload many markdown files (or zip archives of them), one Notion page per file
+   * @param {Array<{filename: string, data: Buffer}>} uploads - Uploaded files
+   * @param {Object} options
+   * @param {string} [options.pageConfigId] - Page configuration ID (default page if omitted)
+   * @param {object} [options.targetPage] - Page configuration ({ id, pageId, type, connectionId })
+   * @param {string} [options.userId] - User uploading (see upload)
+   * @returns {Promise<{results: Array, summary: {total: number, succeeded: number, failed: number}}>}
+   */
+  async uploadBatch(uploads, { pageConfigId, targetPage, userId } = {}) {
+    const pageConfig = targetPage || await this.resolvePageConfig(pageConfigId, { userId });
+    if (!pageConfig) {
+      throw createUploadError('No target page configured. Please add a page configuration first.');
+    }
+
+    const { documents, assets, rejected } = await this.expandUploads(uploads);
+    if (documents.length === 0 && rejected.length === 0) {
+      throw createUploadError('No markdown files found in upload');
+    }
+
+    const results = rejected.map(item => ({ ...item, success: false }));
+    const knownPages = await this.getKnownPages({ userId });
+    const pendingLinks = [];
+
+    for (const { path, markdown } of documents) {
+      try {
+        const result = await this.upload({ markdown, targetPage: pageConfig, sourcePath: path, knownPages, assets, userId });
+        if (result.success) {
+          knownPages.set(path, result.page.url);
+          if (result.unresolvedLinks.length > 0) {
+            pendingLinks.push({ path, blocks: result.sourceBlocks, page: result.page, connectionId: result.record.connectionId });
+          }
+        }
+        results.push({
+          path,
+          success: result.success,
+          page: result.page,
+          error: result.error,
+          warnings: result.warnings,
+          historyId: result.record.id
+        });
+      } catch (error) {
+        // Validation failures happen before upload() records history, so record them here
+        const record = await storage.addHistory({
+          title: path.split('/').pop(),
+          pageConfigId: pageConfig.id,
+          notionPageId: null,
+          notionUrl: null,
+          userId: userId ?? pageConfig.userId,
+          status: 'failed',
+          error: error.message
+        });
+        results.push({ path, success: false, error: error.message, historyId: record.id });
+      }
+    }
+
+    await this.applyRelinks(results, pendingLinks, knownPages);
+
+    const succeeded = results.filter(r => r.success).length;
+    return {
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      }
+    };
+  }
+
+  /**
+   * Dry run of a sync update: report the block operations without applying them
+   * @param {Object} options
+   * @param {string} options.markdown - Markdown content
+   * @param {string} [options.targetPageId] - Notion page URL or ID
+   * @param {string} [options.historyId] - History record of a previous upload
+   * @param {string} [options.pageConfigId] - Page configuration whose plugins apply (that of the history record takes precedence)
+   * @param {string} [options.userId] - User planning the update (see upload)
+   * @returns {Promise<{success: boolean, plan?: object, error?: string}>}
+   */
+  async planSync({ markdown, targetPageId, historyId, pageConfigId, userId }) {
+    const { notionPageId, record } = await this.resolveUpdateTarget({ targetPageId, historyId, userId });
+    const configId = record?.pageConfigId || pageConfigId;
+    const pageConfig = configId && (record?.pageConfigId ? { id: configId } : await this.resolvePageConfig(configId, { userId }));
+    const { warnings, ...conversion } = await this.resolveConversion(pageConfig);
+    const connectionId = await this.resolveUpdateConnectionId({ record }, pageConfig, { userId });
+
+    let blocks;
+    try {
+      blocks = markdownService.convertToBlocks(markdown, conversion);
+    } catch (error) {
+      throw createUploadError(error.message);
+    }
+
+    const result = await syncService.planSync(notionPageId, blocks, { connectionId });
+    return { ...result, notionPageId };
+  }
+}
+
+export const uploadService = new UploadService();
@@ -0,0 +1,143 @@
+/**
+ * archive.js - Helpers for uploaded markdown files and zip archives
+ */
+
+import { inflateRawSync, crc32 } from 'zlib';
+import { constants } from 'buffer';
+import AdmZip from 'adm-zip';
+
+const MARKDOWN_EXTENSIONS = ['.md', '.txt'];
+
+// Limits of an uploaded zip archive, checked against the entry headers before anything is decompressed
+export const MAX_ARCHIVE_ENTRIES = 1000;
+export const MAX_ARCHIVE_SIZE = 100 * 1024 * 1024; // 100MB uncompressed
+
+/**
+ * Create an error for an archive over the limits (a 400 response, not a per-file failure)
+ */
+function createArchiveError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'ARCHIVE_TOO_LARGE';
+  return error;
+}
+
+/**
+ * Check whether a filename has a markdown/text extension
+ * @param {string} filename - File name or path
+ * @returns {boolean}
+ */
+export function isMarkdownFile(filename) {
+  const lower = (filename || '').toLowerCase();
+  return MARKDOWN_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
+
+/**
+ * Check whether a filename is a zip archive
+ * @param {string} filename - File name or path
+ * @returns {boolean}
+ */
+export function isZipFile(filename) {
+  return (filename || '').toLowerCase().endsWith('.zip');
+}
+
+/**
+ * Normalize an archive or upload path to forward slashes without leading "./" or "/"
+ * @param {string} path - Raw path
+ * @returns {string} Normalized path
+ */
+export function normalizePath(path) {
+  return path.replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+}
+
+/**
+ * Decompress one archive entry, stopping once the output exceeds maxSize. The sizes in the headers
+ * are chosen by whoever made the archive, so the inflater is capped rather than trusting them.
+ * @param {object} entry - adm-zip entry
+ * @param {string} path - Normalized entry path (for messages)
+ * @param {number} maxSize - Maximum output size in bytes
+ * @returns {Buffer}
+ */
+function readEntry(entry, path, maxSize) {
+  const { method, encrypted, crc } = entry.header;
+  if (encrypted) {
+    throw new Error(`"${path}" in the archive is encrypted`);
+  }
+
+  const compressed = entry.getCompressedData();
+  let data;
+  if (method === 0) {
+    data = compressed;
+  } else if (method === 8) {
+    try {
+      data = inflateRawSync(compressed, { maxOutputLength: Math.max(1, Math.min(maxSize + 1, constants.MAX_LENGTH)) });
+    } catch (error) {
+      if (error.code !== 'ERR_BUFFER_TOO_LARGE') {
+        throw new Error(`"${path}" in the archive is corrupt: ${error.message}`);
+      }
+      data = null;
+    }
+  } else {
+    throw new Error(`"${path}" in the archive uses an unsupported compression method`);
+  }
+
+  if (data === null || data.length > maxSize) {
+    throw createArchiveError(`"${path}" in the archive exceeds the size limit of ${maxSize} bytes`);
+  }
+  if (crc32(data) !== crc) {
+    throw new Error(`"${path}" in the archive is corrupt (CRC mismatch)`);
+  }
+  return data;
+}
+
+/**
+ * Extract all file entries from a zip archive
+ * Skips directories and macOS metadata (__MACOSX, ._ files). Declared sizes are checked before anything
+ * is decompressed, and decompression itself is capped at those limits (see readEntry), so zip bombs are
+ * rejected even when their headers lie.
+ * @param {Buffer} buffer - Zip archive content
+ * @param {Object} [options]
+ * @param {number} [options.maxEntrySize] - Maximum uncompressed size of one file in bytes
+ * @param {function(string): boolean} [options.include] - Files to extract by path; others are neither checked nor decompressed
+ * @returns {Array<{path: string, data: Buffer}>} Archive files
+ * @throws {Error} With statusCode 400 and code ARCHIVE_TOO_LARGE when the archive exceeds a limit
+ */
+export function extractZip(buffer, { maxEntrySize = Infinity, include = () => true } = {}) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new Error(`Invalid zip archive: ${error.message}`);
+  }
+
+  const files = zip.getEntries().filter(entry => !entry.isDirectory);
+  if (files.length > MAX_ARCHIVE_ENTRIES) {
+    throw createArchiveError(`The archive contains more than ${MAX_ARCHIVE_ENTRIES} files`);
+  }
+
+  const entries = files
+    .map(entry => ({ entry, path: normalizePath(entry.entryName) }))
+    .filter(({ path }) => !path.startsWith('__MACOSX/') && !path.split('/').pop().startsWith('._') && include(path));
+
+  let totalSize = 0;
+  for (const { entry, path } of entries) {
+    if (entry.header.size === 0 && entry.header.compressedSize > 0) {
+      throw createArchiveError(`"${path}" in the archive does not declare its uncompressed size`);
+    }
+    if (entry.header.size > maxEntrySize) {
+      throw createArchiveError(`"${path}" in the archive exceeds the maximum file size of ${maxEntrySize} bytes`);
+    }
+    totalSize += entry.header.size;
+  }
+  if (totalSize > MAX_ARCHIVE_SIZE) {
+    throw createArchiveError(`The archive exceeds the maximum uncompressed size of ${MAX_ARCHIVE_SIZE} bytes`);
+  }
+
+  // The declared sizes may be lies: cap every entry at the smaller of its limit and what is left of the total
+  let remaining = MAX_ARCHIVE_SIZE;
+  return entries.map(({ entry, path }) => {
+    const data = readEntry(entry, path, Math.min(maxEntrySize, remaining));
+    remaining -= data.length;
+    return { path, data };
+  });
+}
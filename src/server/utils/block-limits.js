@@ -0,0 +1,193 @@
+/**
+ * block-limits.js - Fit converted blocks into Notion's request limits
+ * Oversized rich text is split when blocks are converted; children nested too deep
+ * for one request are deferred to follow-up appends when blocks are uploaded.
+ * @see https://developers.notion.com/reference/request-limits
+ */
+
+// Blocks per children array (top-level batch or nested children)
+export const MAX_BLOCKS_PER_REQUEST = 100;
+
+// Blocks in one request, nested children included
+const MAX_PAYLOAD_BLOCKS = 1000;
+
+// Levels of children below the blocks of one request
+const MAX_NESTING_DEPTH = 2;
+
+const MAX_TEXT_LENGTH = 2000;
+const MAX_RICH_TEXT_ITEMS = 100;
+
+/**
+ * Split text into chunks of at most `size` characters without breaking surrogate pairs
+ */
+function chunkText(text, size) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+    const code = text.charCodeAt(end - 1);
+    if (end < text.length && code >= 0xd800 && code <= 0xdbff) end--;
+    chunks.push(text.slice(start, end));
+    start = end;
+  }
+  return chunks;
+}
+
+/**
+ * Split text items longer than the rich text content limit into consecutive items
+ * with the same annotations and link
+ * @param {Array} richText - Notion rich text array
+ * @returns {Array}
+ */
+export function splitRichText(richText) {
+  return richText.flatMap(item => {
+    if (item.type !== 'text' || item.text.content.length <= MAX_TEXT_LENGTH) {
+      return [item];
+    }
+    return chunkText(item.text.content, MAX_TEXT_LENGTH).map(content => ({
+      ...item,
+      text: { ...item.text, content }
+    }));
+  });
+}
+
+/**
+ * Fit the rich text of a block (and its children) into the limits.
+ * A block with more rich text items than allowed becomes several blocks of the same type,
+ * the last one keeping the children.
+ * @param {object} block - Notion block
+ * @returns {Array} One or more blocks
+ */
+function normalizeBlock(block) {
+  const content = block[block.type];
+  if (!content) return [block];
+
+  const normalized = { ...content };
+  if (content.caption) normalized.caption = splitRichText(content.caption);
+  if (content.cells) normalized.cells = content.cells.map(splitRichText);
+  if (content.children) normalized.children = normalizeBlocks(content.children);
+
+  if (!content.rich_text) {
+    return [{ ...block, [block.type]: normalized }];
+  }
+
+  const richText = splitRichText(content.rich_text);
+  const { children, ...rest } = normalized;
+  const parts = [];
+  for (let i = 0; i < Math.max(richText.length, 1); i += MAX_RICH_TEXT_ITEMS) {
+    parts.push({ ...block, [block.type]: { ...rest, rich_text: richText.slice(i, i + MAX_RICH_TEXT_ITEMS) } });
+  }
+  if (children) {
+    parts[parts.length - 1][block.type].children = children;
+  }
+  return parts;
+}
+
+/**
+ * Split rich text over Notion's length and item limits in a list of blocks
+ * @param {Array} blocks - Notion blocks (children under block[type].children)
+ * @returns {Array} New blocks; the input is not modified
+ */
+export function normalizeBlocks(blocks) {
+  return blocks.flatMap(normalizeBlock);
+}
+
+function childrenOf(block) {
+  return block[block.type]?.children || [];
+}
+
+function countBlocks(blocks) {
+  return blocks.reduce((count, block) => count + 1 + countBlocks(childrenOf(block)), 0);
+}
+
+/**
+ * Whether a block with all its children can be sent in a request at the given depth
+ */
+function fitsInline(block, depth) {
+  const children = childrenOf(block);
+  if (children.length === 0) return true;
+  return depth > 0
+    && children.length <= MAX_BLOCKS_PER_REQUEST
+    && children.every(child => fitsInline(child, depth - 1));
+}
+
+/**
+ * Split a block into the part sent in the request and children appended afterwards.
+ * The leading children that fit stay inline (tables need at least their first rows),
+ * the rest is deferred and appended to the created block.
+ * @param {object} block - Top-level block of a request
+ * @returns {{block: object, deferred: Array}}
+ */
+function splitBlock(block) {
+  const children = childrenOf(block);
+  if (fitsInline(block, MAX_NESTING_DEPTH) && countBlocks([block]) <= MAX_PAYLOAD_BLOCKS) {
+    return { block, deferred: [] };
+  }
+
+  let inline = 0;
+  let size = 1;
+  while (inline < Math.min(children.length, MAX_BLOCKS_PER_REQUEST)) {
+    const child = children[inline];
+    const childSize = countBlocks([child]);
+    if (!fitsInline(child, MAX_NESTING_DEPTH - 1) || size + childSize > MAX_PAYLOAD_BLOCKS) break;
+    size += childSize;
+    inline++;
+  }
+
+  const { children: _children, ...content } = block[block.type];
+  return {
+    block: {
+      ...block,
+      [block.type]: inline > 0 ? { ...content, children: children.slice(0, inline) } : content
+    },
+    deferred: children.slice(inline)
+  };
+}
+
+/**
+ * Prepare a batch of blocks for one append (or create) request
+ * @param {Array} batch - Blocks from planBatches
+ * @returns {{children: Array, deferred: Array<{index: number, children: Array}>}} Request children,
+ *   and per request block the children to append to it once it exists
+ */
+export function prepareBatch(batch) {
+  const children = [];
+  const deferred = [];
+  batch.forEach((item, index) => {
+    const { block, deferred: nested } = splitBlock(item);
+    children.push(block);
+    if (nested.length > 0) {
+      deferred.push({ index, children: nested });
+    }
+  });
+  return { children, deferred };
+}
+
+/**
+ * Group blocks into request batches: at most 100 blocks and 1000 blocks in total
+ * including the children sent inline. Batching is deterministic, so a batch index
+ * identifies the same blocks when an upload is resumed.
+ * @param {Array} blocks - Normalized blocks
+ * @returns {Array<Array>} Batches of blocks
+ */
+export function planBatches(blocks) {
+  const batches = [];
+  let batch = [];
+  let size = 0;
+
+  for (const block of blocks) {
+    const blockSize = countBlocks([splitBlock(block).block]);
+    if (batch.length > 0 && (batch.length >= MAX_BLOCKS_PER_REQUEST || size + blockSize > MAX_PAYLOAD_BLOCKS)) {
+      batches.push(batch);
+      batch = [];
+      size = 0;
+    }
+    batch.push(block);
+    size += blockSize;
+  }
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+
+  return batches;
+}
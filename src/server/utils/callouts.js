@@ -0,0 +1,175 @@
+/**
+ * callouts.js - GitHub/Obsidian callouts and ":::" admonitions as Notion callout blocks
+ * "> [!NOTE] Title" quotes become callouts after conversion; ":::tip Title" fences are first
+ * rewritten into that quote syntax so nested content is parsed the same way.
+ */
+
+// Colors accepted by Notion for callout blocks
+export const CALLOUT_COLORS = [
+  'default', 'gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red',
+  'gray_background', 'brown_background', 'orange_background', 'yellow_background', 'green_background',
+  'blue_background', 'purple_background', 'pink_background', 'red_background'
+];
+
+// Callout type (lower case) to icon and color; replaced as a whole by the "callouts" setting
+export const DEFAULT_CALLOUTS = {
+  note: { emoji: 'ℹ️', color: 'blue_background' },
+  info: { emoji: 'ℹ️', color: 'blue_background' },
+  abstract: { emoji: '📋', color: 'blue_background' },
+  todo: { emoji: '☑️', color: 'blue_background' },
+  tip: { emoji: '💡', color: 'green_background' },
+  success: { emoji: '✅', color: 'green_background' },
+  important: { emoji: '❗', color: 'purple_background' },
+  example: { emoji: '📝', color: 'purple_background' },
+  question: { emoji: '❓', color: 'orange_background' },
+  warning: { emoji: '⚠️', color: 'yellow_background' },
+  caution: { emoji: '🚫', color: 'red_background' },
+  danger: { emoji: '🔥', color: 'red_background' },
+  bug: { emoji: '🐛', color: 'red_background' },
+  quote: { emoji: '💬', color: 'gray_background' }
+};
+
+// "[!TYPE]" with an optional Obsidian fold marker ("+" or "-", ignored)
+const CALLOUT_MARKER = /^\[!([A-Za-z][\w-]*)\][+-]?[ \t]*/;
+
+const ADMONITION_OPEN = /^ {0,3}(:{3,})[ \t]*([A-Za-z][\w-]*)(?:[ \t]+(.*?))?[ \t]*$/;
+const ADMONITION_CLOSE = /^ {0,3}(:{3,})[ \t]*$/;
+const CODE_FENCE = /^\s*(`{3,}|~{3,})/;
+
+/**
+ * Rewrite ":::type Title" ... ":::" admonitions into "> [!type] Title" quotes.
+ * Fences may be nested (an outer fence may use more colons); code blocks are left alone.
+ * Every line maps to one output line, so line numbers stay the same.
+ * @param {string} markdown - Markdown content
+ * @param {Array<string>} types - Known callout types (lower case); other fences are kept as text
+ * @returns {string}
+ */
+export function rewriteAdmonitions(markdown, types) {
+  // Open fences; those of unknown types are tracked only so their closing line is matched
+  const open = [];
+  let codeFence = null;
+
+  return markdown.split('\n').map(line => {
+    const prefix = '> '.repeat(open.filter(fence => fence.callout).length);
+    const quoted = line ? `${prefix}${line}` : prefix.trimEnd();
+
+    if (codeFence) {
+      if (line.trim().startsWith(codeFence)) codeFence = null;
+      return quoted;
+    }
+    const fence = line.match(CODE_FENCE);
+    if (fence) {
+      codeFence = fence[1];
+      return quoted;
+    }
+
+    const start = line.match(ADMONITION_OPEN);
+    if (start) {
+      const callout = types.includes(start[2].toLowerCase());
+      open.push({ colons: start[1].length, callout });
+      return callout ? `${prefix}> [!${start[2]}]${start[3] ? ` ${start[3]}` : ''}` : quoted;
+    }
+
+    const end = line.match(ADMONITION_CLOSE);
+    if (end && open.length > 0 && end[1].length >= open[open.length - 1].colons) {
+      if (!open.pop().callout) return quoted;
+      // An empty line ends the quote, so following text is not pulled into it
+      return prefix.slice(2).trimEnd();
+    }
+
+    return quoted;
+  }).join('\n');
+}
+
+/**
+ * Split rich text at its first line break
+ * @returns {{first: Array, rest: Array}}
+ */
+function splitFirstLine(richText) {
+  const first = [];
+  for (let i = 0; i < richText.length; i++) {
+    const item = richText[i];
+    const index = item.type === 'text' ? item.text.content.indexOf('\n') : -1;
+    if (index === -1) {
+      first.push(item);
+      continue;
+    }
+
+    const before = item.text.content.slice(0, index);
+    const after = item.text.content.slice(index + 1).replace(/^\s+/, '');
+    if (before) first.push({ ...item, text: { ...item.text, content: before } });
+    const rest = richText.slice(i + 1);
+    return { first, rest: after ? [{ ...item, text: { ...item.text, content: after } }, ...rest] : rest };
+  }
+  return { first, rest: [] };
+}
+
+function bold(richText) {
+  return richText.map(item => ({ ...item, annotations: { ...item.annotations, bold: true } }));
+}
+
+/**
+ * Turn a quote starting with "[!TYPE]" into a callout, or return null if it is a plain quote.
+ * A title after the marker becomes the (bold) callout text and the rest of the first paragraph
+ * its first child; without a title the first paragraph is the callout text.
+ */
+function toCallout(block, callouts) {
+  const [first, ...children] = block.quote.children || [];
+  const richText = first?.type === 'paragraph' ? first.paragraph.rich_text : [];
+  const head = richText[0];
+  const match = head?.type === 'text' && !head.annotations?.code && head.text.content.match(CALLOUT_MARKER);
+  const style = match && callouts[match[1].toLowerCase()];
+  if (!style) return null;
+
+  const remaining = [{ ...head, text: { ...head.text, content: head.text.content.slice(match[0].length) } }, ...richText.slice(1)]
+    .filter(item => item.type !== 'text' || item.text.content);
+  const { first: title, rest: body } = splitFirstLine(remaining);
+
+  let text;
+  if (title.length > 0 && body.length > 0) {
+    text = bold(title);
+    children.unshift({ ...first, paragraph: { ...first.paragraph, rich_text: body } });
+  } else {
+    text = title.length > 0 ? title : body;
+  }
+
+  return {
+    object: 'block',
+    type: 'callout',
+    callout: {
+      rich_text: text,
+      icon: { type: 'emoji', emoji: style.emoji },
+      color: style.color || 'default',
+      ...(children.length > 0 && { children })
+    }
+  };
+}
+
+/**
+ * Convert "[!TYPE]" quotes in a block tree into callout blocks
+ * @param {Array} blocks - Notion blocks from the converter (children under block[type].children)
+ * @param {Object<string, {emoji: string, color?: string}>} [callouts] - Callout types by lower case name
+ * @returns {Array} New blocks
+ */
+export function convertCallouts(blocks, callouts = DEFAULT_CALLOUTS) {
+  return blocks.map(block => {
+    const content = block[block.type];
+    if (!content?.children) return block;
+
+    const converted = { ...block, [block.type]: { ...content, children: convertCallouts(content.children, callouts) } };
+    return (block.type === 'quote' && toCallout(converted, callouts)) || converted;
+  });
+}
+
+/**
+ * Callout type of a Notion callout block, matched by icon (and color) against the mapping
+ * @param {object} content - callout block content
+ * @param {Object<string, {emoji: string, color?: string}>} [callouts] - Callout types by lower case name
+ * @returns {string} Upper case type, NOTE if nothing matches
+ */
+export function calloutType(content, callouts = DEFAULT_CALLOUTS) {
+  const emoji = content.icon?.emoji;
+  const entries = Object.entries(callouts).filter(([, style]) => style.emoji === emoji);
+  const match = entries.find(([, style]) => (style.color || 'default') === content.color) || entries[0];
+  return (match ? match[0] : 'note').toUpperCase();
+}
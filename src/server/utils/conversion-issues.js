@@ -0,0 +1,167 @@
+/**
+ * conversion-issues.js - Find Markdown that will be dropped or degraded by the conversion to Notion blocks
+ * Parses Markdown with the same parser as @tryfabric/martian and flags the syntax it does not convert.
+ */
+
+import unified from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import martianNotion from '@tryfabric/martian/build/src/notion/index.js';
+
+// Block-level nodes martian converts; anything else is dropped
+const CONVERTED_BLOCKS = ['heading', 'paragraph', 'code', 'blockquote', 'list', 'table', 'math'];
+
+// Inline nodes martian converts into rich text
+const CONVERTED_INLINE = ['text', 'emphasis', 'strong', 'delete', 'link', 'inlineCode', 'inlineMath'];
+
+// Image file types Notion accepts for external images (same list as martian)
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.tif', '.tiff', '.bmp', '.svg', '.heic'];
+
+const BLOCK_MESSAGES = {
+  html: 'HTML blocks other than <details> are not supported and will be dropped',
+  thematicBreak: 'Horizontal rules are not supported and will be dropped',
+  definition: 'Link reference definitions and footnotes will be dropped'
+};
+
+const INLINE_MESSAGES = {
+  html: 'Inline HTML tags will be removed (the text between them is kept)',
+  break: 'Hard line breaks will be removed',
+  linkReference: 'Reference-style links and footnote references will be dropped',
+  imageReference: 'Reference-style images will be dropped',
+  footnoteReference: 'Footnote references will be dropped'
+};
+
+const parser = unified().use(remarkParse).use(remarkGfm).use(remarkMath);
+
+function excerpt(markdown, node) {
+  // Nodes added by plugins have no position in the source, nodes parsed from HTML blocks only a line
+  const source = node.position?.start.offset !== undefined
+    ? markdown.slice(node.position.start.offset, node.position.end.offset)
+    : node.value || '';
+  const text = source.replace(/\s+/g, ' ').trim();
+  return text.length > 80 ? `${text.substring(0, 77)}...` : text;
+}
+
+/**
+ * Reason an image will not become an image block, or null if it will
+ */
+function imageProblem(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return `Image "${url}" is not a URL; it becomes an image only if the file is attached to the upload, otherwise it stays as text`;
+  }
+  const path = parsed.pathname.toLowerCase();
+  if (!IMAGE_EXTENSIONS.some(extension => path.endsWith(extension))) {
+    return `Image URL "${url}" has no supported image file extension and will stay as text`;
+  }
+  return null;
+}
+
+/**
+ * Find Markdown constructs that the block conversion drops or changes
+ * @param {string} markdown - Markdown as passed to the converter (front matter removed, math normalized)
+ * @param {Object} [options]
+ * @param {number} [options.lineOffset] - Added to reported line numbers (e.g. lines of removed front matter)
+ * @param {object} [options.tree] - Already parsed (and transformed) AST of the markdown
+ * @returns {Array<{kind: 'dropped'|'degraded', element: string, line: number|null, text: string, message: string}>}
+ */
+export function findConversionIssues(markdown, { lineOffset = 0, tree } = {}) {
+  const issues = [];
+  const report = (kind, node, message) => {
+    issues.push({
+      kind,
+      element: node.type,
+      line: node.position ? node.position.start.line + lineOffset : null,
+      text: excerpt(markdown, node),
+      message
+    });
+  };
+
+  // allowImages: only paragraphs turn images into blocks; elsewhere they are dropped
+  const visitInline = (nodes, { allowImages = false, alone = false } = {}) => {
+    for (const node of nodes) {
+      if (node.type === 'image') {
+        if (!allowImages) {
+          report('dropped', node, 'Images inside headings, list items or tables will be dropped');
+          continue;
+        }
+        const problem = imageProblem(node.url);
+        if (problem) {
+          report('degraded', node, problem);
+        } else if (!alone) {
+          report('degraded', node, 'Inline images are moved below their paragraph as separate image blocks');
+        }
+      } else if (node.type === 'html' && node.value.startsWith('<!--')) {
+        continue;
+      } else if (!CONVERTED_INLINE.includes(node.type)) {
+        report(node.type === 'html' || node.type === 'break' ? 'degraded' : 'dropped', node,
+          INLINE_MESSAGES[node.type] || `Inline "${node.type}" will be dropped`);
+      } else if (node.children) {
+        visitInline(node.children);
+      }
+    }
+  };
+
+  const visitBlocks = nodes => {
+    for (const node of nodes) {
+      if (!CONVERTED_BLOCKS.includes(node.type)) {
+        // HTML comments are meant to be invisible anyway
+        if (node.type === 'html' && node.value.startsWith('<!--')) continue;
+        report('dropped', node, BLOCK_MESSAGES[node.type] || `"${node.type}" blocks will be dropped`);
+        continue;
+      }
+
+      switch (node.type) {
+        case 'heading':
+          if (node.depth > 3) {
+            report('degraded', node, `Notion has three heading levels; heading level ${node.depth} becomes heading 3`);
+          }
+          visitInline(node.children);
+          break;
+
+        case 'paragraph': {
+          const images = node.children.filter(child => child.type === 'image');
+          const alone = images.length === node.children.length;
+          visitInline(node.children, { allowImages: true, alone });
+          break;
+        }
+
+        case 'code':
+          if (node.lang && !martianNotion.isSupportedCodeLang(node.lang.toLowerCase()) && !martianNotion.parseCodeLanguage(node.lang)) {
+            report('degraded', node, `Code language "${node.lang}" is not supported by Notion and becomes plain text`);
+          }
+          break;
+
+        case 'blockquote':
+          visitBlocks(node.children);
+          break;
+
+        case 'list':
+          for (const item of node.children) {
+            const [first, ...rest] = item.children;
+            if (first && first.type !== 'paragraph') {
+              report('dropped', item, 'List items that do not start with text will be dropped');
+              continue;
+            }
+            if (first) visitInline(first.children);
+            visitBlocks(rest);
+          }
+          break;
+
+        case 'table':
+          for (const row of node.children) {
+            for (const cell of row.children) {
+              visitInline(cell.children);
+            }
+          }
+          break;
+      }
+    }
+  };
+
+  visitBlocks((tree || parser.parse(markdown)).children);
+  return issues;
+}
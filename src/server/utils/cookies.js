@@ -0,0 +1,41 @@
+/**
+ * cookies.js - Cookie header parsing and Set-Cookie values
+ */
+
+/**
+ * Parse a Cookie request header
+ * @param {string} [header] - Cookie header
+ * @returns {Object<string, string>} Cookie values by name
+ */
+export function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    if (!name || Object.hasOwn(cookies, name)) continue;
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Build a Set-Cookie header value
+ * @param {string} name
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {number} [options.maxAge] - Lifetime in seconds (0 removes the cookie)
+ * @param {boolean} [options.secure] - Only send the cookie over HTTPS
+ * @returns {string}
+ */
+export function serializeCookie(name, value, { maxAge, secure = false } = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, 'Path=/', 'HttpOnly', 'SameSite=Lax'];
+  if (maxAge !== undefined) parts.push(`Max-Age=${maxAge}`);
+  if (secure) parts.push('Secure');
+  return parts.join('; ');
+}
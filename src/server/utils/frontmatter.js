@@ -0,0 +1,195 @@
+/**
+ * frontmatter.js - YAML front matter parsing and mapping to Notion page fields
+ */
+
+import { parse } from 'yaml';
+
+// Leading --- block, closed by --- or ... on its own line
+const FRONT_MATTER_PATTERN = /^﻿?---[ \t]*\r?\n([\s\S]*?)\r?\n?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+// Keys that set page fields instead of database properties, with the reason an unusable value is ignored
+const PAGE_FIELDS = {
+  title: 'Title must not be empty',
+  icon: 'Icon must be a single emoji or an image URL',
+  cover: 'Cover must be an image URL'
+};
+
+/**
+ * Split YAML front matter from the markdown body
+ * @param {string} markdown - Markdown content
+ * @returns {{data: object|null, content: string, error: string|null}} Parsed data (null if absent or invalid) and the remaining markdown
+ */
+export function parseFrontMatter(markdown) {
+  const match = typeof markdown === 'string' && markdown.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { data: null, content: markdown, error: null };
+  }
+
+  const content = markdown.substring(match[0].length);
+  try {
+    const data = parse(match[1]);
+    if (data === null || data === undefined) {
+      return { data: null, content, error: null };
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      return { data: null, content, error: 'Front matter must be a mapping of keys to values' };
+    }
+    return { data, content, error: null };
+  } catch (error) {
+    return { data: null, content, error: `Invalid front matter: ${error.message.split('\n')[0]}` };
+  }
+}
+
+/**
+ * Remove front matter from markdown
+ * @param {string} markdown - Markdown content
+ * @returns {string} Markdown body
+ */
+export function stripFrontMatter(markdown) {
+  return parseFrontMatter(markdown).content;
+}
+
+function isEmoji(value) {
+  const graphemes = [...new Intl.Segmenter().segment(value)];
+  return graphemes.length === 1 && /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(value);
+}
+
+function isUrl(value) {
+  return /^https?:\/\/\S+$/i.test(value);
+}
+
+/**
+ * Build a page icon from a front matter value (an emoji or an image URL)
+ * @returns {object|null} Notion icon object, or null if the value is not usable
+ */
+export function toPageIcon(value) {
+  const text = String(value ?? '').trim();
+  if (isEmoji(text)) return { type: 'emoji', emoji: text };
+  if (isUrl(text)) return { type: 'external', external: { url: text } };
+  return null;
+}
+
+/**
+ * Build a page cover from a front matter value (an image URL)
+ * @returns {object|null} Notion file object, or null if the value is not usable
+ */
+export function toPageCover(value) {
+  const text = String(value ?? '').trim();
+  return isUrl(text) ? { type: 'external', external: { url: text } } : null;
+}
+
+function toText(value) {
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (value instanceof Date) return value.toISOString();
+  return String(value ?? '');
+}
+
+function toDate(value) {
+  if (value instanceof Date) {
+    return value.toISOString().substring(0, 10);
+  }
+  const text = String(value).trim();
+  return Number.isNaN(Date.parse(text)) ? null : text;
+}
+
+/**
+ * Convert a front matter value to a database property value of the given type
+ * @returns {{value?: object, error?: string}}
+ */
+function toPropertyValue(type, value) {
+  switch (type) {
+    case 'rich_text':
+      return { value: { rich_text: [{ text: { content: toText(value) } }] } };
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) && value !== '' && value !== null
+        ? { value: { number } }
+        : { error: `"${toText(value)}" is not a number` };
+    }
+    case 'select':
+    case 'status':
+      return { value: { [type]: { name: toText(value) } } };
+    case 'multi_select': {
+      const names = Array.isArray(value) ? value : String(value).split(',');
+      return { value: { multi_select: names.map(name => ({ name: toText(name).trim() })).filter(o => o.name) } };
+    }
+    case 'date': {
+      const start = toDate(value);
+      return start ? { value: { date: { start } } } : { error: `"${toText(value)}" is not a date` };
+    }
+    case 'checkbox':
+      return { value: { checkbox: value === true || /^(true|yes|1)$/i.test(String(value)) } };
+    case 'url':
+    case 'email':
+    case 'phone_number':
+      return { value: { [type]: toText(value) } };
+    default:
+      return { error: `Property type "${type}" cannot be set from front matter` };
+  }
+}
+
+/**
+ * Map front matter to page title, icon, cover and (for database targets) properties
+ * @param {object|null} data - Parsed front matter
+ * @param {Object} [options]
+ * @param {object} [options.schema] - Database properties schema; omit when the target is a page
+ * @returns {{title: string|null, icon: object|null, cover: object|null, properties: object, mapping: Array<{key: string, value: *, target: string|null, property?: string, note?: string}>}}
+ */
+export function mapFrontMatter(data, { schema } = {}) {
+  const result = { title: null, icon: null, cover: null, properties: {}, mapping: [] };
+  if (!data) return result;
+
+  const schemaEntries = Object.entries(schema || {});
+
+  for (const [key, value] of Object.entries(data)) {
+    const field = key.toLowerCase();
+    const entry = { key, value };
+    result.mapping.push(entry);
+
+    if (value === null || value === undefined || value === '') {
+      entry.target = null;
+      entry.note = 'Empty value';
+      continue;
+    }
+
+    if (Object.hasOwn(PAGE_FIELDS, field)) {
+      const mapped = field === 'title' ? toText(value).trim()
+        : field === 'icon' ? toPageIcon(value)
+          : toPageCover(value);
+      if (mapped) {
+        result[field] = mapped;
+        entry.target = field;
+      } else {
+        entry.target = null;
+        entry.note = PAGE_FIELDS[field];
+      }
+      continue;
+    }
+
+    if (!schema) {
+      entry.target = null;
+      entry.note = 'Only used when the target is a database';
+      continue;
+    }
+
+    const match = schemaEntries.find(([name]) => name.toLowerCase() === field);
+    if (!match || match[1].type === 'title') {
+      entry.target = null;
+      entry.note = 'No matching database property';
+      continue;
+    }
+
+    const [name, { type }] = match;
+    const converted = toPropertyValue(type, value);
+    entry.property = name;
+    if (converted.error) {
+      entry.target = null;
+      entry.note = converted.error;
+    } else {
+      entry.target = 'property';
+      result.properties[name] = converted.value;
+    }
+  }
+
+  return result;
+}
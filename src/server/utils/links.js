@@ -0,0 +1,56 @@
+/**
+ * links.js - Relative link helpers for cross-document references
+ */
+
+import { posix } from 'path';
+
+/**
+ * Check whether a link is relative (no URL scheme, e.g. "./other.md" or "#section")
+ * Notion rejects these, so they have to be resolved or dropped before upload
+ * @param {string} url - Link URL
+ * @returns {boolean}
+ */
+export function isRelativeLink(url) {
+  return typeof url === 'string' && url.length > 0 && !/^[a-z][a-z0-9+.-]*:/i.test(url);
+}
+
+/**
+ * Resolve a relative link against the path of the document containing it
+ * @param {string} sourcePath - Path of the linking document (e.g. "notes/a.md")
+ * @param {string} href - Relative link (e.g. "../b.md#section")
+ * @returns {string|null} Normalized target path without fragment or query, or null for same-page anchors
+ */
+export function resolveRelativePath(sourcePath, href) {
+  const target = href.split('#')[0].split('?')[0];
+  if (!target) return null;
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(target);
+  } catch {
+    decoded = target;
+  }
+
+  const base = sourcePath ? posix.dirname(sourcePath) : '.';
+  const resolved = decoded.startsWith('/')
+    ? posix.normalize(decoded.substring(1))
+    : posix.normalize(posix.join(base, decoded));
+
+  return resolved.startsWith('../') ? null : resolved.replace(/^\.\//, '');
+}
+
+/**
+ * Create a resolver mapping relative links in one document to Notion page URLs
+ * @param {string} sourcePath - Path of the linking document
+ * @param {Map<string, string>} knownPages - Map of document path to Notion page URL
+ * @returns {function(string): string|null} Resolver returning the page URL or null if unknown
+ */
+export function createLinkResolver(sourcePath, knownPages) {
+  return href => {
+    const path = resolveRelativePath(sourcePath, href);
+    if (!path) return null;
+    return knownPages.get(path)
+      || (!posix.extname(path) && knownPages.get(`${path}.md`))
+      || null;
+  };
+}
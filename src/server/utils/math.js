@@ -0,0 +1,178 @@
+/**
+ * math.js - LaTeX math pre-processing for markdown conversion
+ * Normalizes \(...\), \[...\], $$...$$ and fenced math blocks into the $ / $$ syntax
+ * martian understands, and rewrites macros that Notion's KaTeX renderer does not support.
+ */
+
+import katex from 'katex';
+
+// Fence languages treated as display math
+const MATH_FENCE_LANGUAGES = ['math', 'latex', 'tex', 'katex'];
+
+// Rewrites for LaTeX commands and environments KaTeX does not support
+const MACRO_REPLACEMENTS = [
+  [/\\label\{[^}]*\}/g, ''],
+  [/\\(nonumber|notag)\b/g, ''],
+  [/\\mbox\{/g, '\\text{'],
+  [/\\mathbbm\{/g, '\\mathbb{'],
+  [/\\begin\{(equation|displaymath)\*?\}/g, ''],
+  [/\\end\{(equation|displaymath)\*?\}/g, ''],
+  [/\\begin\{(align|eqnarray|multline|flalign)\*?\}/g, '\\begin{aligned}'],
+  [/\\end\{(align|eqnarray|multline|flalign)\*?\}/g, '\\end{aligned}']
+];
+
+// Inline $...$: no space after the opening or before the closing $, no digit after the closing $
+const INLINE_DOLLAR = /(?<![\\$])\$(?![\s$])((?:\\.|[^$\\\n])+?)(?<!\s)\$(?![$\d])/g;
+const INLINE_PAREN = /\\\(([\s\S]+?)\\\)/g;
+const DISPLAY_DOLLAR = /\$\$([\s\S]+?)\$\$/g;
+const DISPLAY_BRACKET = /\\\[([\s\S]+?)\\\]/g;
+
+/**
+ * Rewrite KaTeX-unsupported macros in an expression
+ * @param {string} expression - LaTeX expression
+ * @returns {string} Normalized expression
+ */
+export function normalizeMathExpression(expression) {
+  let normalized = expression;
+  for (const [pattern, replacement] of MACRO_REPLACEMENTS) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+  return normalized.trim();
+}
+
+/**
+ * Check an expression with KaTeX
+ * @param {string} expression - LaTeX expression
+ * @param {boolean} displayMode - Block (true) or inline (false) equation
+ * @returns {string|null} Parse error message, or null if the expression renders
+ */
+export function validateMathExpression(expression, displayMode) {
+  if (!expression) {
+    return 'Empty expression';
+  }
+  try {
+    katex.renderToString(expression, { displayMode, throwOnError: true });
+    return null;
+  } catch (error) {
+    return error.message.replace(/^KaTeX parse error: /, '');
+  }
+}
+
+/**
+ * Format a display equation as its own $$ block, keeping the indentation of its line
+ */
+function displayBlock(expression, indent) {
+  const body = expression.split('\n').map(line => `${indent}${line}`).join('\n');
+  return `${indent}$$\n${body}\n${indent}$$`;
+}
+
+/**
+ * Process a chunk of markdown outside code fences
+ */
+function processText(text, expressions, issues) {
+  // Code spans and converted math are masked so later passes leave them alone
+  const masked = [];
+  const mask = value => {
+    masked.push(value);
+    return `\u0000${masked.length - 1}\u0000`;
+  };
+  const unmask = value => value.replace(/\u0000(\d+)\u0000/g, (match, index) => unmask(masked[Number(index)]));
+
+  let result = text.replace(/(`+)[\s\S]*?\1/g, mask);
+
+  const equation = (expression, original, displayMode) => {
+    const normalized = normalizeMathExpression(expression);
+    expressions.push({ expression: normalized, original, displayMode });
+    return normalized;
+  };
+
+  // Display math on its own line(s) becomes an equation block, otherwise an inline equation
+  const display = (match, expression, offset, source) => {
+    const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+    const prefix = source.substring(lineStart, offset);
+    const rest = source.substring(offset + match.length);
+    const standalone = /^[ \t]*$/.test(prefix) && /^[ \t]*(\n|$)/.test(rest);
+    const normalized = equation(expression, match, standalone);
+
+    return mask(standalone
+      ? displayBlock(normalized, '').replace(/\n/g, `\n${prefix}`)
+      : `$${normalized}$`);
+  };
+  result = result.replace(DISPLAY_DOLLAR, display);
+  result = result.replace(DISPLAY_BRACKET, display);
+
+  const inline = (match, expression) => mask(`$${equation(expression, match, false)}$`);
+  result = result.replace(INLINE_PAREN, inline);
+  result = result.replace(INLINE_DOLLAR, inline);
+
+  if (/(?<!\\)\$\$/.test(result)) {
+    issues.push('Unmatched $$ delimiter');
+  }
+  if (/\\\[|\\\(/.test(result)) {
+    issues.push('Unclosed \\[ or \\( delimiter');
+  }
+
+  // Any $ left over is literal text (e.g. prices), escape it so it is not parsed as math
+  result = result.replace(/(?<!\\)\$/g, '\\$');
+
+  return unmask(result);
+}
+
+/**
+ * Normalize all math in a markdown document
+ * @param {string} markdown - Markdown content
+ * @returns {{markdown: string, expressions: Array<{expression: string, original: string, displayMode: boolean}>, issues: Array<string>}}
+ */
+export function preprocessMath(markdown) {
+  const expressions = [];
+  const issues = [];
+  const output = [];
+  let textBuffer = [];
+  let fence = null;
+
+  const flushText = () => {
+    if (textBuffer.length > 0) {
+      output.push(processText(textBuffer.join('\n'), expressions, issues));
+      textBuffer = [];
+    }
+  };
+
+  for (const line of markdown.split('\n')) {
+    const fenceMatch = line.match(/^(\s*)(`{3,}|~{3,})\s*([\w-]*)/);
+
+    if (fence) {
+      if (fenceMatch && fenceMatch[2].startsWith(fence.marker)) {
+        if (fence.math) {
+          const expression = normalizeMathExpression(fence.lines.join('\n'));
+          expressions.push({ expression, original: fence.lines.join('\n'), displayMode: true });
+          output.push(displayBlock(expression, fence.indent));
+        } else {
+          output.push(...fence.lines, line);
+        }
+        fence = null;
+      } else {
+        fence.lines.push(line);
+      }
+      continue;
+    }
+
+    if (fenceMatch) {
+      flushText();
+      const math = MATH_FENCE_LANGUAGES.includes(fenceMatch[3].toLowerCase());
+      fence = { marker: fenceMatch[2], indent: fenceMatch[1], math, lines: math ? [] : [line] };
+      continue;
+    }
+
+    textBuffer.push(line);
+  }
+
+  if (fence) {
+    // Unclosed fence: keep the content as it was written
+    output.push(...(fence.math ? [`${fence.indent}${fence.marker}math`] : []), ...fence.lines);
+    if (fence.math) issues.push('Unclosed math code block');
+  }
+  flushText();
+
+  const result = output.join('\n');
+  return { markdown: result, expressions, issues };
+}
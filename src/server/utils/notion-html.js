@@ -0,0 +1,194 @@
+/**
+ * notion-html.js - Render converted Notion blocks as Notion-like HTML for the upload preview
+ * Blocks are request-shaped, with nested blocks under block[type].children
+ * (see markdownService.convertToBlocks). Styles live in public/css/custom.css (.notion-preview).
+ */
+
+import katex from 'katex';
+
+// Block types rendered as list items (consecutive items of one type form one list)
+const LIST_TAGS = { bulleted_list_item: 'ul', numbered_list_item: 'ol' };
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Links are only rendered for web and mail URLs (relative links are resolved at upload time)
+ */
+function isSafeUrl(url) {
+  return /^(https?:|mailto:)/i.test(url || '');
+}
+
+function renderMath(expression, displayMode) {
+  return katex.renderToString(expression, { displayMode, throwOnError: false });
+}
+
+/**
+ * Render rich text to inline HTML
+ * @param {Array} richText - Notion rich text array
+ * @returns {string}
+ */
+export function richTextToHtml(richText = []) {
+  return richText.map(item => {
+    if (item.type === 'equation') {
+      return renderMath(item.equation.expression, false);
+    }
+
+    const annotations = item.annotations || {};
+    let html = escapeHtml(item.text?.content ?? item.plain_text ?? '').replace(/\n/g, '<br>');
+    if (annotations.code) html = `<code>${html}</code>`;
+    if (annotations.bold) html = `<strong>${html}</strong>`;
+    if (annotations.italic) html = `<em>${html}</em>`;
+    if (annotations.strikethrough) html = `<s>${html}</s>`;
+    if (annotations.underline) html = `<u>${html}</u>`;
+
+    const url = item.text?.link?.url;
+    if (!url) return html;
+    return isSafeUrl(url)
+      ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${html}</a>`
+      : `<span class="notion-link" title="${escapeHtml(url)}">${html}</span>`;
+  }).join('');
+}
+
+/**
+ * Source URL of an image block, if it can be shown in the browser
+ * @param {object} content - image block content
+ * @param {Map<string, string>} [imageSources] - Replacement URLs (e.g. embedded data) for placeholder URLs
+ */
+function imageSource(content, imageSources) {
+  if (content.type === 'external') return imageSources?.get(content.external.url) || content.external.url;
+  if (content.type === 'file') return content.file.url;
+  return null;
+}
+
+/**
+ * Image sources are shown for web URLs and embedded image data
+ */
+function isSafeImageSource(src) {
+  return isSafeUrl(src) || /^data:image\/[a-z0-9.+-]+;base64,/i.test(src || '');
+}
+
+function renderTable(content) {
+  const rows = (content.children || []).map((row, index) => {
+    const tag = index === 0 && content.has_column_header ? 'th' : 'td';
+    const cells = row.table_row.cells.map(cell => `<${tag}>${richTextToHtml(cell)}</${tag}>`).join('');
+    return `<tr>${cells}</tr>`;
+  });
+  return `<table class="notion-table"><tbody>${rows.join('')}</tbody></table>`;
+}
+
+/**
+ * Render a single block (and its children)
+ * @param {object} block - Notion block
+ * @param {object} options - See blocksToHtml
+ * @returns {string}
+ */
+function renderBlock(block, options) {
+  const content = block[block.type] || {};
+  const text = richTextToHtml(content.rich_text);
+  const children = content.children?.length ? blocksToHtml(content.children, options) : '';
+  const nested = children ? `<div class="notion-children">${children}</div>` : '';
+
+  switch (block.type) {
+    case 'paragraph':
+      return `<p>${text}</p>${nested}`;
+
+    case 'heading_1':
+    case 'heading_2':
+    case 'heading_3': {
+      const tag = `h${block.type.slice(-1)}`;
+      if (content.is_toggleable) {
+        return `<details class="notion-toggle"><summary><${tag}>${text}</${tag}></summary>${nested}</details>`;
+      }
+      return `<${tag}>${text}</${tag}>${nested}`;
+    }
+
+    case 'bulleted_list_item':
+    case 'numbered_list_item':
+      return `<li>${text}${nested}</li>`;
+
+    case 'to_do':
+      return `<div class="notion-todo"><input type="checkbox" disabled${content.checked ? ' checked' : ''}><span>${text}</span></div>${nested}`;
+
+    case 'quote':
+      return `<blockquote>${text}${children}</blockquote>`;
+
+    case 'callout': {
+      const icon = content.icon?.emoji ? escapeHtml(content.icon.emoji) : '💡';
+      const color = escapeHtml(content.color || 'default');
+      return `<div class="notion-callout notion-color-${color}"><span class="notion-callout-icon">${icon}</span><div>${text}${children}</div></div>`;
+    }
+
+    case 'toggle':
+      return `<details class="notion-toggle"><summary>${text}</summary>${nested}</details>`;
+
+    case 'code': {
+      const code = escapeHtml(content.rich_text.map(item => item.text?.content ?? '').join(''));
+      return `<div class="notion-code"><span class="notion-code-language">${escapeHtml(content.language)}</span><pre><code>${code}</code></pre></div>`;
+    }
+
+    case 'equation':
+      return `<div class="notion-equation">${renderMath(content.expression, true)}</div>`;
+
+    case 'divider':
+      return '<hr>';
+
+    case 'image': {
+      const src = imageSource(content, options.imageSources);
+      const caption = content.caption?.length ? `<figcaption>${richTextToHtml(content.caption)}</figcaption>` : '';
+      return src && isSafeImageSource(src)
+        ? `<figure><img src="${escapeHtml(src)}" alt="" loading="lazy">${caption}</figure>`
+        : `<figure class="notion-placeholder">Image (uploaded with the page)${caption}</figure>`;
+    }
+
+    case 'table':
+      return renderTable(content);
+
+    case 'table_of_contents':
+      return '<div class="notion-placeholder">Table of contents</div>';
+
+    default:
+      return `<div class="notion-placeholder">${escapeHtml(block.type)} block</div>`;
+  }
+}
+
+/**
+ * Render a list of sibling blocks as HTML
+ * @param {Array} blocks - Notion blocks
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.imageSources] - Image URLs to show instead of placeholder URLs
+ * @returns {string}
+ */
+export function blocksToHtml(blocks = [], options = {}) {
+  let html = '';
+  let openList = null;
+
+  for (const block of blocks) {
+    const listTag = LIST_TAGS[block.type] || null;
+    if (openList && openList !== listTag) {
+      html += `</${openList}>`;
+      openList = null;
+    }
+    if (listTag && !openList) {
+      html += `<${listTag}>`;
+      openList = listTag;
+    }
+    html += renderBlock(block, options);
+  }
+  if (openList) {
+    html += `</${openList}>`;
+  }
+
+  return html;
+}
@@ -0,0 +1,230 @@
+/**
+ * notion-markdown.js - Serialize Notion block trees back to Markdown
+ * Blocks are the raw API objects with their nested blocks attached as `children`
+ * (see notionService.fetchBlockTree).
+ */
+
+import { calloutType } from './callouts.js';
+
+// Block types rendered as list items (consecutive items form one tight list)
+const LIST_TYPES = ['bulleted_list_item', 'numbered_list_item', 'to_do'];
+
+// Characters with meaning in Markdown (and $ for math) that are escaped in plain text
+const ESCAPE_PATTERN = /([\\`*_[\]$<])/g;
+
+/**
+ * Wrap text in a Markdown marker, keeping surrounding whitespace outside ("** a**" is not bold)
+ */
+function wrap(text, marker, closing = marker) {
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return match[2] ? `${match[1]}${marker}${match[2]}${closing}${match[3]}` : text;
+}
+
+/**
+ * Page URL for a Notion ID
+ */
+function pageUrl(id) {
+  return `https://www.notion.so/${id.replace(/-/g, '')}`;
+}
+
+/**
+ * Serialize rich text to inline Markdown
+ * @param {Array} richText - Notion rich text array
+ * @returns {string}
+ */
+export function richTextToMarkdown(richText = []) {
+  return richText.map(item => {
+    if (item.type === 'equation') {
+      return `$${item.equation.expression}$`;
+    }
+
+    const annotations = item.annotations || {};
+    let text = annotations.code
+      ? wrap(item.plain_text, '`')
+      : item.plain_text.replace(ESCAPE_PATTERN, '\\$1');
+
+    if (annotations.bold) text = wrap(text, '**');
+    if (annotations.italic) text = wrap(text, '*');
+    if (annotations.strikethrough) text = wrap(text, '~~');
+    if (annotations.underline) text = wrap(text, '<u>', '</u>');
+
+    const href = item.href || (item.type === 'mention' && item.mention?.page && pageUrl(item.mention.page.id));
+    return href && text.trim() ? `[${text}](${href})` : text;
+  }).join('');
+}
+
+/**
+ * Prefix every line of a block of text (blank lines get the trimmed prefix)
+ */
+function indent(text, prefix, firstPrefix = prefix) {
+  return text.split('\n')
+    .map((line, index) => {
+      const linePrefix = index === 0 ? firstPrefix : prefix;
+      return line ? `${linePrefix}${line}` : linePrefix.trimEnd();
+    })
+    .join('\n');
+}
+
+function caption(content) {
+  return richTextToMarkdown(content.caption);
+}
+
+/**
+ * URL of a file-like block (image, file, pdf, video, audio)
+ */
+function fileUrl(content) {
+  return content.external?.url || content.file?.url || '';
+}
+
+function renderTable(block) {
+  const rows = (block.children || [])
+    .filter(row => row.type === 'table_row')
+    .map(row => row.table_row.cells.map(cell => richTextToMarkdown(cell).replace(/\|/g, '\\|').replace(/\n/g, ' ')));
+  if (rows.length === 0) return '';
+
+  // Markdown tables always have a header row; without one in Notion an empty header is used
+  const width = Math.max(...rows.map(row => row.length));
+  const header = block.table.has_column_header ? rows.shift() : new Array(width).fill('');
+  const line = cells => `| ${cells.join(' | ')} |`;
+
+  return [line(header), line(new Array(width).fill('---')), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Serialize a single block (and its children)
+ * @param {object} block - Notion block with `children`
+ * @param {number} number - Position of a numbered list item in its list
+ * @param {Object} options - See blocksToMarkdown
+ * @returns {string}
+ */
+function renderBlock(block, number, options) {
+  const content = block[block.type] || {};
+  const text = richTextToMarkdown(content.rich_text);
+  const children = block.children?.length ? blocksToMarkdown(block.children, options) : '';
+
+  switch (block.type) {
+    case 'paragraph':
+      return [text, children].filter(Boolean).join('\n\n');
+
+    case 'heading_1':
+    case 'heading_2':
+    case 'heading_3': {
+      const heading = `${'#'.repeat(Number(block.type.slice(-1)))} ${text}`;
+      return [heading, children].filter(Boolean).join('\n\n');
+    }
+
+    case 'bulleted_list_item':
+    case 'numbered_list_item':
+    case 'to_do': {
+      const marker = block.type === 'numbered_list_item' ? `${number}. `
+        : block.type === 'to_do' ? `- [${content.checked ? 'x' : ' '}] `
+          : '- ';
+      const padding = ' '.repeat(block.type === 'to_do' ? 2 : marker.length);
+      const item = indent(text, padding, marker);
+      return children ? `${item}\n${indent(children, padding)}` : item;
+    }
+
+    case 'quote':
+      return indent([text, children].filter(Boolean).join('\n\n'), '> ');
+
+    case 'callout': {
+      const body = [text, children].filter(Boolean).join('\n\n');
+      return indent(`[!${calloutType(content, options.callouts)}]\n${body}`, '> ');
+    }
+
+    case 'toggle':
+      return `<details>\n<summary>${text}</summary>\n\n${children ? `${children}\n\n` : ''}</details>`;
+
+    case 'code': {
+      const language = content.language === 'plain text' ? '' : content.language;
+      const code = content.rich_text.map(item => item.plain_text).join('');
+      const fence = code.includes('```') ? '~~~' : '```';
+      return `${fence}${language}\n${code}\n${fence}`;
+    }
+
+    case 'equation':
+      return `$$\n${content.expression}\n$$`;
+
+    case 'divider':
+      return '---';
+
+    case 'image':
+      return `![${caption(content)}](${fileUrl(content)})`;
+
+    case 'file':
+    case 'pdf':
+    case 'video':
+    case 'audio': {
+      const url = fileUrl(content);
+      return `[${caption(content) || content.name || url}](${url})`;
+    }
+
+    case 'bookmark':
+    case 'embed':
+    case 'link_preview':
+      return `[${caption(content) || content.url}](${content.url})`;
+
+    case 'table':
+      return renderTable(block);
+
+    case 'child_page':
+      return `[${content.title}](${pageUrl(block.id)})`;
+
+    case 'child_database':
+      return `[${content.title || 'Database'}](${pageUrl(block.id)})`;
+
+    case 'link_to_page': {
+      const id = content.page_id || content.database_id;
+      return id ? `[${pageUrl(id)}](${pageUrl(id)})` : '';
+    }
+
+    case 'column_list':
+    case 'column':
+    case 'synced_block':
+      return children;
+
+    case 'table_of_contents':
+    case 'breadcrumb':
+      return '';
+
+    default:
+      return `<!-- Unsupported Notion block: ${block.type} -->`;
+  }
+}
+
+/**
+ * Serialize a list of sibling blocks to Markdown
+ * @param {Array} blocks - Notion blocks with `children`
+ * @param {Object} [options]
+ * @param {object} [options.callouts] - Callout types, to write callouts back as "> [!TYPE]" by their icon
+ * @returns {string}
+ */
+export function blocksToMarkdown(blocks = [], options = {}) {
+  const parts = [];
+  let number = 0;
+  let previousType = null;
+
+  for (const block of blocks) {
+    number = block.type === 'numbered_list_item' && previousType === 'numbered_list_item' ? number + 1 : 1;
+    const markdown = renderBlock(block, number, options);
+
+    if (markdown) {
+      // Items of the same list stay together, everything else is separated by a blank line
+      const tight = LIST_TYPES.includes(block.type) && block.type === previousType;
+      parts.push(parts.length === 0 ? markdown : `${tight ? '\n' : '\n\n'}${markdown}`);
+    }
+    previousType = block.type;
+  }
+
+  return parts.join('');
+}
+
+/**
+ * File name for an exported page
+ * @param {string} title - Page title
+ * @returns {string} Title with characters invalid in file names replaced, plus ".md"
+ */
+export function markdownFilename(title) {
+  const name = (title || '').replace(/[\\/:*?"<>|\x00-\x1f]/g, '-').replace(/\s+/g, ' ').trim();
+  return `${name.substring(0, 100) || 'Untitled'}.md`;
+}
@@ -0,0 +1,138 @@
+/**
+ * openapi.js - OpenAPI 3.1 document built from the Fastify route options (schemas and scopes)
+ */
+
+const METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
+
+/**
+ * Convert a Fastify path ("/api/jobs/:id") to an OpenAPI path ("/api/jobs/{id}")
+ * @param {string} url
+ * @returns {string}
+ */
+function toOpenApiPath(url) {
+  return url.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * Path and query string parameters of a route
+ * @param {object} route - Route options from an onRoute hook
+ * @returns {Array<object>} OpenAPI parameter objects
+ */
+function routeParameters(route) {
+  const schema = route.schema || {};
+  const parameters = [];
+
+  const pathNames = [...route.url.matchAll(/:([A-Za-z0-9_]+)/g)].map(match => match[1]);
+  for (const name of pathNames) {
+    parameters.push({
+      name,
+      in: 'path',
+      required: true,
+      schema: schema.params?.properties?.[name] || { type: 'string' }
+    });
+  }
+
+  const query = schema.querystring;
+  for (const [name, property] of Object.entries(query?.properties || {})) {
+    parameters.push({
+      name,
+      in: 'query',
+      required: (query.required || []).includes(name),
+      schema: property
+    });
+  }
+
+  return parameters;
+}
+
+/**
+ * Request body of a route: its JSON body schema, or the content types it consumes (multipart uploads)
+ * @param {object} route
+ * @returns {object|undefined} OpenAPI request body object
+ */
+function routeRequestBody(route) {
+  const { body, consumes } = route.schema || {};
+  if (body) {
+    return { required: true, content: { 'application/json': { schema: body } } };
+  }
+  if (consumes) {
+    return {
+      required: true,
+      content: Object.fromEntries(consumes.map(type => [type, { schema: { type: 'object' } }]))
+    };
+  }
+  return undefined;
+}
+
+/**
+ * Build the OpenAPI document of the /api/* routes
+ * @param {Array<object>} routes - Route options collected by an onRoute hook
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} options.version
+ * @param {string[]} options.publicRoutes - Paths reachable without authentication
+ * @param {Object<string, string>} options.scopes - API token scopes and their descriptions
+ * @param {string} options.sessionCookie - Name of the login session cookie
+ * @returns {object}
+ */
+export function buildOpenApiDocument(routes, { title, version, publicRoutes, scopes, sessionCookie }) {
+  const paths = {};
+
+  for (const route of routes) {
+    if (!route.url.startsWith('/api/')) continue;
+    const methods = [].concat(route.method).filter(method => METHODS.includes(method));
+
+    for (const method of methods) {
+      const scope = route.config?.scope;
+      const isPublic = publicRoutes.includes(route.url);
+      const { summary, produces } = route.schema || {};
+
+      const responses = {
+        200: {
+          description: 'Successful response',
+          content: { [produces?.[0] || 'application/json']: {} }
+        }
+      };
+      if (route.schema?.body || route.schema?.querystring || route.schema?.params) {
+        responses[400] = { description: 'Invalid request' };
+      }
+      if (!isPublic) {
+        responses[401] = { description: 'Not logged in, or invalid API token' };
+        responses[403] = { description: scope ? `API token without the "${scope}" scope` : 'Not available to API tokens' };
+      }
+
+      const operation = {
+        ...(summary && { summary }),
+        tags: [route.url.split('/')[2]],
+        parameters: routeParameters(route),
+        requestBody: routeRequestBody(route),
+        responses,
+        // Login sessions reach every route, API tokens only routes with a scope
+        security: isPublic ? [] : [{ session: [] }, ...(scope ? [{ apiToken: [scope] }] : [])]
+      };
+      if (!operation.requestBody) delete operation.requestBody;
+      if (operation.parameters.length === 0) delete operation.parameters;
+
+      paths[toOpenApiPath(route.url)] ||= {};
+      paths[toOpenApiPath(route.url)][method.toLowerCase()] = operation;
+    }
+  }
+
+  const scopeList = Object.entries(scopes).map(([scope, description]) => `- \`${scope}\`: ${description}`).join('\n');
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title,
+      version,
+      description: `Personal API tokens are created in the web interface and sent as \`Authorization: Bearer <token>\`. Token scopes:\n\n${scopeList}`
+    },
+    components: {
+      securitySchemes: {
+        session: { type: 'apiKey', in: 'cookie', name: sessionCookie },
+        apiToken: { type: 'http', scheme: 'bearer' }
+      }
+    },
+    paths
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * toggles.js - Collapsible sections as Notion toggle blocks
+ * <details><summary> HTML becomes toggle blocks; optionally headings of one level become
+ * toggle headings holding their section.
+ *
+ * The converter (martian) drops HTML, so <details> is grouped in the Markdown AST into a quote
+ * whose first paragraph starts with TOGGLE_MARKER, and that quote is turned into a toggle block
+ * after conversion.
+ */
+
+const TOGGLE_MARKER = '\u0000toggle\u0000';
+
+// Fallback toggle text when there is no <summary> (what browsers show)
+const DEFAULT_SUMMARY = 'Details';
+
+const DETAILS_TAG = /<details\b[^>]*>|<\/details\s*>|<summary\b[^>]*>([\s\S]*?)<\/summary\s*>/gi;
+
+// AST nodes whose children are blocks that may contain <details>
+const CONTAINERS = ['root', 'blockquote', 'listItem', 'footnoteDefinition'];
+
+const HEADING_LEVELS = { heading_1: 1, heading_2: 2, heading_3: 3 };
+
+/**
+ * Give nodes parsed from part of an HTML block the line numbers of the document.
+ * Offsets cannot be mapped (HTML inside quotes and lists has its prefixes removed), so they are dropped.
+ */
+function shiftLines(node, lines) {
+  if (node.position) {
+    node.position = {
+      start: { line: node.position.start.line + lines, column: node.position.start.column },
+      end: { line: node.position.end.line + lines, column: node.position.end.column }
+    };
+  }
+  node.children?.forEach(child => shiftLines(child, lines));
+}
+
+/**
+ * Split an HTML block into <details> tokens and the Markdown between them (parsed into nodes)
+ * @returns {Array|null} Tokens and nodes, or null if the block has no <details> tags
+ */
+function tokenizeHtml(node, parse) {
+  const tokens = [];
+  let last = 0;
+  const addContent = end => {
+    const content = node.value.slice(last, end);
+    if (!content.trim()) return;
+    const lines = node.position.start.line - 1 + node.value.slice(0, last).split('\n').length - 1;
+    for (const child of parse(content).children) {
+      shiftLines(child, lines);
+      tokens.push(child);
+    }
+  };
+
+  for (const match of node.value.matchAll(DETAILS_TAG)) {
+    addContent(match.index);
+    const tag = match[0].toLowerCase();
+    if (tag.startsWith('<summary')) {
+      tokens.push({ token: 'summary', value: match[1].trim() });
+    } else {
+      tokens.push({ token: tag.startsWith('</') ? 'close' : 'open', position: node.position });
+    }
+    last = match.index + match[0].length;
+  }
+  if (tokens.length === 0) return null;
+
+  addContent(node.value.length);
+  return tokens;
+}
+
+/**
+ * Summary text as inline nodes
+ */
+function summaryNodes(summary, parse) {
+  const paragraph = summary && parse(summary).children.find(child => child.type === 'paragraph');
+  return paragraph ? paragraph.children : [{ type: 'text', value: summary || DEFAULT_SUMMARY }];
+}
+
+/**
+ * Group the nodes between <details> and </details> of one block list into toggle quotes
+ */
+function groupDetails(nodes, parse) {
+  const expanded = nodes.flatMap(node => (node.type === 'html' && tokenizeHtml(node, parse)) || [node]);
+  if (!expanded.some(node => node.token)) return nodes;
+
+  const root = { children: [] };
+  const stack = [root];
+  const close = () => {
+    const group = stack.pop();
+    stack[stack.length - 1].children.push({
+      type: 'blockquote',
+      position: group.position,
+      children: [
+        { type: 'paragraph', children: [{ type: 'text', value: TOGGLE_MARKER }, ...summaryNodes(group.summary, parse)] },
+        ...group.children
+      ]
+    });
+  };
+
+  for (const node of expanded) {
+    const current = stack[stack.length - 1];
+    if (node.token === 'open') {
+      stack.push({ summary: null, children: [], position: node.position });
+    } else if (node.token === 'summary') {
+      // A stray <summary> outside <details> is dropped
+      if (current !== root && current.summary === null) current.summary = node.value;
+    } else if (node.token === 'close') {
+      if (current !== root) close();
+    } else {
+      current.children.push(node);
+    }
+  }
+  // Unclosed <details> run to the end of their container
+  while (stack.length > 1) close();
+
+  return root.children;
+}
+
+/**
+ * Replace <details> HTML in a Markdown AST (mdast) with toggle quotes, see convertToggles
+ * @param {object} tree - Markdown AST, changed in place
+ * @param {function(string): object} parse - Markdown parser, for Markdown inside HTML blocks
+ * @returns {object} The tree
+ */
+export function groupDetailsBlocks(tree, parse) {
+  if (CONTAINERS.includes(tree.type)) {
+    tree.children = groupDetails(tree.children, parse);
+  }
+  tree.children?.forEach(child => groupDetailsBlocks(child, parse));
+  return tree;
+}
+
+/**
+ * Turn toggle quotes produced by groupDetailsBlocks into toggle blocks, or return null for other quotes
+ */
+function toToggle(block) {
+  const [first, ...children] = block.quote.children || [];
+  const richText = first?.type === 'paragraph' ? first.paragraph.rich_text : [];
+  const head = richText[0];
+  if (head?.type !== 'text' || !head.text.content.startsWith(TOGGLE_MARKER)) return null;
+
+  const text = [{ ...head, text: { ...head.text, content: head.text.content.slice(TOGGLE_MARKER.length) } }, ...richText.slice(1)]
+    .filter(item => item.type !== 'text' || item.text.content);
+
+  return {
+    object: 'block',
+    type: 'toggle',
+    toggle: {
+      rich_text: text,
+      ...(children.length > 0 && { children })
+    }
+  };
+}
+
+/**
+ * Convert toggle quotes in a block tree into toggle blocks
+ * @param {Array} blocks - Notion blocks from the converter (children under block[type].children)
+ * @returns {Array} New blocks
+ */
+export function convertToggles(blocks) {
+  return blocks.map(block => {
+    const content = block[block.type];
+    if (!content?.children) return block;
+
+    const converted = { ...block, [block.type]: { ...content, children: convertToggles(content.children) } };
+    return (block.type === 'quote' && toToggle(converted)) || converted;
+  });
+}
+
+/**
+ * Turn headings of one level into toggle headings holding the blocks of their section
+ * (up to the next heading of the same or a higher level)
+ * @param {Array} blocks - Top-level Notion blocks
+ * @param {1|2|3} level - Heading level
+ * @returns {Array} New blocks
+ */
+export function wrapToggleHeadings(blocks, level) {
+  const result = [];
+  let section = null;
+
+  for (const block of blocks) {
+    const depth = HEADING_LEVELS[block.type];
+    if (depth && depth <= level) {
+      section = depth === level
+        ? { ...block, [block.type]: { ...block[block.type], is_toggleable: true, children: [] } }
+        : null;
+      result.push(section || block);
+    } else if (section) {
+      section[section.type].children.push(block);
+    } else {
+      result.push(block);
+    }
+  }
+
+  for (const block of result) {
+    const content = block[block.type];
+    if (content.is_toggleable && content.children.length === 0) delete content.children;
+  }
+  return result;
+}
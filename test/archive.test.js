@@ -0,0 +1,64 @@
+/**
+ * archive.test.js - Limits of uploaded zip archives
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+import { extractZip, MAX_ARCHIVE_ENTRIES } from '../src/server/utils/archive.js';
+
+function createZip(files) {
+  const zip = new AdmZip();
+  for (const [path, content] of Object.entries(files)) {
+    zip.addFile(path, Buffer.from(content));
+  }
+  return zip.toBuffer();
+}
+
+test('extracts files and skips macOS metadata', () => {
+  const entries = extractZip(createZip({ 'a.md': '# A', 'docs/b.md': '# B', '__MACOSX/._a.md': 'x' }));
+  assert.deepEqual(entries.map(e => [e.path, e.data.toString()]), [['a.md', '# A'], ['docs/b.md', '# B']]);
+});
+
+test('rejects an entry larger than the maximum file size before decompressing it', () => {
+  const buffer = createZip({ 'small.md': 'ok', 'bomb.md': '0'.repeat(64 * 1024) });
+  assert.ok(buffer.length < 4096);
+
+  assert.throws(() => extractZip(buffer, { maxEntrySize: 1024 }), error =>
+    error.statusCode === 400 && error.code === 'ARCHIVE_TOO_LARGE' && error.message.includes('bomb.md'));
+});
+
+test('only checks the files it extracts', () => {
+  const buffer = createZip({ 'a.md': '# A', 'video.bin': '0'.repeat(64 * 1024) });
+  const entries = extractZip(buffer, { maxEntrySize: 1024, include: path => path.endsWith('.md') });
+  assert.deepEqual(entries.map(e => e.path), ['a.md']);
+});
+
+test('rejects archives with too many files', () => {
+  const files = Object.fromEntries(Array.from({ length: MAX_ARCHIVE_ENTRIES + 1 }, (_, i) => [`${i}.md`, '']));
+  assert.throws(() => extractZip(createZip(files)), { statusCode: 400, code: 'ARCHIVE_TOO_LARGE' });
+});
+
+/**
+ * Overwrite the uncompressed size of every entry in the local and central headers
+ */
+function declareSize(buffer, size) {
+  const patched = Buffer.from(buffer);
+  for (let offset = 0; offset < patched.length - 4; offset++) {
+    const signature = patched.readUInt32LE(offset);
+    if (signature === 0x04034b50) patched.writeUInt32LE(size, offset + 22);
+    if (signature === 0x02014b50) patched.writeUInt32LE(size, offset + 24);
+  }
+  return patched;
+}
+
+test('rejects entries whose uncompressed size is zeroed', () => {
+  const buffer = declareSize(createZip({ 'bomb.md': '0'.repeat(1024 * 1024) }), 0);
+  assert.throws(() => extractZip(buffer, { maxEntrySize: 1024 }), { statusCode: 400, code: 'ARCHIVE_TOO_LARGE' });
+});
+
+test('caps decompression when an entry declares a smaller size than it has', () => {
+  const buffer = declareSize(createZip({ 'bomb.md': '0'.repeat(1024 * 1024) }), 10);
+  assert.throws(() => extractZip(buffer, { maxEntrySize: 1024 }), error =>
+    error.statusCode === 400 && error.code === 'ARCHIVE_TOO_LARGE' && error.message.includes('bomb.md'));
+});
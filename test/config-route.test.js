@@ -0,0 +1,57 @@
+/**
+ * config-route.test.js - PUT /api/config/pages/:id only changes the fields it accepts
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Fastify from 'fastify';
+
+const dir = mkdtempSync(join(tmpdir(), 'm2n-config-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = join(dir, 'db.sqlite');
+
+const { storage } = await import('../src/server/services/storage.js');
+const { authService, SESSION_COOKIE } = await import('../src/server/services/auth.js');
+const { authenticate } = await import('../src/server/routes/auth.js');
+const { configRoutes } = await import('../src/server/routes/config.js');
+
+let fastify, admin, page, cookie;
+
+before(async () => {
+  admin = await authService.createUser({ username: 'admin', password: 'password1' });
+  const user = await authService.createUser({ username: 'member', password: 'password1' });
+  const connection = await storage.addConnection({ userId: user.id, name: 'Member', token: 'secret_member' });
+  page = await storage.addPage({ name: 'Notes', pageId: 'member-root', connectionId: connection.id, userId: user.id });
+  cookie = `${SESSION_COOKIE}=${await authService.createSession(user.id)}`;
+
+  fastify = Fastify();
+  fastify.decorateRequest('user', null);
+  fastify.addHook('onRequest', authenticate);
+  await fastify.register(configRoutes);
+});
+
+after(async () => {
+  await fastify.close();
+  await storage.backend.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('a non-admin owner cannot change the server-set fields of their page', async () => {
+  const response = await fastify.inject({
+    method: 'PUT',
+    url: `/api/config/pages/${page.id}`,
+    headers: { cookie },
+    payload: { name: 'Renamed', userId: admin.id, pageId: 'other-root', type: 'database', createdAt: '2000-01-01T00:00:00.000Z' }
+  });
+  assert.equal(response.statusCode, 200);
+
+  const stored = await storage.getPage(page.id);
+  assert.equal(stored.name, 'Renamed');
+  assert.equal(stored.userId, page.userId);
+  assert.equal(stored.pageId, 'member-root');
+  assert.equal(stored.type, 'page');
+  assert.equal(stored.createdAt, page.createdAt);
+});
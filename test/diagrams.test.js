@@ -0,0 +1,63 @@
+/**
+ * diagrams.test.js - Rendering diagram code blocks
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, delimiter } from 'path';
+
+const dir = mkdtempSync(join(tmpdir(), 'm2n-diagrams-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = join(dir, 'db.sqlite');
+
+const { storage } = await import('../src/server/services/storage.js');
+const { diagramService, plantumlArgs } = await import('../src/server/services/diagrams.js');
+
+after(async () => {
+  await storage.backend.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('PlantUML runs with the sandbox security profile', () => {
+  const args = plantumlArgs('/opt/plantuml.jar');
+  assert.ok(args.includes('-DPLANTUML_SECURITY_PROFILE=SANDBOX'));
+  // System properties only apply before -jar
+  assert.ok(args.indexOf('-DPLANTUML_SECURITY_PROFILE=SANDBOX') < args.indexOf('-jar'));
+  assert.deepEqual(args.slice(args.indexOf('-jar')), ['-jar', '/opt/plantuml.jar', '-tsvg', '-pipe', '-charset', 'UTF-8']);
+});
+
+// Stand-in for java: refuses to render unless the security profile is set as a system property
+// (before -jar), otherwise echoes the piped source in an SVG
+const FAKE_JAVA = `#!/bin/sh
+for arg; do
+  case "$arg" in
+    -DPLANTUML_SECURITY_PROFILE=SANDBOX) sandbox=1 ;;
+    -jar) break ;;
+  esac
+done
+if [ -z "$sandbox" ]; then
+  echo "PlantUML is not sandboxed" >&2
+  exit 1
+fi
+printf '<svg>'
+cat
+printf '</svg>'
+`;
+
+test('renderPlantuml pipes the source to a sandboxed PlantUML process', { skip: process.platform === 'win32' }, async (t) => {
+  writeFileSync(join(dir, 'java'), FAKE_JAVA, { mode: 0o755 });
+  writeFileSync(join(dir, 'plantuml.jar'), '');
+
+  const path = process.env.PATH;
+  process.env.PATH = `${dir}${delimiter}${path}`;
+  process.env.PLANTUML_JAR = join(dir, 'plantuml.jar');
+  t.after(() => {
+    process.env.PATH = path;
+    delete process.env.PLANTUML_JAR;
+  });
+
+  const svg = await diagramService.renderPlantuml('!include /etc/passwd\nA -> B');
+  assert.match(svg, /^<svg>[\s\S]*!include \/etc\/passwd\nA -> B[\s\S]*<\/svg>$/);
+});
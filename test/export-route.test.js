@@ -0,0 +1,74 @@
+/**
+ * export-route.test.js - GET /api/export/:pageId for uploads of a non-admin user to a shared page
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Fastify from 'fastify';
+
+const dir = mkdtempSync(join(tmpdir(), 'm2n-export-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = join(dir, 'db.sqlite');
+
+const { storage } = await import('../src/server/services/storage.js');
+const { authService, SESSION_COOKIE } = await import('../src/server/services/auth.js');
+const { notionService } = await import('../src/server/services/notion.js');
+const { authenticate } = await import('../src/server/routes/auth.js');
+const { exportRoutes } = await import('../src/server/routes/export.js');
+
+const PAGE_ID = '0123456789abcdef0123456789abcdef';
+let fastify, adminConnection, record, otherRecord, cookie;
+
+before(async () => {
+  const admin = await authService.createUser({ username: 'admin', password: 'password1' });
+  const user = await authService.createUser({ username: 'member', password: 'password1' });
+  adminConnection = await storage.addConnection({ userId: admin.id, name: 'Admin', token: 'secret_admin' });
+  const sharedPage = await storage.addPage({ name: 'Shared', pageId: 'shared-root', connectionId: adminConnection.id, userId: admin.id, shared: true });
+
+  const upload = { title: 'Notes', pageConfigId: sharedPage.id, notionPageId: PAGE_ID, notionUrl: 'https://www.notion.so/notes', connectionId: adminConnection.id, status: 'success' };
+  record = await storage.addHistory({ ...upload, userId: user.id });
+  otherRecord = await storage.addHistory({ ...upload, userId: admin.id });
+  cookie = `${SESSION_COOKIE}=${await authService.createSession(user.id)}`;
+
+  fastify = Fastify();
+  fastify.decorateRequest('user', null);
+  fastify.addHook('onRequest', authenticate);
+  await fastify.register(exportRoutes);
+});
+
+after(async () => {
+  await fastify.close();
+  await storage.backend.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function exportPage(query) {
+  return fastify.inject({ method: 'GET', url: `/api/export/${PAGE_ID}?format=json&${query}`, headers: { cookie } });
+}
+
+test('a non-admin exports their upload to a shared page through its connection', async (t) => {
+  const exportMock = t.mock.method(notionService, 'exportPage', async () => ({ success: true, title: 'Notes', markdown: '# Notes' }));
+
+  const response = await exportPage(`historyId=${record.id}`);
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.json().markdown, '# Notes');
+  assert.equal(exportMock.mock.calls[0].arguments[1].connectionId, adminConnection.id);
+});
+
+test('the connection of a shared page cannot be named directly', async () => {
+  const response = await exportPage(`connectionId=${adminConnection.id}`);
+  assert.equal(response.statusCode, 400);
+});
+
+test('history records of other users are not found', async () => {
+  const response = await exportPage(`historyId=${otherRecord.id}`);
+  assert.equal(response.statusCode, 404);
+});
+
+test('a history record only exports its own page', async () => {
+  const response = await fastify.inject({ method: 'GET', url: `/api/export/${'f'.repeat(32)}?historyId=${record.id}`, headers: { cookie } });
+  assert.equal(response.statusCode, 400);
+});
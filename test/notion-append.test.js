@@ -0,0 +1,74 @@
+/**
+ * notion-append.test.js - Progress of batched appends, and resuming them without appending blocks twice
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { notionService } from '../src/server/services/notion.js';
+
+function paragraph(text) {
+  return { object: 'block', type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: text } }] } };
+}
+
+// A list item with more children than one request takes (the rest is deferred), then enough
+// paragraphs for a second batch
+const blocks = [
+  {
+    object: 'block',
+    type: 'bulleted_list_item',
+    bulleted_list_item: {
+      rich_text: [{ type: 'text', text: { content: 'list' } }],
+      children: Array.from({ length: 150 }, (_, i) => paragraph(`child ${i}`))
+    }
+  },
+  ...Array.from({ length: 100 }, (_, i) => paragraph(`paragraph ${i}`))
+];
+
+/**
+ * Notion client recording append requests; appending to a block ID in failOnce fails the first time
+ */
+function fakeClient(requests, failOnce = new Set()) {
+  let nextId = 0;
+  return {
+    blocks: {
+      children: {
+        append: async ({ block_id, children }) => {
+          if (failOnce.delete(block_id)) {
+            throw new Error('Service unavailable');
+          }
+          requests.push({ parentId: block_id, count: children.length });
+          return { results: children.map(() => ({ id: `block-${nextId++}` })) };
+        }
+      }
+    }
+  };
+}
+
+test('progress is saved with the pending deferred children, and resuming appends each block once', async (t) => {
+  const requests = [];
+  const client = fakeClient(requests, new Set(['block-0']));
+  t.mock.method(notionService, 'initClient', async () => client);
+
+  const progress = [];
+  await assert.rejects(notionService.appendBlocks('page', blocks, { onBatch: p => progress.push(p) }), /Service unavailable/);
+
+  // The first batch reached Notion, its deferred children did not
+  const saved = progress.at(-1);
+  assert.equal(saved.lastBatchIndex, 0);
+  assert.deepEqual(saved.pendingChildren.map(p => [p.parentId, p.blocks.length]), [['block-0', 50]]);
+  assert.deepEqual(requests, [{ parentId: 'page', count: 100 }]);
+
+  await notionService.appendBlocks('page', blocks, {
+    startBatch: saved.lastBatchIndex + 1,
+    pendingChildren: saved.pendingChildren,
+    onBatch: p => progress.push(p)
+  });
+
+  assert.deepEqual(requests, [
+    { parentId: 'page', count: 100 },
+    { parentId: 'block-0', count: 50 },
+    { parentId: 'page', count: 1 }
+  ]);
+  assert.deepEqual(progress.at(-1).pendingChildren, []);
+  assert.equal(progress.at(-1).batchesRemaining, 0);
+});
@@ -0,0 +1,43 @@
+/**
+ * resume-upload.test.js - Concurrent requests resuming the same failed upload
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = mkdtempSync(join(tmpdir(), 'm2n-resume-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = join(dir, 'db.sqlite');
+
+const { storage } = await import('../src/server/services/storage.js');
+const { notionService } = await import('../src/server/services/notion.js');
+const { uploadService } = await import('../src/server/services/upload.js');
+
+after(async () => {
+  await storage.backend.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('a failed upload is resumed once when two requests resume it together', async (t) => {
+  const job = await storage.addJob({ pageId: 'page', title: 'Notes', blocks: [{ type: 'paragraph' }], mode: 'create', strategy: 'append' });
+  await storage.updateJob(job.id, { status: 'failed', error: 'Service unavailable', lastBatchIndex: 0 });
+  const record = await storage.addHistory({ title: 'Notes', jobId: job.id, status: 'failed' });
+
+  const updateMock = t.mock.method(notionService, 'updatePage', async () => {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return { success: true, page: { id: 'page', url: 'https://www.notion.so/page' } };
+  });
+
+  const results = await Promise.allSettled([
+    uploadService.resumeUpload(record.id),
+    uploadService.resumeUpload(record.id)
+  ]);
+
+  assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.match(results.find(r => r.status === 'rejected').reason.message, /cannot be resumed/);
+  assert.equal(updateMock.mock.callCount(), 1);
+  assert.equal((await storage.getJob(job.id)).status, 'completed');
+});
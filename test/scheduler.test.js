@@ -0,0 +1,66 @@
+/**
+ * scheduler.test.js - Which Notion requests the scheduler retries
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { notionScheduler } from '../src/server/services/scheduler.js';
+
+// Status codes the server answers with, in order, per request path; 200 once they run out
+const responses = new Map();
+const attempts = new Map();
+let server, baseUrl;
+
+before(async () => {
+  server = createServer((request, response) => {
+    attempts.set(request.url, (attempts.get(request.url) || 0) + 1);
+    response.statusCode = responses.get(request.url)?.shift() || 200;
+    response.end('{}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  notionScheduler.configure({ notionRequestsPerSecond: 1000, notionMaxRetries: 3, notionRetryBaseDelay: 1, notionRetryMaxDelay: 5 });
+});
+
+after(() => server.close());
+
+async function send(path, method, statuses) {
+  responses.set(path, statuses);
+  const response = await notionScheduler.fetch(`${baseUrl}${path}`, { method });
+  return { status: response.status, attempts: attempts.get(path) };
+}
+
+test('reads are retried on server errors and conflicts', async () => {
+  assert.deepEqual(await send('/get-5xx', 'GET', [502, 409]), { status: 200, attempts: 3 });
+});
+
+test('writes are not retried on server errors or conflicts', async () => {
+  assert.deepEqual(await send('/post-5xx', 'POST', [500]), { status: 500, attempts: 1 });
+  assert.deepEqual(await send('/patch-409', 'PATCH', [409]), { status: 409, attempts: 1 });
+});
+
+test('writes are retried when rate limited', async () => {
+  assert.deepEqual(await send('/post-429', 'POST', [429, 429]), { status: 200, attempts: 3 });
+});
+
+test('writes are not retried after a network failure', async () => {
+  const closed = createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${closed.address().port}/`;
+  await new Promise(resolve => closed.close(resolve));
+
+  let calls = 0;
+  const original = globalThis.fetch;
+  globalThis.fetch = (...args) => {
+    calls++;
+    return original(...args);
+  };
+  try {
+    await assert.rejects(notionScheduler.fetch(url, { method: 'POST' }));
+    assert.equal(calls, 1);
+  } finally {
+    globalThis.fetch = original;
+  }
+});
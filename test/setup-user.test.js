@@ -0,0 +1,45 @@
+/**
+ * setup-user.test.js - Concurrent first-run setup creates a single admin account
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = mkdtempSync(join(tmpdir(), 'm2n-setup-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = join(dir, 'db.sqlite');
+
+const { storage } = await import('../src/server/services/storage.js');
+const { createBackend } = await import('../src/server/services/storage/index.js');
+
+after(async () => {
+  await storage.backend.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+for (const name of ['lowdb', 'sqlite']) {
+  test(`${name}: insertUnless inserts only while nothing matches`, async () => {
+    const backend = await createBackend(dir, { name, path: join(dir, `insert-unless.${name}`) });
+    await backend.init();
+    try {
+      const inserted = await Promise.all(['a', 'b', 'c'].map(id => backend.insertUnless('users', {}, { id })));
+      assert.deepEqual(inserted.filter(Boolean).length, 1);
+      assert.equal((await backend.find('users')).length, 1);
+    } finally {
+      await backend.close();
+    }
+  });
+}
+
+test('concurrent setup requests add one admin', async () => {
+  const users = await Promise.all(['first', 'second', 'third'].map(username =>
+    storage.addUser({ username, passwordHash: 'x' }, { setup: true })));
+
+  const added = users.filter(Boolean);
+  assert.equal(added.length, 1);
+  assert.equal(added[0].role, 'admin');
+  assert.equal((await storage.getUsers()).length, 1);
+});
@@ -0,0 +1,52 @@
+/**
+ * storage-sqlite.test.js - StorageService and the upload pipeline on the SQLite storage backend
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = mkdtempSync(join(tmpdir(), 'm2n-sqlite-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = join(dir, 'db.sqlite');
+
+const { storage } = await import('../src/server/services/storage.js');
+const { uploadService } = await import('../src/server/services/upload.js');
+
+before(async () => {
+  for (const [index, title] of ['First', 'Second', 'Third'].entries()) {
+    await storage.addHistory({
+      userId: 'user-1',
+      title,
+      sourcePath: `docs/${title.toLowerCase()}.md`,
+      status: 'success',
+      notionUrl: `https://www.notion.so/${index}`
+    });
+  }
+});
+
+after(async () => {
+  await storage.backend.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('find returns all records without a finite limit', async () => {
+  assert.equal((await storage.backend.find('history')).length, 3);
+  assert.equal((await storage.backend.find('history', {}, { limit: Infinity })).length, 3);
+  assert.equal((await storage.backend.find('history', {}, { limit: 2 })).length, 2);
+});
+
+test('getHistory returns every record for a null limit', async () => {
+  assert.equal((await storage.getHistory(null, '', { userId: 'user-1' })).length, 3);
+  assert.equal((await storage.getHistory(1, '', { userId: 'user-1' })).length, 1);
+});
+
+test('getKnownPages reads the whole history of a user', async () => {
+  const knownPages = await uploadService.getKnownPages({ userId: 'user-1' });
+  assert.equal(knownPages.size, 3);
+  assert.equal(knownPages.get('docs/first.md'), 'https://www.notion.so/0');
+
+  assert.equal((await uploadService.getKnownPages({ userId: 'user-2' })).size, 0);
+});
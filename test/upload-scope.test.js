@@ -0,0 +1,65 @@
+/**
+ * upload-scope.test.js - Connections and links the upload pipeline uses on behalf of a user
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = mkdtempSync(join(tmpdir(), 'm2n-scope-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = join(dir, 'db.sqlite');
+
+const { storage } = await import('../src/server/services/storage.js');
+const { uploadService } = await import('../src/server/services/upload.js');
+
+let admin, user, adminConnection, userConnection, sharedPage;
+
+before(async () => {
+  admin = await storage.addUser({ username: 'admin', passwordHash: 'x' });
+  user = await storage.addUser({ username: 'user', passwordHash: 'x' });
+  adminConnection = await storage.addConnection({ userId: admin.id, name: 'Admin', token: 'secret_admin' });
+  sharedPage = await storage.addPage({ name: 'Shared', pageId: 'shared-root', connectionId: adminConnection.id, userId: admin.id, shared: true });
+
+  await storage.setPathMapping({ rootPageId: 'shared-root', path: 'admin.md', type: 'file', notionPageId: 'a', notionUrl: 'https://www.notion.so/a', userId: admin.id });
+  await storage.setPathMapping({ rootPageId: 'shared-root', path: 'user.md', type: 'file', notionPageId: 'b', notionUrl: 'https://www.notion.so/b', userId: user.id });
+});
+
+after(async () => {
+  await storage.backend.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('explicit update targets are not reached through a shared page configuration', async () => {
+  const shared = await uploadService.resolvePageConfig(sharedPage.id, { userId: user.id });
+  assert.equal(shared.connectionId, adminConnection.id);
+
+  await assert.rejects(
+    uploadService.resolveUpdateConnectionId({ record: null }, { id: shared.id }, { userId: user.id }),
+    /No Notion connection/
+  );
+
+  userConnection = await storage.addConnection({ userId: user.id, name: 'Own', token: 'secret_user' });
+  assert.equal(
+    await uploadService.resolveUpdateConnectionId({ record: null }, { id: shared.id }, { userId: user.id }),
+    userConnection.id
+  );
+});
+
+test('revisions of an upload use the connection it was uploaded with', async () => {
+  const record = { connectionId: adminConnection.id };
+  assert.equal(await uploadService.resolveUpdateConnectionId({ record }, { id: sharedPage.id }, { userId: user.id }), adminConnection.id);
+});
+
+test('the CLI updates pages through the page configuration connection', async () => {
+  assert.equal(await uploadService.resolveUpdateConnectionId({ record: null }, { id: sharedPage.id }), adminConnection.id);
+});
+
+test('known pages only include the directory imports of the user', async () => {
+  const knownPages = await uploadService.getKnownPages({ userId: user.id });
+  assert.deepEqual([...knownPages.keys()], ['user.md']);
+
+  assert.equal((await uploadService.getKnownPages()).size, 2);
+});